@@ -0,0 +1,84 @@
+// lib/accounts.js — account tokens, password rules and account emails
+
+const crypto = require('crypto');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Purpose → lifetime of a single-use account token
+const TOKEN_TTL_MINUTES = {
+  verify_email: 24 * 60,
+  reset_password: 60
+};
+
+// Tables holding a user's progress, removed with the account
+const USER_DATA_TABLES = [
+  'quiz_sessions',
+  'question_attempts',
+  'review_schedule',
+  'user_language_progress',
+  'user_lesson_completions',
+  'user_activity_days',
+  'xp_ledger',
+  'user_achievements',
+  'user_ability',
+  'account_tokens',
+  'refresh_tokens',
+  'idempotency_keys',
+  'activity_events'
+];
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Only the SHA-256 of a token is stored, so a leaked table can't be replayed
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * A fresh token for `purpose`: `token` goes to the user, `tokenHash` and
+ * `expiresAt` are stored.
+ */
+function createToken(purpose, now = new Date()) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000)
+  };
+}
+
+function appUrl() {
+  return (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+}
+
+function verificationEmail(name, token) {
+  return {
+    subject: 'Confirm your LangLink+ email',
+    text: `Hi ${name},\n\nConfirm your email address by opening this link:\n${appUrl()}/api/verify-email?token=${token}\n\n`
+      + `The link expires in ${TOKEN_TTL_MINUTES.verify_email / 60} hours.`
+  };
+}
+
+function passwordResetEmail(name, token) {
+  return {
+    subject: 'Reset your LangLink+ password',
+    text: `Hi ${name},\n\nSomeone asked to reset your password. If it was you, use this token with POST /api/password/reset:\n${token}\n\n`
+      + `It expires in ${TOKEN_TTL_MINUTES.reset_password} minutes. If it wasn't you, ignore this email.`
+  };
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  TOKEN_TTL_MINUTES,
+  USER_DATA_TABLES,
+  validatePassword,
+  hashToken,
+  createToken,
+  verificationEmail,
+  passwordResetEmail
+};
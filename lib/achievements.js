@@ -0,0 +1,78 @@
+// lib/achievements.js — badge definitions and progress evaluation
+
+const { LEVELS } = require('./leveling');
+
+const EXPERT_XP = LEVELS.find(l => l.name === 'Expert').minXP;
+
+/**
+ * Each badge reads one number from the user's stats (see loadAchievementStats
+ * in server.js) and unlocks when it reaches `target`.
+ */
+const ACHIEVEMENTS = [
+  {
+    code: 'first_lesson',
+    name: 'First Steps',
+    description: 'Complete your first lesson',
+    target: 1,
+    metric: stats => stats.lessonsCompleted
+  },
+  {
+    code: 'streak_7',
+    name: 'Week Warrior',
+    description: 'Reach a 7-day streak',
+    target: 7,
+    metric: stats => stats.longestStreak
+  },
+  {
+    code: 'streak_30',
+    name: 'Monthly Devotion',
+    description: 'Reach a 30-day streak',
+    target: 30,
+    metric: stats => stats.longestStreak
+  },
+  {
+    code: 'streak_100',
+    name: 'Centurion',
+    description: 'Reach a 100-day streak',
+    target: 100,
+    metric: stats => stats.longestStreak
+  },
+  {
+    code: 'perfect_quiz',
+    name: 'Flawless',
+    description: 'Answer every question in a quiz correctly',
+    target: 1,
+    metric: stats => stats.perfectQuizzes
+  },
+  {
+    code: 'three_languages',
+    name: 'Polyglot',
+    description: 'Start learning three languages',
+    target: 3,
+    metric: stats => stats.languagesStarted
+  },
+  {
+    code: 'reach_expert',
+    name: 'Expert',
+    description: 'Reach the Expert level',
+    target: EXPERT_XP,
+    metric: stats => stats.xp
+  }
+];
+
+// Every badge with the user's progress toward it
+function evaluate(stats, earned) {
+  return ACHIEVEMENTS.map(a => {
+    const current = Math.min(a.metric(stats) || 0, a.target);
+    return {
+      code: a.code,
+      name: a.name,
+      description: a.description,
+      earned: earned.has(a.code) || current >= a.target,
+      earnedAt: earned.get(a.code) || null,
+      progress: { current, target: a.target }
+    };
+  });
+}
+
+module.exports = { ACHIEVEMENTS, evaluate };
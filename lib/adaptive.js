@@ -0,0 +1,139 @@
+// lib/adaptive.js — Elo-style ability/difficulty ratings and quiz selection
+//
+// Learners (per language) and questions share one rating scale. Each graded
+// answer is a "match" between the two: a right answer moves the learner up
+// and the question down, by how surprising the result was.
+
+const crypto = require('crypto');
+
+const DEFAULT_RATING = 1000;
+const MIN_RATING = 0;
+const MAX_RATING = 3000;
+
+// Provisional ratings move faster until enough answers have been seen
+const PROVISIONAL_ANSWERS = 30;
+const K_USER = { provisional: 40, settled: 20 };
+const K_QUESTION = { provisional: 16, settled: 8 };
+
+// An "almost" (near-miss typo) is mostly right
+const VERDICT_SCORES = { correct: 1, almost: 0.7, wrong: 0 };
+
+// Aim a little below the learner's rating so about 70% of answers land
+const TARGET_SUCCESS = 0.7;
+const DEFAULT_QUIZ_SIZE = 10;
+const MAX_QUIZ_SIZE = 50;
+// Share of a quiz given over to due review items
+const REVIEW_SHARE = 0.3;
+// Questions answered this recently are held back while fresh ones remain
+const REPEAT_WINDOW_HOURS = 24;
+
+function clampRating(value) {
+  return Math.min(MAX_RATING, Math.max(MIN_RATING, value));
+}
+
+// Chance a learner rated `ability` answers a question rated `difficulty`
+function expectedScore(ability, difficulty) {
+  return 1 / (1 + 10 ** ((difficulty - ability) / 400));
+}
+
+/**
+ * Update both ratings after one answer. `user` and `question` are
+ * `{ rating, answers }`; returns their new ratings, rounded to 0.01.
+ */
+function rateAnswer(user, question, verdict) {
+  const score = VERDICT_SCORES[verdict] ?? 0;
+  const expected = expectedScore(user.rating, question.rating);
+  const kUser = user.answers < PROVISIONAL_ANSWERS ? K_USER.provisional : K_USER.settled;
+  const kQuestion = question.answers < PROVISIONAL_ANSWERS ? K_QUESTION.provisional : K_QUESTION.settled;
+  const round = n => Math.round(clampRating(n) * 100) / 100;
+
+  return {
+    user: round(user.rating + kUser * (score - expected)),
+    question: round(question.rating - kQuestion * (score - expected))
+  };
+}
+
+// Difficulty a learner of `ability` answers correctly TARGET_SUCCESS of the time
+function targetDifficulty(ability) {
+  return ability - 400 * Math.log10(TARGET_SUCCESS / (1 - TARGET_SUCCESS));
+}
+
+// ===============================
+// Seeded randomness
+// ===============================
+function newSeed() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * A deterministic random() for a seed string (mulberry32), so a session's
+ * shuffles can be reproduced from its stored seed.
+ */
+function seededRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(list, random = Math.random) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// ===============================
+// Quiz selection
+// ===============================
+/**
+ * Pick `count` questions for a learner rated `ability`.
+ * - up to REVIEW_SHARE of the quiz comes from `dueIds` (review items),
+ * - the rest are the closest in difficulty to the learner's target, drawn at
+ *   random from a pool twice the size needed so quizzes don't repeat exactly,
+ * - questions in `recentIds` are used only when nothing fresh is left.
+ * `questions` need `id` and `difficulty`; returns them in shuffled order.
+ */
+function selectQuestions(questions, { ability, count, dueIds = [], recentIds = [], random = Math.random }) {
+  const due = new Set(dueIds);
+  const recent = new Set(recentIds);
+  const target = targetDifficulty(ability);
+  const distance = q => Math.abs((q.difficulty ?? DEFAULT_RATING) - target);
+
+  const reviewSlots = Math.min(Math.ceil(count * REVIEW_SHARE), count);
+  const picked = shuffle(questions.filter(q => due.has(q.id)), random).slice(0, reviewSlots);
+  const chosen = new Set(picked.map(q => q.id));
+
+  const rest = questions.filter(q => !chosen.has(q.id));
+  const fresh = rest.filter(q => !recent.has(q.id)).sort((a, b) => distance(a) - distance(b));
+  const stale = rest.filter(q => recent.has(q.id)).sort((a, b) => distance(a) - distance(b));
+
+  const needed = count - picked.length;
+  const pool = fresh.slice(0, needed * 2);
+  picked.push(...shuffle(pool, random).slice(0, needed));
+  if (picked.length < count) picked.push(...stale.slice(0, count - picked.length));
+
+  return shuffle(picked, random);
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  MIN_RATING,
+  MAX_RATING,
+  DEFAULT_QUIZ_SIZE,
+  MAX_QUIZ_SIZE,
+  REPEAT_WINDOW_HOURS,
+  expectedScore,
+  rateAnswer,
+  targetDifficulty,
+  newSeed,
+  seededRandom,
+  shuffle,
+  selectQuestions
+};
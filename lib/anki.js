@@ -0,0 +1,335 @@
+// lib/anki.js — read and write Anki decks (.apkg and "Notes in Plain Text")
+//
+// Notes are exchanged as `{ fields: { name: value }, tags }` with HTML already
+// stripped. An .apkg is a zip holding a SQLite collection; we read the legacy
+// collection.anki21/collection.anki2 files, which Anki writes when "Support
+// older Anki versions" is ticked on export.
+
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const initSqlJs = require('sql.js');
+
+const FIELD_SEPARATOR = '\x1f';
+// The collection is inflated into memory; a small upload can declare a huge one
+const MAX_COLLECTION_BYTES = 64 * 1024 * 1024;
+
+let sqlPromise;
+function sql() {
+  if (!sqlPromise) sqlPromise = initSqlJs();
+  return sqlPromise;
+}
+
+// ===============================
+// HTML in fields
+// ===============================
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function stripHTML(html) {
+  return String(html)
+    .replace(/\[sound:[^\]]*\]/g, '')
+    .replace(/<br\s*\/?>|<\/div>|<\/p>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        // Not a character (out of range, NUL or a lone surrogate): keep the text as written
+        const valid = code > 0 && code <= 0x10ffff && (code < 0xd800 || code > 0xdfff);
+        return valid ? String.fromCodePoint(code) : entity;
+      }
+      return ENTITIES[name.toLowerCase()] ?? entity;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function escapeHTML(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// ===============================
+// Delimited text (CSV and Anki plain text share the quoting rules)
+// ===============================
+/**
+ * Split delimited text into rows of fields. Fields may be wrapped in double
+ * quotes to hold the separator, quotes ("") or newlines. Blank lines are dropped.
+ */
+function parseDelimited(text, separator = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === separator) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(r => r.some(f => f !== ''));
+}
+
+function formatDelimited(rows, separator = ',') {
+  const quote = value => {
+    const s = value === undefined || value === null ? '' : String(value);
+    return /["\r\n]/.test(s) || s.includes(separator) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return rows.map(r => r.map(quote).join(separator)).join('\n') + '\n';
+}
+
+// ===============================
+// Plain text export
+// ===============================
+const SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+// File headers whose value is a column number rather than a note field
+const META_COLUMNS = ['guid', 'notetype', 'deck', 'tags'];
+
+/**
+ * Parse Anki's "Notes in Plain Text" export. `#separator:`, `#html:`,
+ * `#columns:` and `#<meta> column:` headers are honoured; without `#columns:`
+ * fields are named by position (`Field1`, `Field2`, …).
+ */
+function parseText(text) {
+  const headers = {};
+  const body = [];
+  for (const line of String(text).replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const header = body.length === 0 && /^#([^:]+):(.*)$/.exec(line);
+    if (header) headers[header[1].trim().toLowerCase()] = header[2];
+    else body.push(line);
+  }
+
+  const sepName = (headers.separator || 'tab').trim().toLowerCase();
+  const separator = SEPARATORS[sepName] || sepName[0] || '\t';
+  const html = (headers.html || 'true').trim().toLowerCase() !== 'false';
+  const rows = parseDelimited(body.join('\n'), separator);
+
+  const meta = {};
+  for (const name of META_COLUMNS) {
+    const col = parseInt(headers[`${name} column`], 10);
+    if (col > 0) meta[col - 1] = name;
+  }
+  const names = headers.columns ? headers.columns.split(separator).map(s => s.trim()) : null;
+
+  return rows.map(cells => {
+    const note = { fields: {}, tags: [] };
+    let position = 0;
+    cells.forEach((cell, i) => {
+      if (meta[i] === 'tags') note.tags = cell.split(/\s+/).filter(Boolean);
+      if (meta[i]) return;
+      position++;
+      const name = (names && names[i]) || `Field${position}`;
+      note.fields[name] = html ? stripHTML(cell) : cell.trim();
+    });
+    return note;
+  });
+}
+
+function formatText(notes, { fieldNames, deck }) {
+  const header = [
+    '#separator:tab',
+    '#html:true',
+    `#columns:${[...fieldNames, 'Tags'].join('\t')}`,
+    `#tags column:${fieldNames.length + 1}`,
+    ...(deck ? [`#deck:${deck}`] : [])
+  ];
+  const rows = notes.map(n => [...fieldNames.map(f => escapeHTML(n.fields[f] ?? '')), (n.tags || []).join(' ')]);
+  return header.join('\n') + '\n' + formatDelimited(rows, '\t');
+}
+
+// ===============================
+// .apkg
+// ===============================
+/**
+ * Read the notes of an .apkg. Returns `{ notes }` or `{ error }` when the file
+ * is not a deck we can read.
+ */
+async function readPackage(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (err) {
+    return { error: 'File is not a valid .apkg (zip) archive' };
+  }
+
+  const entry = zip.getEntry('collection.anki21') || (!zip.getEntry('collection.anki21b') && zip.getEntry('collection.anki2'));
+  if (!entry) {
+    return zip.getEntry('collection.anki21b')
+      ? { error: 'Deck uses the newer compressed Anki format; re-export it with "Support older Anki versions" ticked' }
+      : { error: 'File does not contain an Anki collection' };
+  }
+
+  // adm-zip stops inflating at the declared size, so checking it is enough
+  if (entry.header.size > MAX_COLLECTION_BYTES) {
+    return { error: `Anki collection is larger than ${MAX_COLLECTION_BYTES / 1024 / 1024} MB uncompressed` };
+  }
+
+  const SQL = await sql();
+  let collection;
+  try {
+    collection = new SQL.Database(new Uint8Array(entry.getData()));
+    const [col] = collection.exec('SELECT models FROM col');
+    const models = JSON.parse(col.values[0][0]);
+    const [notes] = collection.exec('SELECT mid, flds, tags FROM notes ORDER BY id');
+    if (!notes) return { notes: [] };
+
+    return {
+      notes: notes.values.map(([mid, flds, tags]) => {
+        const model = models[String(mid)];
+        const names = model ? [...model.flds].sort((a, b) => a.ord - b.ord).map(f => f.name) : [];
+        const fields = {};
+        flds.split(FIELD_SEPARATOR).forEach((value, i) => {
+          fields[names[i] || `Field${i + 1}`] = stripHTML(value);
+        });
+        return { fields, tags: String(tags).split(/\s+/).filter(Boolean) };
+      })
+    };
+  } catch (err) {
+    return { error: 'Anki collection could not be read' };
+  } finally {
+    if (collection) collection.close();
+  }
+}
+
+const SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+  ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null,
+  models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null,
+  usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null,
+  flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null,
+  mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null,
+  ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null,
+  odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ivl integer not null,
+  lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn ON notes (usn);
+CREATE INDEX ix_cards_usn ON cards (usn);
+CREATE INDEX ix_cards_nid ON cards (nid);
+CREATE INDEX ix_cards_sched ON cards (did, queue, due);
+`;
+
+// Stable ids so re-exporting a deck updates it in Anki instead of duplicating it
+function stableId(...parts) {
+  return 1e12 + (parseInt(sha1(parts.join('\x00')).slice(0, 10), 16) % 1e12);
+}
+
+function sha1(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+function checksum(text) {
+  return parseInt(sha1(text).slice(0, 8), 16);
+}
+
+/**
+ * Build an .apkg holding one deck and one note type with the given fields;
+ * every note gets a single card showing the first field on the front and the
+ * second on the back. Anki matches re-imported notes by guid, which is derived
+ * from the deck and the first field; row ids only keep the notes in order.
+ */
+async function writePackage(notes, { fieldNames, deck, noteType }) {
+  const SQL = await sql();
+  const collection = new SQL.Database();
+  try {
+    const now = Math.floor(Date.now() / 1000);
+    const modelId = stableId('model', noteType, ...fieldNames);
+    const deckId = stableId('deck', deck);
+    const [front, back] = fieldNames;
+
+    const model = {
+      id: modelId,
+      name: noteType,
+      type: 0,
+      mod: now,
+      usn: -1,
+      sortf: 0,
+      did: deckId,
+      tmpls: [{
+        name: 'Card 1',
+        ord: 0,
+        qfmt: `{{${front}}}`,
+        afmt: `{{FrontSide}}<hr id=answer>{{${back}}}`,
+        did: null,
+        bqfmt: '',
+        bafmt: ''
+      }],
+      flds: fieldNames.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+      css: '.card { font-family: arial; font-size: 20px; text-align: center; }',
+      latexPre: '',
+      latexPost: '',
+      req: [[0, 'any', [0]]],
+      tags: [],
+      vers: []
+    };
+    const deckEntry = (id, name) => ({
+      id, name, mod: now, usn: -1, desc: '', dyn: 0, conf: 1, collapsed: false,
+      newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0], extendNew: 10, extendRev: 50
+    });
+    const dconf = {
+      1: {
+        id: 1, name: 'Default', mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+        new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true },
+        rev: { perDay: 200, ease4: 1.3, ivlFct: 1, maxIvl: 36500, bury: true },
+        lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 }
+      }
+    };
+
+    collection.run(SCHEMA);
+    collection.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)', [
+      now, now * 1000, now * 1000,
+      JSON.stringify({ nextPos: notes.length + 1, curModel: modelId, curDeck: deckId }),
+      JSON.stringify({ [modelId]: model }),
+      JSON.stringify({ 1: deckEntry(1, 'Default'), [deckId]: deckEntry(deckId, deck) }),
+      JSON.stringify(dconf),
+      '{}'
+    ]);
+
+    const baseId = Date.now();
+    notes.forEach((note, i) => {
+      const values = fieldNames.map(f => escapeHTML(note.fields[f] ?? ''));
+      const noteId = baseId + i;
+      const tags = (note.tags || []).length ? ` ${note.tags.join(' ')} ` : '';
+      collection.run('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')', [
+        noteId, sha1(`${deck}\x00${values[0]}`).slice(0, 10), modelId, now, tags, values.join(FIELD_SEPARATOR),
+        note.fields[front] ?? '', checksum(note.fields[front] ?? '')
+      ]);
+      collection.run('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, \'\')', [
+        baseId + notes.length + i, noteId, deckId, now, i + 1
+      ]);
+    });
+
+    const zip = new AdmZip();
+    zip.addFile('collection.anki2', Buffer.from(collection.export()));
+    zip.addFile('media', Buffer.from('{}'));
+    return zip.toBuffer();
+  } finally {
+    collection.close();
+  }
+}
+
+module.exports = { stripHTML, parseDelimited, formatDelimited, parseText, formatText, readPackage, writePackage };
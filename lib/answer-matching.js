@@ -0,0 +1,139 @@
+// lib/answer-matching.js — Unicode-aware normalization and fuzzy matching for typed answers
+//
+// A typed answer is compared in two passes:
+//   strict  — NFC, case folding, zero-width characters, punctuation and
+//             spacing removed, Perso-Arabic letter variants unified
+//   lenient — strict plus diacritics dropped (Latin accents, Indic nukta,
+//             chandrabindu → anusvara, Arabic harakat)
+// A lenient match is "correct" when the language allows diacritic leniency and
+// "almost" otherwise; a small edit distance is "almost"; anything else is "wrong".
+
+const VERDICTS = { CORRECT: 'correct', ALMOST: 'almost', WRONG: 'wrong' };
+
+const DEFAULT_RULES = {
+  locale: undefined,
+  diacritics: 'lenient',
+  // [max answer length, typos allowed] — first row whose length fits wins
+  typoTolerance: [[4, 0], [8, 1], [Infinity, 2]]
+};
+
+// Per-language overrides of DEFAULT_RULES
+const LANGUAGE_RULES = {
+  Spanish: { locale: 'es' },
+  French: { locale: 'fr' },
+  Hindi: { locale: 'hi' },
+  Marathi: { locale: 'mr' },
+  Bhojpuri: { locale: 'bho' },
+  Rajasthani: { locale: 'raj' },
+  Punjabi: { locale: 'pa' },
+  Kannada: { locale: 'kn' },
+  Tamil: { locale: 'ta' },
+  Telugu: { locale: 'te' },
+  Malayalam: { locale: 'ml' },
+  Urdu: { locale: 'ur' },
+  Kashmiri: { locale: 'ks' },
+  // Hangul syllables have no optional marks; a single wrong jamo is a different word
+  Korean: { locale: 'ko', typoTolerance: [[6, 0], [Infinity, 1]] }
+};
+
+const ZERO_WIDTH = /[\u200B-\u200D\u2060\uFEFF]/g;
+const TATWEEL = /\u0640/g;
+const PUNCTUATION = /[\p{P}\p{S}]+/gu;
+
+// Keyboard/locale variants of the same Perso-Arabic letter
+const ARABIC_VARIANTS = [
+  [/[\u064A\u0649]/g, '\u06CC'], // Arabic yeh / alef maksura → Farsi yeh
+  [/\u0643/g, '\u06A9'], // Arabic kaf → keheh
+  [/\u0647/g, '\u06C1'] // heh → heh goal (Urdu)
+];
+
+const LATIN_ACCENTS = /[\u0300-\u036F]/g;
+const NUKTA = /[\u093C\u09BC\u0A3C\u0ABC\u0B3C\u0C3C\u0CBC]/g;
+const CHANDRABINDU = /[\u0901\u0981\u0A01\u0A81\u0B01\u0C01\u0C81\u0D01]/g;
+const HARAKAT = /[\u064B-\u065F\u0670]/g;
+
+function rulesFor(language) {
+  return { ...DEFAULT_RULES, ...(LANGUAGE_RULES[language] || {}) };
+}
+
+function normalizeStrict(text, language) {
+  const { locale } = rulesFor(language);
+  let s = String(text).normalize('NFC').replace(ZERO_WIDTH, '').replace(TATWEEL, '');
+  for (const [pattern, replacement] of ARABIC_VARIANTS) s = s.replace(pattern, replacement);
+  s = s.toLocaleLowerCase(locale);
+  return s.replace(PUNCTUATION, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeLenient(text, language) {
+  // Chandrabindu maps onto the anusvara of the same script (U+0901 → U+0902, …)
+  return normalizeStrict(text, language)
+    .normalize('NFD')
+    .replace(LATIN_ACCENTS, '')
+    .replace(NUKTA, '')
+    .replace(HARAKAT, '')
+    .replace(CHANDRABINDU, c => String.fromCharCode(c.charCodeAt(0) + 1))
+    .normalize('NFC');
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent swaps), by code point
+function editDistance(a, b) {
+  const s = Array.from(a);
+  const t = Array.from(b);
+  const d = Array.from({ length: s.length + 1 }, (_, i) => [i, ...new Array(t.length).fill(0)]);
+  for (let j = 1; j <= t.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= s.length; i++) {
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && s[i - 1] === t[j - 2] && s[i - 2] === t[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[s.length][t.length];
+}
+
+function allowedTypos(answer, rules) {
+  const length = Array.from(answer).length;
+  return rules.typoTolerance.find(([max]) => length <= max)[1];
+}
+
+/**
+ * Compare a typed response against the accepted answers for a language.
+ * The first entry of `accepted` is the canonical answer shown to the learner.
+ * Returns `{ verdict, canonical, matched, distance }`.
+ */
+function matchAnswer(response, accepted, language) {
+  const canonical = accepted[0];
+  const wrong = { verdict: VERDICTS.WRONG, canonical, matched: null, distance: null };
+  if (typeof response !== 'string' || !response.trim()) return wrong;
+
+  const rules = rulesFor(language);
+  const strict = normalizeStrict(response, language);
+  const lenient = normalizeLenient(response, language);
+  let best = wrong;
+
+  for (const answer of accepted) {
+    if (normalizeStrict(answer, language) === strict) {
+      return { verdict: VERDICTS.CORRECT, canonical, matched: answer, distance: 0 };
+    }
+
+    const target = normalizeLenient(answer, language);
+    if (target === lenient) {
+      const verdict = rules.diacritics === 'lenient' ? VERDICTS.CORRECT : VERDICTS.ALMOST;
+      if (verdict === VERDICTS.CORRECT) return { verdict, canonical, matched: answer, distance: 0 };
+      best = { verdict, canonical, matched: answer, distance: 0 };
+      continue;
+    }
+
+    const distance = editDistance(lenient, target);
+    if (distance <= allowedTypos(target, rules) && (best.distance === null || distance < best.distance)) {
+      best = { verdict: VERDICTS.ALMOST, canonical, matched: answer, distance };
+    }
+  }
+
+  return best;
+}
+
+module.exports = { VERDICTS, LANGUAGE_RULES, normalizeStrict, normalizeLenient, editDistance, matchAnswer };
@@ -0,0 +1,835 @@
+// lib/api-schemas.js — request and response schemas for every route
+//
+// Keyed by route name; server.js attaches them with validate(SCHEMAS.<name>)
+// and lib/openapi.js builds /api/openapi.json from the same entries. An entry
+// holds:
+//   params/query/body — JSON Schemas checked before the handler runs. They
+//     check shape, types and lengths only — whether a language exists or a
+//     question's answer is among its options is still checked by the handler.
+//   summary, tag       — for the docs
+//   responses          — status → response body schema; on an error status,
+//     the fields the envelope carries besides code and message
+//   errors             — error codes (lib/errors.js) the handler itself may
+//     send; validation, auth and 500 errors are added by lib/openapi.js
+//   upload, download   — content types of a raw file body or file response
+//   page               — the route serves an HTML page
+//   idempotent         — the route honours an Idempotency-Key header
+//     (lib/idempotency.js)
+//
+// Response schemas may $ref the shared ones in COMPONENTS.
+
+const { TYPES } = require('./question-types');
+const { SCHEMES } = require('./transliteration');
+const { FORMATS } = require('./question-packs');
+const { WINDOWS } = require('./leaderboard');
+const { MIN_RATING, MAX_RATING, MAX_QUIZ_SIZE } = require('./adaptive');
+const { MIN_PASSWORD_LENGTH } = require('./accounts');
+const { EVENT_TYPES, INVITE_CODE_LENGTH, MAX_FEED_PAGE_SIZE } = require('./social');
+
+// ===============================
+// Shared field schemas
+// ===============================
+const email = { type: 'string', format: 'email', maxLength: 255 };
+// bcrypt only reads the first 72 bytes
+const password = { type: 'string', minLength: 1, maxLength: 72 };
+const newPassword = { type: 'string', minLength: MIN_PASSWORD_LENGTH, maxLength: 72 };
+const name = { type: 'string', minLength: 1, maxLength: 100, pattern: '\\S' };
+const language = { type: 'string', minLength: 1, maxLength: 32 };
+const timezone = { type: 'string', minLength: 1, maxLength: 64 };
+const id = { type: 'integer', minimum: 1 };
+const token = { type: 'string', minLength: 1, maxLength: 200 };
+const flag = { type: 'string', enum: ['0', '1', 'true', 'false'] };
+const seed = { type: 'string', pattern: '^[\\w-]{1,16}$' };
+const limit = max => ({ type: 'integer', minimum: 1, maximum: max });
+const offset = { type: 'integer', minimum: 0 };
+
+function object(properties, required = [], extra = {}) {
+  return { type: 'object', properties, required, ...extra };
+}
+
+const langParams = object({ lang: language }, ['lang']);
+const idParams = object({ id }, ['id']);
+// `/…/me` routes have no email param; `/…/:email` ones take an email or "me"
+const userParams = object({ email: { type: 'string', minLength: 1, maxLength: 255 } });
+const romanizeQuery = object({ romanize: flag });
+
+// Fields every question has; type-specific ones are checked by validateQuestion
+const questionFields = {
+  language,
+  type: { type: 'string', enum: Object.keys(TYPES) },
+  question: { type: 'string', minLength: 1, maxLength: 1000 },
+  hint: { type: ['string', 'null'], maxLength: 1000 },
+  difficulty: { type: 'number', minimum: MIN_RATING, maximum: MAX_RATING }
+};
+
+// A learner's answer: a string, word tiles, or a { left: right } map
+const answer = {
+  anyOf: [
+    { type: 'string', maxLength: 1000 },
+    { type: 'array', items: { type: 'string', maxLength: 200 }, maxItems: 50 },
+    { type: 'object', additionalProperties: { type: 'string', maxLength: 200 }, maxProperties: 50 },
+    { type: 'null' }
+  ]
+};
+
+// ===============================
+// Response schemas
+// ===============================
+const ref = component => ({ $ref: `#/components/schemas/${component}` });
+const list = items => ({ type: 'array', items });
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+const dateTime = { type: 'string', format: 'date-time' };
+const date = { type: 'string', format: 'date' };
+
+// PublicQuestion (one schema per question type) and Error are added by
+// lib/openapi.js, from schemas/questions and lib/errors.js respectively.
+const COMPONENTS = {
+  Message: object({ message: string }, ['message']),
+  Profile: object({
+    name: string,
+    email: string,
+    learning_lang: nullable(string),
+    timezone: string,
+    emailVerified: boolean
+  }, ['name', 'email', 'learning_lang', 'timezone', 'emailVerified']),
+  Question: object({
+    id: integer,
+    language: string,
+    type: { type: 'string', enum: Object.keys(TYPES) },
+    question: string,
+    options: list(string),
+    answer: string,
+    hint: nullable(string),
+    difficulty: number
+  }, ['id', 'language', 'type', 'question'], {
+    description: 'A stored question, answer included. Type-specific fields (tiles, pairs, …) are inlined.'
+  }),
+  LevelInfo: object({
+    level: string,
+    levelIndex: integer,
+    nextLevel: nullable(string),
+    xpIntoLevel: integer,
+    xpToNextLevel: nullable(integer)
+  }, ['level', 'levelIndex', 'nextLevel', 'xpIntoLevel', 'xpToNextLevel']),
+  XPAward: {
+    allOf: [
+      ref('LevelInfo'),
+      object({
+        xpGained: integer,
+        xpBreakdown: list(object({ activity: string, amount: integer }, ['activity', 'amount'])),
+        xp: integer
+      }, ['xpGained', 'xpBreakdown', 'xp'])
+    ]
+  },
+  NewAchievement: object({ code: string, name: string, description: string }, ['code', 'name', 'description']),
+  Badge: object({
+    code: string,
+    name: string,
+    description: string,
+    earned: boolean,
+    earnedAt: nullable(dateTime),
+    progress: object({ current: number, target: number }, ['current', 'target'])
+  }, ['code', 'name', 'description', 'earned', 'earnedAt', 'progress']),
+  StreakUpdate: object({
+    streak: integer,
+    longestStreak: integer,
+    freezes: integer,
+    freezesUsed: integer,
+    freezeEarned: boolean,
+    advanced: { type: 'boolean', description: 'false when the user had already been active today' }
+  }, ['streak', 'longestStreak', 'freezes', 'freezesUsed', 'freezeEarned', 'advanced']),
+  QuizSession: object({
+    sessionId: { type: 'string', format: 'uuid' },
+    mode: { type: 'string', enum: ['quiz', 'review'] },
+    seed: string,
+    expiresAt: dateTime,
+    questions: list(ref('PublicQuestion'))
+  }, ['sessionId', 'mode', 'seed', 'expiresAt', 'questions']),
+  GradedAnswer: object({
+    questionId: integer,
+    type: string,
+    question: string,
+    chosen: { description: 'The answer as submitted, or null when unanswered' },
+    correct: boolean,
+    verdict: { type: 'string', enum: ['correct', 'almost', 'wrong'] },
+    correctAnswer: {},
+    hint: nullable(string)
+  }, ['questionId', 'type', 'question', 'correct', 'verdict']),
+  LeaderboardEntry: object({
+    rank: integer,
+    name: string,
+    learning_lang: nullable(string),
+    xp: integer,
+    level: string
+  }, ['rank', 'name', 'xp', 'level']),
+  // Another learner, as search and follow lists show them
+  UserSummary: object({
+    id: integer,
+    name: string,
+    level: string,
+    learning_lang: nullable(string),
+    following: { type: 'boolean', description: 'Whether the caller follows this user' }
+  }, ['id', 'name', 'level', 'learning_lang', 'following']),
+  Friend: {
+    allOf: [
+      ref('UserSummary'),
+      object({ xp: integer, since: dateTime }, ['xp', 'since'])
+    ]
+  },
+  FeedItem: object({
+    id: integer,
+    type: { type: 'string', enum: EVENT_TYPES },
+    user: object({ id: integer, name: string }, ['id', 'name']),
+    language: nullable(string),
+    data: { type: 'object', description: 'Depends on `type`; see lib/social.js' },
+    createdAt: dateTime
+  }, ['id', 'type', 'user', 'language', 'data', 'createdAt']),
+  Privacy: object({
+    privateProfile: { type: 'boolean', description: 'Left out of user search; followable only by invite code' },
+    hideFromLeaderboards: { type: 'boolean', description: 'Left off the global and friends leaderboards' }
+  }, ['privateProfile', 'hideFromLeaderboards']),
+  ImportReport: object({
+    summary: object({ total: integer, new: integer, duplicate: integer, invalid: integer }, ['total', 'new', 'duplicate', 'invalid']),
+    rows: list(object({
+      row: integer,
+      language: nullable(string),
+      type: string,
+      question: nullable(string),
+      status: { type: 'string', enum: ['new', 'duplicate', 'invalid'] },
+      errors: list(string),
+      duplicateOf: string
+    }, ['row', 'status']))
+  }, ['summary', 'rows']),
+  CurriculumLesson: object({
+    id: integer,
+    title: string,
+    position: integer,
+    completed: boolean,
+    locked: boolean
+  }, ['id', 'title', 'position', 'completed', 'locked']),
+  Curriculum: object({
+    units: list(object({
+      id: integer,
+      title: string,
+      position: integer,
+      completed: boolean,
+      lessons: list(ref('CurriculumLesson'))
+    }, ['id', 'title', 'position', 'completed', 'lessons'])),
+    totalLessons: integer,
+    lessonsCompleted: integer
+  }, ['units', 'totalLessons', 'lessonsCompleted']),
+  DatabaseStatus: object({
+    ok: boolean,
+    latencyMs: integer,
+    error: string
+  }, ['ok', 'latencyMs']),
+  // Completing a lesson either awards XP or, on a replay, reports the totals
+  LessonCompletion: {
+    oneOf: [
+      {
+        allOf: [
+          ref('XPAward'),
+          object({
+            message: string,
+            streak: integer,
+            freezeEarned: boolean,
+            freezesUsed: integer,
+            newAchievements: list(ref('NewAchievement'))
+          }, ['message', 'streak', 'freezeEarned', 'freezesUsed', 'newAchievements'])
+        ]
+      },
+      object({
+        message: string,
+        alreadyCompleted: { const: true },
+        xp: integer,
+        level: string,
+        streak: integer
+      }, ['message', 'alreadyCompleted', 'xp', 'level', 'streak'])
+    ]
+  }
+};
+
+const message = ref('Message');
+
+// Reported by /readyz, also on its 503
+const readiness = {
+  database: ref('DatabaseStatus'),
+  pendingMigrations: nullable(integer),
+  shuttingDown: boolean
+};
+
+// Docs section for each group of routes
+function tagged(tag, entries) {
+  for (const entry of Object.values(entries)) entry.tag = tag;
+  return entries;
+}
+
+const SCHEMAS = {
+  ...tagged('Accounts & auth', {
+    register: {
+      summary: 'Create an account and send a verification email',
+      body: object({ name, email, password: newPassword, learning_lang: language, timezone }, ['name', 'email', 'password']),
+      responses: { 200: message },
+      errors: ['UNSUPPORTED_LANGUAGE', 'ALREADY_EXISTS']
+    },
+    login: {
+      summary: 'Exchange email and password for an access and a refresh token',
+      body: object({ email, password }, ['email', 'password']),
+      responses: {
+        200: object({
+          message: string,
+          token: string,
+          expiresIn: { type: 'integer', description: 'Access token lifetime in seconds' },
+          refreshToken: string,
+          user: object({ name: string, email: string, role: string }, ['name', 'email', 'role'])
+        }, ['message', 'token', 'expiresIn', 'refreshToken', 'user'])
+      },
+      errors: ['INVALID_CREDENTIALS', 'RATE_LIMITED']
+    },
+    refresh: {
+      summary: 'Rotate a refresh token for a new access token',
+      body: object({ refreshToken: token }, ['refreshToken']),
+      responses: { 200: object({ token: string, expiresIn: integer, refreshToken: string }, ['token', 'expiresIn', 'refreshToken']) },
+      errors: ['INVALID_REFRESH_TOKEN', 'REFRESH_TOKEN_REUSED']
+    },
+    logout: {
+      summary: "End this device's session",
+      body: object({ refreshToken: token }, ['refreshToken']),
+      responses: { 200: message }
+    },
+    logoutAll: {
+      summary: "End every one of the caller's sessions",
+      responses: { 200: object({ message: string, sessionsRevoked: integer }, ['message', 'sessionsRevoked']) }
+    },
+    verifyEmailLink: {
+      summary: 'Verify an email address (the emailed link)',
+      query: object({ token }, ['token']),
+      responses: { 200: message },
+      errors: ['INVALID_ACCOUNT_TOKEN']
+    },
+    verifyEmail: {
+      summary: 'Verify an email address',
+      body: object({ token }, ['token']),
+      responses: { 200: message },
+      errors: ['INVALID_ACCOUNT_TOKEN']
+    },
+    resendVerification: {
+      summary: 'Send the verification email again',
+      responses: { 200: message },
+      errors: ['NOT_FOUND', 'CONFLICT']
+    },
+    forgotPassword: {
+      summary: 'Email a password reset token, if the account exists',
+      body: object({ email }, ['email']),
+      responses: { 200: message }
+    },
+    resetPassword: {
+      summary: 'Set a new password with a reset token',
+      body: object({ token, password: newPassword }, ['token', 'password']),
+      responses: { 200: message },
+      errors: ['INVALID_ACCOUNT_TOKEN']
+    },
+    changePassword: {
+      summary: 'Change password and log out other devices',
+      body: object({ currentPassword: password, newPassword }, ['currentPassword', 'newPassword']),
+      responses: { 200: message },
+      errors: ['INVALID_CREDENTIALS', 'NOT_FOUND']
+    },
+    profile: {
+      summary: "The caller's profile",
+      responses: { 200: ref('Profile') },
+      errors: ['NOT_FOUND']
+    },
+    updateProfile: {
+      summary: 'Update name, email, learning language or timezone',
+      body: object({ name, email, learning_lang: language, timezone }, [], { minProperties: 1 }),
+      responses: {
+        200: object({
+          message: string,
+          profile: ref('Profile'),
+          token: { type: 'string', description: 'A fresh access token, present when the email changed' }
+        }, ['message', 'profile'])
+      },
+      errors: ['UNSUPPORTED_LANGUAGE', 'ALREADY_EXISTS', 'NOT_FOUND']
+    },
+    deleteAccount: {
+      summary: 'Delete the account and all progress',
+      body: object({ password }, ['password']),
+      responses: { 200: message },
+      errors: ['INVALID_CREDENTIALS', 'NOT_FOUND']
+    }
+  }),
+
+  ...tagged('Progress & streaks', {
+    languages: {
+      summary: 'Supported languages',
+      responses: { 200: list(string) }
+    },
+    dashboard: {
+      summary: "A user's overview: level, XP, streak and per-language progress",
+      params: userParams,
+      responses: {
+        200: object({
+          id: integer,
+          name: string,
+          email: string,
+          learning_lang: nullable(string),
+          level: string,
+          xp: integer,
+          streak: integer,
+          last_active: nullable(date),
+          nextLevel: nullable(string),
+          xpIntoLevel: integer,
+          xpToNextLevel: nullable(integer),
+          languages: list(object({
+            language: string,
+            lessonsCompleted: integer,
+            xpEarned: integer,
+            lastStudied: nullable(dateTime)
+          }, ['language', 'lessonsCompleted', 'xpEarned', 'lastStudied'])),
+          reviewsDue: integer,
+          reviewsDueByLanguage: { type: 'object', additionalProperties: integer }
+        }, ['id', 'name', 'email', 'level', 'xp', 'languages', 'reviewsDue', 'reviewsDueByLanguage'], {
+          description: 'Also carries legacy `progress_<language>` lesson counts',
+          patternProperties: { '^progress_': integer }
+        })
+      },
+      errors: ['FORBIDDEN', 'NOT_FOUND']
+    },
+    progress: {
+      summary: "A user's progress in one language",
+      params: object({ ...userParams.properties, lang: language }, ['lang']),
+      responses: {
+        200: object({
+          xp: integer,
+          level: string,
+          lessonsCompleted: integer,
+          xpEarned: integer,
+          lastStudied: nullable(dateTime),
+          totalLessons: integer,
+          ability: { type: 'number', description: 'Adaptive-difficulty rating in this language' }
+        }, ['xp', 'level', 'lessonsCompleted', 'xpEarned', 'lastStudied', 'totalLessons', 'ability'])
+      },
+      errors: ['UNSUPPORTED_LANGUAGE', 'FORBIDDEN', 'NOT_FOUND']
+    },
+    updateStreak: {
+      summary: "Record today's activity",
+      responses: {
+        200: {
+          allOf: [
+            ref('StreakUpdate'),
+            object({ message: string, newAchievements: list(ref('NewAchievement')) }, ['message', 'newAchievements'])
+          ]
+        }
+      },
+      errors: ['NOT_FOUND']
+    },
+    streakHistory: {
+      summary: 'Streak summary and a calendar of active days',
+      query: object({ days: limit(366) }),
+      responses: {
+        200: object({
+          timezone: string,
+          currentStreak: integer,
+          longestStreak: integer,
+          freezes: integer,
+          calendar: list(object({ date, frozen: boolean }, ['date', 'frozen']))
+        }, ['timezone', 'currentStreak', 'longestStreak', 'freezes', 'calendar'])
+      },
+      errors: ['NOT_FOUND']
+    },
+    updateTimezone: {
+      summary: 'Set the timezone streak days are counted in',
+      body: object({ timezone }, ['timezone']),
+      responses: { 200: object({ message: string, timezone: string }, ['message', 'timezone']) }
+    },
+    xpHistory: {
+      summary: "The caller's XP ledger, newest first",
+      query: object({ limit: limit(200) }),
+      responses: {
+        200: {
+          allOf: [
+            ref('LevelInfo'),
+            object({
+              xp: integer,
+              entries: list(object({
+                activity: string,
+                amount: integer,
+                language: nullable(string),
+                ref: nullable(string),
+                created_at: dateTime
+              }, ['activity', 'amount', 'created_at']))
+            }, ['xp', 'entries'])
+          ]
+        }
+      },
+      errors: ['NOT_FOUND']
+    },
+    achievements: {
+      summary: 'Earned and locked badges with progress',
+      responses: { 200: object({ earned: list(ref('Badge')), locked: list(ref('Badge')) }, ['earned', 'locked']) },
+      errors: ['NOT_FOUND']
+    },
+    leaderboard: {
+      summary: 'XP rankings; signed-in callers also get their own place',
+      query: object({ lang: language, window: { type: 'string', enum: WINDOWS }, limit: limit(100), offset }),
+      responses: {
+        200: object({
+          language: nullable(string),
+          window: { type: 'string', enum: WINDOWS },
+          since: nullable(dateTime),
+          total: integer,
+          limit: integer,
+          offset: integer,
+          entries: list(ref('LeaderboardEntry')),
+          me: {
+            type: ['object', 'null'],
+            description: 'null for anonymous callers; rank is null when the caller has no XP in scope',
+            properties: {
+              rank: nullable(integer),
+              xp: integer,
+              neighbors: list({ allOf: [ref('LeaderboardEntry'), object({ isMe: boolean }, ['isMe'])] })
+            },
+            required: ['rank', 'xp', 'neighbors']
+          }
+        }, ['language', 'window', 'since', 'total', 'limit', 'offset', 'entries', 'me'])
+      },
+      errors: ['UNSUPPORTED_LANGUAGE']
+    }
+  }),
+
+  ...tagged('Friends & feed', {
+    inviteCode: {
+      summary: "The caller's invite code, created on first use",
+      responses: { 200: object({ inviteCode: string }, ['inviteCode']) },
+      errors: ['NOT_FOUND']
+    },
+    regenerateInviteCode: {
+      summary: 'Replace the invite code; the old one stops working',
+      responses: { 200: object({ message: string, inviteCode: string }, ['message', 'inviteCode']) },
+      errors: ['NOT_FOUND']
+    },
+    searchUsers: {
+      summary: 'Find learners to follow by name',
+      query: object({ q: { type: 'string', minLength: 2, maxLength: 100, pattern: '\\S' }, limit: limit(50) }, ['q']),
+      responses: { 200: list(ref('UserSummary')) }
+    },
+    follow: {
+      summary: 'Follow a learner by id or invite code',
+      body: object({
+        userId: id,
+        inviteCode: { type: 'string', minLength: INVITE_CODE_LENGTH, maxLength: 32 }
+      }, [], { oneOf: [{ required: ['userId'] }, { required: ['inviteCode'] }] }),
+      responses: { 200: object({ message: string, user: ref('UserSummary') }, ['message', 'user']) },
+      errors: ['NOT_FOUND', 'CANNOT_FOLLOW_SELF']
+    },
+    unfollow: {
+      summary: 'Stop following a learner',
+      params: idParams,
+      responses: { 200: message },
+      errors: ['NOT_FOUND']
+    },
+    follows: {
+      summary: 'Who the caller follows and who follows them',
+      responses: {
+        200: object({
+          following: list(ref('Friend')),
+          followers: list(ref('Friend'))
+        }, ['following', 'followers'])
+      }
+    },
+    friendsLeaderboard: {
+      summary: 'XP rankings of the caller and the people they follow',
+      query: object({ lang: language, window: { type: 'string', enum: WINDOWS }, limit: limit(100), offset }),
+      responses: {
+        200: object({
+          language: nullable(string),
+          window: { type: 'string', enum: WINDOWS },
+          since: nullable(dateTime),
+          total: integer,
+          limit: integer,
+          offset: integer,
+          entries: list({ allOf: [ref('LeaderboardEntry'), object({ isMe: boolean }, ['isMe'])] })
+        }, ['language', 'window', 'since', 'total', 'limit', 'offset', 'entries'])
+      },
+      errors: ['UNSUPPORTED_LANGUAGE']
+    },
+    feed: {
+      summary: 'Lesson completions, level-ups and streak milestones of the people the caller follows',
+      query: object({ limit: limit(MAX_FEED_PAGE_SIZE), before: id }),
+      responses: {
+        200: object({
+          items: list(ref('FeedItem')),
+          nextBefore: { ...nullable(integer), description: 'Pass as `before` for the next page; null on the last one' }
+        }, ['items', 'nextBefore'])
+      }
+    },
+    privacy: {
+      summary: "The caller's privacy settings",
+      responses: { 200: ref('Privacy') },
+      errors: ['NOT_FOUND']
+    },
+    updatePrivacy: {
+      summary: 'Change privacy settings',
+      body: object({ privateProfile: boolean, hideFromLeaderboards: boolean }, [], { minProperties: 1 }),
+      responses: { 200: { allOf: [ref('Privacy'), object({ message: string }, ['message'])] } },
+      errors: ['NOT_FOUND']
+    }
+  }),
+
+  ...tagged('Questions & quizzes', {
+    questions: {
+      summary: "A language's questions, shuffled, without answers",
+      params: langParams,
+      query: object({ romanize: flag, seed }),
+      responses: { 200: list(ref('PublicQuestion')) },
+      errors: ['NOT_FOUND']
+    },
+    questionTypes: {
+      summary: 'JSON Schemas for the client-facing shape of each question type',
+      responses: {
+        200: object({ schemaVersion: integer, types: { type: 'object', additionalProperties: { type: 'object' } } }, ['schemaVersion', 'types'])
+      }
+    },
+    transliterate: {
+      summary: 'Romanize native-script text',
+      body: object({
+        text: { type: 'string', minLength: 1, maxLength: 1000, pattern: '\\S' },
+        lang: language,
+        scheme: { type: 'string', enum: SCHEMES }
+      }, ['text', 'lang']),
+      responses: {
+        200: object({
+          text: string,
+          language: string,
+          script: nullable(string),
+          scheme: { type: 'string', enum: SCHEMES },
+          romanized: string
+        }, ['text', 'language', 'script', 'scheme', 'romanized'])
+      },
+      errors: ['UNSUPPORTED_LANGUAGE']
+    },
+    review: {
+      summary: 'Questions due for review today',
+      params: langParams,
+      query: romanizeQuery,
+      responses: { 200: object({ due: integer, questions: list(ref('PublicQuestion')) }, ['due', 'questions']) },
+      errors: ['UNSUPPORTED_LANGUAGE', 'NOT_FOUND']
+    },
+    startQuiz: {
+      summary: 'Start a server-graded quiz or review session',
+      body: object({
+        lang: language,
+        mode: { type: 'string', enum: ['quiz', 'review'] },
+        count: limit(MAX_QUIZ_SIZE),
+        seed,
+        romanize: { type: 'boolean' }
+      }, ['lang']),
+      responses: { 201: ref('QuizSession') },
+      errors: ['UNSUPPORTED_LANGUAGE', 'NOT_FOUND']
+    },
+    resumeQuiz: {
+      summary: 'Reload an open quiz session',
+      params: object({ sessionId: { type: 'string', format: 'uuid' } }, ['sessionId']),
+      query: romanizeQuery,
+      responses: { 200: ref('QuizSession') },
+      errors: ['NOT_FOUND', 'SESSION_ALREADY_SUBMITTED', 'SESSION_EXPIRED']
+    },
+    submitQuiz: {
+      summary: 'Submit answers; the server grades them and awards XP',
+      body: object({
+        sessionId: { type: 'string', format: 'uuid' },
+        answers: {
+          type: 'array',
+          maxItems: MAX_QUIZ_SIZE * 2,
+          items: object({ questionId: id, answer }, ['questionId'])
+        }
+      }, ['sessionId', 'answers']),
+      responses: {
+        200: {
+          allOf: [
+            ref('XPAward'),
+            object({
+              message: string,
+              score: integer,
+              total: integer,
+              lessonsCompleted: integer,
+              ability: object({ before: number, after: number }, ['before', 'after']),
+              results: list(ref('GradedAnswer')),
+              newAchievements: list(ref('NewAchievement'))
+            }, ['message', 'score', 'total', 'lessonsCompleted', 'ability', 'results', 'newAchievements'])
+          ]
+        }
+      },
+      errors: ['NOT_FOUND', 'SESSION_ALREADY_SUBMITTED', 'SESSION_EXPIRED'],
+      idempotent: true
+    }
+  }),
+
+  ...tagged('Curriculum', {
+    curriculum: {
+      summary: "A language's units and lessons with completion and lock state",
+      params: langParams,
+      responses: { 200: { allOf: [object({ language: string }, ['language']), ref('Curriculum')] } },
+      errors: ['UNSUPPORTED_LANGUAGE']
+    },
+    lesson: {
+      summary: 'A lesson with its vocabulary and questions',
+      params: idParams,
+      query: romanizeQuery,
+      responses: {
+        200: {
+          allOf: [
+            ref('CurriculumLesson'),
+            object({ language: string, vocabulary: {}, questions: list(ref('PublicQuestion')) }, ['language', 'vocabulary', 'questions'])
+          ]
+        }
+      },
+      errors: ['NOT_FOUND', 'LESSON_LOCKED']
+    },
+    completeLesson: {
+      summary: 'Complete a lesson and award XP',
+      body: object({
+        lessonId: id,
+        // Ignored — XP comes from the server's rules — but must not be junk
+        gainedXP: { type: 'integer', minimum: 0, deprecated: true }
+      }, ['lessonId']),
+      responses: { 200: ref('LessonCompletion') },
+      errors: ['NOT_FOUND', 'LESSON_LOCKED'],
+      idempotent: true
+    },
+    completeLessonById: {
+      summary: 'Complete a lesson and award XP',
+      params: idParams,
+      responses: { 200: ref('LessonCompletion') },
+      errors: ['NOT_FOUND', 'LESSON_LOCKED'],
+      idempotent: true
+    }
+  }),
+
+  ...tagged('Admin', {
+    adminListQuestions: {
+      summary: 'All questions, answers included',
+      query: object({ lang: language }),
+      responses: { 200: list(ref('Question')) }
+    },
+    adminCreateQuestion: {
+      summary: 'Add a question',
+      body: object(questionFields, ['language', 'question']),
+      responses: { 201: ref('Question') },
+      errors: ['UNSUPPORTED_LANGUAGE']
+    },
+    adminUpdateQuestion: {
+      summary: 'Change fields of a question',
+      params: idParams,
+      body: object(questionFields, [], { minProperties: 1 }),
+      responses: { 200: ref('Question') },
+      errors: ['UNSUPPORTED_LANGUAGE', 'NOT_FOUND']
+    },
+    adminDeleteQuestion: {
+      summary: 'Delete a question',
+      params: idParams,
+      responses: { 200: message },
+      errors: ['NOT_FOUND']
+    },
+    adminImportPack: {
+      summary: 'Import a question pack (a dry run unless commit=true)',
+      query: object({
+        format: { type: 'string', enum: Object.keys(FORMATS) },
+        lang: language,
+        commit: { type: 'string', enum: ['true', 'false'] }
+      }),
+      // The raw file is the request body
+      upload: [...new Set(Object.values(FORMATS).map(f => f.contentType.split(';')[0]))],
+      responses: {
+        200: { allOf: [object({ dryRun: { const: true }, format: string }, ['dryRun', 'format']), ref('ImportReport')] },
+        201: {
+          allOf: [
+            object({ dryRun: { const: false }, format: string, imported: integer }, ['dryRun', 'format', 'imported']),
+            ref('ImportReport')
+          ]
+        }
+      },
+      // 422 carries the full report so every bad row can be fixed in one go
+      errors: ['BAD_REQUEST', 'UNPROCESSABLE']
+    },
+    adminExportPack: {
+      summary: "Download a language's questions as a pack",
+      params: langParams,
+      query: object({ format: { type: 'string', enum: Object.keys(FORMATS) } }),
+      download: [...new Set(Object.values(FORMATS).map(f => f.contentType.split(';')[0]))],
+      errors: ['UNSUPPORTED_LANGUAGE']
+    },
+    adminXpAudit: {
+      summary: "Compare a user's stored XP with their ledger",
+      params: idParams,
+      responses: {
+        200: object({ userId: integer, storedXP: integer, ledgerXP: integer, consistent: boolean }, ['userId', 'storedXP', 'ledgerXP', 'consistent'])
+      },
+      errors: ['NOT_FOUND']
+    },
+    adminXpRecompute: {
+      summary: "Reset a user's XP and level from their ledger",
+      params: idParams,
+      responses: {
+        200: { allOf: [ref('LevelInfo'), object({ message: string, userId: integer, xp: integer }, ['message', 'userId', 'xp'])] }
+      },
+      errors: ['NOT_FOUND']
+    },
+    adminAuthEvents: {
+      summary: 'Login and password audit events, newest first',
+      query: object({
+        event: { type: 'string', maxLength: 32 },
+        email: { type: 'string', maxLength: 255 },
+        userId: id,
+        since: { type: 'string', anyOf: [{ format: 'date' }, { format: 'date-time' }] },
+        limit: limit(200),
+        offset
+      }),
+      responses: {
+        200: object({
+          limit: integer,
+          offset: integer,
+          events: list(object({
+            id: integer,
+            event: string,
+            userId: nullable(integer),
+            email: nullable(string),
+            ip: nullable(string),
+            userAgent: nullable(string),
+            createdAt: dateTime
+          }, ['id', 'event', 'userId', 'email', 'ip', 'userAgent', 'createdAt']))
+        }, ['limit', 'offset', 'events'])
+      }
+    }
+  }),
+
+  ...tagged('Meta', {
+    docs: {
+      summary: 'Interactive API docs (Swagger UI)',
+      page: true
+    },
+    openapi: {
+      summary: 'This OpenAPI document',
+      responses: { 200: object({ openapi: string, info: { type: 'object' }, paths: { type: 'object' } }, ['openapi', 'info', 'paths']) }
+    },
+    healthz: {
+      summary: 'Liveness: the process is up (200 even when the database is down)',
+      responses: { 200: object({ status: { const: 'ok' }, uptimeSeconds: integer, database: ref('DatabaseStatus') }, ['status', 'uptimeSeconds', 'database']) }
+    },
+    readyz: {
+      summary: 'Readiness: 503 while the database is down or the server is shutting down',
+      responses: {
+        200: object({ status: { const: 'ready' }, ...readiness }, ['status', 'database', 'pendingMigrations', 'shuttingDown']),
+        503: object(readiness, ['database', 'pendingMigrations', 'shuttingDown'])
+      },
+      errors: ['SERVICE_UNAVAILABLE']
+    }
+  })
+};
+
+module.exports = { SCHEMAS, COMPONENTS };
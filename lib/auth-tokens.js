@@ -0,0 +1,64 @@
+// lib/auth-tokens.js — access/refresh token settings and JWT secret checks
+//
+// Access tokens are short-lived JWTs checked without a database lookup.
+// Refresh tokens are random strings; only their SHA-256 is stored (see
+// migrations/013_refresh_tokens.sql).
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+const DEMO_SECRET = 'langlink_demo_secret_please_change';
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * Pick the JWT secret from the environment. Outside production a missing
+ * secret falls back to the demo one (with a warning); in production a
+ * missing, demo or short secret is an error so the server won't start.
+ */
+function resolveJwtSecret(env = process.env) {
+  const secret = env.JWT_SECRET;
+  const weak = !secret || secret === DEMO_SECRET || secret.length < MIN_SECRET_LENGTH;
+
+  if (env.NODE_ENV === 'production' && weak) {
+    throw new Error(`JWT_SECRET must be set to a random string of at least ${MIN_SECRET_LENGTH} characters in production`);
+  }
+  if (!secret) {
+    console.warn('⚠️  JWT_SECRET is not set; using the demo secret (never do this in production)');
+    return DEMO_SECRET;
+  }
+  return secret;
+}
+
+function signAccessToken(user, secret) {
+  return jwt.sign(
+    { email: user.email, id: user.id, role: user.role || 'learner' },
+    secret,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// `token` goes to the client; `tokenHash` and `expiresAt` are stored
+function createRefreshToken(now = new Date()) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  return {
+    token,
+    tokenHash: hashRefreshToken(token),
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  };
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_DAYS,
+  resolveJwtSecret,
+  signAccessToken,
+  hashRefreshToken,
+  createRefreshToken
+};
@@ -0,0 +1,49 @@
+// lib/curriculum.js — unit/lesson tree with per-user completion and lock state
+
+/**
+ * Build the curriculum view for one language.
+ * `lessonRows` must be ordered by unit position, then lesson position, and carry
+ * unit_id / unit_title / unit_position alongside the lesson columns.
+ * A lesson is unlocked when it is the first one or the lesson before it
+ * (across unit boundaries) has been completed.
+ */
+function buildCurriculum(lessonRows, completedIds) {
+  const units = [];
+  let previousCompleted = true;
+  let completedCount = 0;
+
+  for (const row of lessonRows) {
+    let unit = units[units.length - 1];
+    if (!unit || unit.id !== row.unit_id) {
+      unit = { id: row.unit_id, title: row.unit_title, position: row.unit_position, lessons: [] };
+      units.push(unit);
+    }
+
+    const completed = completedIds.has(row.id);
+    if (completed) completedCount += 1;
+    unit.lessons.push({
+      id: row.id,
+      title: row.title,
+      position: row.position,
+      completed,
+      locked: !completed && !previousCompleted
+    });
+    previousCompleted = completed;
+  }
+
+  for (const unit of units) {
+    unit.completed = unit.lessons.every(l => l.completed);
+  }
+
+  return { units, totalLessons: lessonRows.length, lessonsCompleted: completedCount };
+}
+
+function findLesson(curriculum, lessonId) {
+  for (const unit of curriculum.units) {
+    const lesson = unit.lessons.find(l => l.id === lessonId);
+    if (lesson) return lesson;
+  }
+  return null;
+}
+
+module.exports = { buildCurriculum, findLesson };
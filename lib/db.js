@@ -0,0 +1,77 @@
+// lib/db.js — MySQL connection settings, the server's pool and health checks
+
+const mysql = require('mysql2/promise');
+
+const dbConfig = {
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 3306,
+  ssl: { rejectUnauthorized: false },
+  // Return DATE columns as 'YYYY-MM-DD' so calendar days aren't shifted by the server timezone
+  dateStrings: ['DATE']
+};
+
+const POOL_OPTIONS = {
+  waitForConnections: true,
+  connectionLimit: Number(process.env.DB_POOL_SIZE) || 10,
+  queueLimit: 0,
+  // Idle connections are pinged so NAT/proxy timeouts don't silently kill them
+  enableKeepAlive: true,
+  keepAliveInitialDelay: 10000,
+  idleTimeout: 60000
+};
+
+// A single connection, for scripts (seeding, migrations)
+function connect(options = {}) {
+  return mysql.createConnection({ ...dbConfig, ...options });
+}
+
+/**
+ * The server's pool. Connections open on demand; one that drops (MySQL
+ * restart, network blip) is discarded and the next query opens a fresh one,
+ * so the server recovers without a restart. Only the query that was running
+ * on the dropped connection fails.
+ */
+function createPool() {
+  return mysql.createPool({ ...dbConfig, ...POOL_OPTIONS });
+}
+
+/**
+ * `SELECT 1` with a deadline. Resolves `{ ok, latencyMs, error? }`; never rejects.
+ */
+async function ping(db, timeoutMs = 2000) {
+  const started = Date.now();
+  let timer;
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`no reply within ${timeoutMs}ms`)), timeoutMs);
+  });
+  try {
+    await Promise.race([db.query('SELECT 1'), deadline]);
+    return { ok: true, latencyMs: Date.now() - started };
+  } catch (err) {
+    return { ok: false, latencyMs: Date.now() - started, error: err.code || err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Ping until the database answers, backing off from `initialDelayMs` to
+ * `maxDelayMs`. Resolves true once connected, or false after `attempts`.
+ */
+async function waitForDatabase(db, { attempts = Infinity, initialDelayMs = 500, maxDelayMs = 30000, onRetry = () => {} } = {}) {
+  let delay = initialDelayMs;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const result = await ping(db, 5000);
+    if (result.ok) return true;
+    if (attempt === attempts) break;
+    onRetry({ attempt, error: result.error, retryInMs: delay });
+    await new Promise(resolve => setTimeout(resolve, delay));
+    delay = Math.min(delay * 2, maxDelayMs);
+  }
+  return false;
+}
+
+module.exports = { dbConfig, connect, createPool, ping, waitForDatabase };
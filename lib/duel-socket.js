@@ -0,0 +1,97 @@
+// lib/duel-socket.js — serves the duel arena (lib/duels.js) over WebSockets
+//
+// Clients connect to ws(s)://<host>/ws/duels?token=<access token> — browsers
+// can't set an Authorization header on a WebSocket — and exchange JSON
+// messages. A missing or invalid token is refused with 401 before the
+// upgrade. Silent connections are pinged and dropped, so a player whose
+// network vanished starts their reconnect grace period instead of hanging.
+
+const { WebSocketServer } = require('ws');
+const { isShuttingDown } = require('./shutdown');
+
+const DUEL_PATH = '/ws/duels';
+const MAX_MESSAGE_BYTES = 16 * 1024;
+const PING_INTERVAL_MS = 30 * 1000;
+
+function refuse(socket, status, reason) {
+  if (socket.destroyed) return;
+  socket.once('finish', () => socket.destroy());
+  socket.end(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+/**
+ * Handles upgrades to DUEL_PATH on `server`. `authenticate(token)` resolves
+ * the user `{ id, name }`, or null to refuse. Returns `{ close() }`.
+ */
+function attachDuelSocket(server, arena, { authenticate }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+  server.on('upgrade', async (req, socket, head) => {
+    // Node drops its own error listener from upgraded sockets; without one, a
+    // client resetting the connection while we authenticate would crash the process
+    socket.on('error', () => socket.destroy());
+
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== DUEL_PATH) return refuse(socket, 404, 'Not Found');
+    if (isShuttingDown()) return refuse(socket, 503, 'Service Unavailable');
+
+    let user = null;
+    try {
+      user = await authenticate(url.searchParams.get('token'));
+    } catch {
+      user = null;
+    }
+    if (!user) return refuse(socket, 401, 'Unauthorized');
+    if (socket.destroyed) return;
+
+    wss.handleUpgrade(req, socket, head, ws => connected(ws, user));
+  });
+
+  function connected(ws, user) {
+    const sendJSON = message => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+    };
+    const player = arena.connect(user, { send: sendJSON, close: (code, reason) => ws.close(code, reason) });
+
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+    ws.on('message', async data => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch {
+        return sendJSON({ type: 'error', code: 'BAD_MESSAGE', message: 'Messages must be JSON' });
+      }
+      try {
+        await player.receive(message);
+      } catch (err) {
+        console.error('Duel message error:', err);
+        sendJSON({ type: 'error', code: 'INTERNAL_ERROR', message: 'Internal server error' });
+      }
+    });
+    ws.on('close', () => player.disconnect());
+  }
+
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, PING_INTERVAL_MS);
+  heartbeat.unref();
+
+  function close() {
+    clearInterval(heartbeat);
+    arena.close();
+    for (const ws of wss.clients) ws.close(1001, 'Server shutting down');
+    return new Promise(resolve => wss.close(() => resolve()));
+  }
+
+  return { close };
+}
+
+module.exports = { DUEL_PATH, attachDuelSocket };
@@ -0,0 +1,388 @@
+// lib/duels.js — live head-to-head quiz duels
+//
+// Two learners of the same language are paired by matchmaking or a room code,
+// get the same server-chosen questions at the same time and race a timer on
+// each one. The server grades every answer and both players see the scores
+// as they change. The arena knows nothing about sockets: a player is a user
+// `{ id, name }` plus a link `{ send(message), close(code, reason) }`, and
+// lib/duel-socket.js connects it to WebSockets.
+//
+// Client → server:
+//   { type: 'queue', language }          wait for an opponent in that language
+//   { type: 'create', language }         open a private room (answered with `room`)
+//   { type: 'join', code }               join a friend's room
+//   { type: 'answer', index, answer }    answer the current question, once
+//   { type: 'leave' }                    leave the queue or room, or forfeit
+//
+// Server → client:
+//   queued { language }                  room { code, language }
+//   matched { duelId, language, opponent, questionCount, questionTimeMs, startsInMs }
+//   question { index, question, timeLimitMs }
+//   answered { index, correct, verdict } (to the answerer)
+//   scores { scores }                    (whenever anyone answers)
+//   question_end { index, correctAnswer, scores }
+//   opponent_left { reconnectWithinMs }  opponent_back
+//   resumed { …the duel so far }         (on reconnecting)
+//   finished { duelId, outcome, forfeit, scores, award }
+//   cancelled { duelId }                 (the opponent left before the first question)
+//   left                                 error { code, message }
+//
+// A player who drops has reconnectGraceMs to come back; the clock keeps
+// running and questions they miss count as wrong. After that they forfeit.
+// Leaving before the first question cancels the duel instead: no winner, no XP.
+// When a duel ends, `finish(result)` awards XP and resolves each player's
+// award, which is sent with `finished`. Duels live in this process only.
+
+const crypto = require('crypto');
+const { toPublicQuestion, gradeAnswers } = require('./quiz');
+
+const DUEL_DEFAULTS = {
+  questionCount: 5,
+  questionTimeMs: 15 * 1000,
+  // Countdown after matching, and the pause that shows each correct answer
+  startDelayMs: 3 * 1000,
+  revealMs: 2 * 1000,
+  reconnectGraceMs: 30 * 1000
+};
+
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 6;
+
+function createRoomCode() {
+  let code = '';
+  for (let i = 0; i < ROOM_CODE_LENGTH; i++) code += ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)];
+  return code;
+}
+
+// 'win', 'loss' or 'draw' for `player`; a forfeit loses whatever the score
+function outcomeFor(player, opponent, forfeitedBy) {
+  if (forfeitedBy !== null) return player.id === forfeitedBy ? 'loss' : 'win';
+  if (player.score === opponent.score) return 'draw';
+  return player.score > opponent.score ? 'win' : 'loss';
+}
+
+/**
+ * `languageExists(language)` and `pickQuestions(language, userIds, count)`
+ * come from the storage layer; `finish({ duelId, language, players })`
+ * receives each player's `{ id, score, outcome }` and resolves a Map of
+ * userId → award. `settings` (DUEL_DEFAULTS) may be changed, e.g. by tests.
+ */
+function createArena({ languageExists, pickQuestions, finish, ...options }) {
+  const settings = { ...DUEL_DEFAULTS, ...options };
+  const links = new Map();    // userId → { send, close } of their open connection
+  const seats = new Map();    // userId → { queue: language } | { room: code } | { duel }
+  const queues = new Map();   // language → the user waiting for an opponent
+  const rooms = new Map();    // code → { language, host }
+  const duels = new Map();    // duelId → duel
+
+  const send = (userId, message) => {
+    const link = links.get(userId);
+    if (link) link.send(message);
+  };
+  const sendError = (userId, code, message) => send(userId, { type: 'error', code, message });
+  const broadcast = (duel, message) => duel.players.forEach(p => send(p.id, message));
+  const opponentOf = (duel, userId) => duel.players.find(p => p.id !== userId);
+
+  function scores(duel) {
+    return duel.players.map(p => ({
+      userId: p.id,
+      name: p.name,
+      score: p.score,
+      answered: duel.index >= 0 && Boolean(p.answers[duel.index]),
+      connected: p.connected
+    }));
+  }
+
+  function publicQuestion(duel, index) {
+    return toPublicQuestion(duel.questions[index], { seed: duel.id });
+  }
+
+  // ===============================
+  // Pairing
+  // ===============================
+  async function checkLanguage(user, language) {
+    if (typeof language === 'string' && language && (await languageExists(language))) return true;
+    sendError(user.id, 'UNSUPPORTED_LANGUAGE', 'Unsupported language');
+    return false;
+  }
+
+  function checkFree(user) {
+    if (!seats.has(user.id)) return true;
+    sendError(user.id, 'ALREADY_PLAYING', 'Leave your current duel, room or queue first');
+    return false;
+  }
+
+  async function queue(user, language) {
+    if (!checkFree(user) || !(await checkLanguage(user, language)) || !checkFree(user)) return;
+
+    const waiting = queues.get(language);
+    if (waiting) {
+      queues.delete(language);
+      seats.delete(waiting.id);
+      return start(language, [waiting, user]);
+    }
+    queues.set(language, user);
+    seats.set(user.id, { queue: language });
+    send(user.id, { type: 'queued', language });
+  }
+
+  async function createRoom(user, language) {
+    if (!checkFree(user) || !(await checkLanguage(user, language)) || !checkFree(user)) return;
+
+    let code;
+    do code = createRoomCode(); while (rooms.has(code));
+    rooms.set(code, { language, host: user });
+    seats.set(user.id, { room: code });
+    send(user.id, { type: 'room', code, language });
+  }
+
+  async function joinRoom(user, code) {
+    if (!checkFree(user)) return;
+    const key = String(code || '').toUpperCase().trim();
+    const room = rooms.get(key);
+    if (!room) return sendError(user.id, 'ROOM_NOT_FOUND', 'No open room with that code');
+
+    rooms.delete(key);
+    seats.delete(room.host.id);
+    return start(room.language, [room.host, user]);
+  }
+
+  // ===============================
+  // Playing
+  // ===============================
+  async function start(language, users) {
+    const duel = {
+      id: crypto.randomUUID(),
+      language,
+      players: users.map(u => ({ id: u.id, name: u.name, score: 0, answers: [], connected: links.has(u.id), graceTimer: null })),
+      questions: [],
+      index: -1,
+      phase: 'starting',
+      deadline: null,
+      timer: null
+    };
+    duels.set(duel.id, duel);
+    // Seated before the await, so neither can queue again meanwhile
+    for (const p of duel.players) seats.set(p.id, { duel });
+
+    let questions = null;
+    try {
+      questions = await pickQuestions(language, duel.players.map(p => p.id), settings.questionCount);
+    } catch (err) {
+      console.error('Error picking duel questions:', err);
+    }
+    // Someone left while the questions loaded
+    if (duel.phase === 'finished') return;
+    if (!questions || !questions.length) {
+      duels.delete(duel.id);
+      for (const p of duel.players) {
+        seats.delete(p.id);
+        if (questions) sendError(p.id, 'NO_QUESTIONS', 'No questions for this language yet');
+        else sendError(p.id, 'INTERNAL_ERROR', 'Could not start the duel');
+      }
+      return;
+    }
+
+    duel.questions = questions;
+    duel.phase = 'countdown';
+    for (const p of duel.players) {
+      const opponent = opponentOf(duel, p.id);
+      send(p.id, {
+        type: 'matched',
+        duelId: duel.id,
+        language,
+        opponent: { id: opponent.id, name: opponent.name },
+        questionCount: questions.length,
+        questionTimeMs: settings.questionTimeMs,
+        startsInMs: settings.startDelayMs
+      });
+    }
+    duel.timer = setTimeout(() => nextQuestion(duel), settings.startDelayMs);
+  }
+
+  function nextQuestion(duel) {
+    duel.index += 1;
+    if (duel.index >= duel.questions.length) return endDuel(duel);
+
+    duel.phase = 'question';
+    duel.deadline = Date.now() + settings.questionTimeMs;
+    broadcast(duel, { type: 'question', index: duel.index, question: publicQuestion(duel, duel.index), timeLimitMs: settings.questionTimeMs });
+    duel.timer = setTimeout(() => endQuestion(duel), settings.questionTimeMs);
+  }
+
+  function answer(user, index, given) {
+    const seat = seats.get(user.id);
+    if (!seat || !seat.duel) return sendError(user.id, 'NOT_IN_DUEL', 'You are not in a duel');
+    const { duel } = seat;
+    if (duel.phase !== 'question' || index !== duel.index) return sendError(user.id, 'QUESTION_CLOSED', 'That question is not open');
+
+    const player = duel.players.find(p => p.id === user.id);
+    if (player.answers[index]) return sendError(user.id, 'ALREADY_ANSWERED', 'You already answered this question');
+
+    const question = duel.questions[index];
+    const [result] = gradeAnswers([question], [{ questionId: question.id, answer: given }]).results;
+    player.answers[index] = { correct: result.correct, verdict: result.verdict };
+    if (result.correct) player.score += 1;
+
+    send(user.id, { type: 'answered', index, correct: result.correct, verdict: result.verdict });
+    broadcast(duel, { type: 'scores', scores: scores(duel) });
+
+    // No need to wait out the clock once both have answered
+    if (duel.players.every(p => p.answers[index])) {
+      clearTimeout(duel.timer);
+      endQuestion(duel);
+    }
+  }
+
+  function endQuestion(duel) {
+    duel.phase = 'reveal';
+    const [{ correctAnswer }] = gradeAnswers([duel.questions[duel.index]], []).results;
+    broadcast(duel, { type: 'question_end', index: duel.index, correctAnswer, scores: scores(duel) });
+    duel.timer = setTimeout(() => nextQuestion(duel), settings.revealMs);
+  }
+
+  async function endDuel(duel, { forfeitedBy = null } = {}) {
+    if (duel.phase === 'finished') return;
+    duel.phase = 'finished';
+    clearTimeout(duel.timer);
+    duels.delete(duel.id);
+    for (const p of duel.players) {
+      clearTimeout(p.graceTimer);
+      seats.delete(p.id);
+    }
+    // Nothing was played yet, so there's nothing to win
+    if (duel.index < 0) {
+      for (const p of duel.players) {
+        send(p.id, p.id === forfeitedBy ? { type: 'left' } : { type: 'cancelled', duelId: duel.id });
+      }
+      return;
+    }
+
+    const players = duel.players.map(p => ({ id: p.id, score: p.score, outcome: outcomeFor(p, opponentOf(duel, p.id), forfeitedBy) }));
+    let awards = new Map();
+    try {
+      awards = await finish({ duelId: duel.id, language: duel.language, players });
+    } catch (err) {
+      console.error(`Error awarding duel ${duel.id}:`, err);
+    }
+
+    const final = scores(duel);
+    for (const p of players) {
+      send(p.id, {
+        type: 'finished',
+        duelId: duel.id,
+        outcome: p.outcome,
+        forfeit: forfeitedBy !== null,
+        scores: final,
+        award: awards.get(p.id) || null
+      });
+    }
+  }
+
+  function leave(user) {
+    const seat = seats.get(user.id);
+    if (!seat) return sendError(user.id, 'NOT_IN_DUEL', 'Nothing to leave');
+
+    if (seat.duel) return endDuel(seat.duel, { forfeitedBy: user.id });
+    if (seat.queue) queues.delete(seat.queue);
+    if (seat.room) rooms.delete(seat.room);
+    seats.delete(user.id);
+    send(user.id, { type: 'left' });
+  }
+
+  // ===============================
+  // Connections
+  // ===============================
+  function dropped(userId) {
+    const seat = seats.get(userId);
+    if (!seat) return;
+    if (!seat.duel) {
+      if (seat.queue) queues.delete(seat.queue);
+      if (seat.room) rooms.delete(seat.room);
+      seats.delete(userId);
+      return;
+    }
+
+    const { duel } = seat;
+    const player = duel.players.find(p => p.id === userId);
+    player.connected = false;
+    player.graceTimer = setTimeout(() => endDuel(duel, { forfeitedBy: userId }), settings.reconnectGraceMs);
+    send(opponentOf(duel, userId).id, { type: 'opponent_left', reconnectWithinMs: settings.reconnectGraceMs });
+  }
+
+  function rejoin(duel, userId) {
+    const player = duel.players.find(p => p.id === userId);
+    player.connected = true;
+    clearTimeout(player.graceTimer);
+    player.graceTimer = null;
+    // Still loading questions; `matched` is on its way
+    if (duel.phase === 'starting') return;
+
+    const opponent = opponentOf(duel, userId);
+    const open = duel.phase === 'question';
+    send(userId, {
+      type: 'resumed',
+      duelId: duel.id,
+      language: duel.language,
+      opponent: { id: opponent.id, name: opponent.name },
+      questionCount: duel.questions.length,
+      questionTimeMs: settings.questionTimeMs,
+      phase: duel.phase,
+      index: duel.index,
+      question: open ? publicQuestion(duel, duel.index) : null,
+      timeLeftMs: open ? Math.max(duel.deadline - Date.now(), 0) : null,
+      scores: scores(duel)
+    });
+    send(opponent.id, { type: 'opponent_back' });
+  }
+
+  /**
+   * A user connected. A newer connection replaces an older one, and one made
+   * during a duel picks it up where it is. Returns `{ receive(message),
+   * disconnect() }` for the transport to call.
+   */
+  function connect(user, link) {
+    const previous = links.get(user.id);
+    links.set(user.id, link);
+    if (previous) previous.close(4000, 'Connected from another session');
+
+    const seat = seats.get(user.id);
+    if (seat && seat.duel) rejoin(seat.duel, user.id);
+
+    return {
+      receive(message) {
+        switch (message && message.type) {
+          case 'queue': return queue(user, message.language);
+          case 'create': return createRoom(user, message.language);
+          case 'join': return joinRoom(user, message.code);
+          case 'answer': return answer(user, message.index, message.answer);
+          case 'leave': return leave(user);
+          default: return sendError(user.id, 'BAD_MESSAGE', 'Unknown message type');
+        }
+      },
+      disconnect() {
+        // Replaced connections have nothing left to clean up
+        if (links.get(user.id) !== link) return;
+        links.delete(user.id);
+        dropped(user.id);
+      }
+    };
+  }
+
+  // Stops every timer; duels still running end without XP
+  function close() {
+    for (const duel of duels.values()) {
+      clearTimeout(duel.timer);
+      duel.players.forEach(p => clearTimeout(p.graceTimer));
+      duel.phase = 'finished';
+    }
+    duels.clear();
+    seats.clear();
+    queues.clear();
+    rooms.clear();
+  }
+
+  return { settings, connect, close };
+}
+
+module.exports = { DUEL_DEFAULTS, ROOM_CODE_LENGTH, createArena };
@@ -0,0 +1,108 @@
+// lib/errors.js — API error envelope, stable error codes and the central handler
+//
+// Every error response has the same shape:
+//
+//   {
+//     "code": "VALIDATION_FAILED",          // stable, from ERROR_CODES
+//     "message": "Request validation failed", // human-readable, may change
+//     "fields": [                             // validation errors only
+//       { "field": "body.email", "rule": "required", "message": "is required" }
+//     ]
+//   }
+//
+// Clients should branch on `code`, never on `message`. Handlers either throw
+// an ApiError or respond with `{ code?, message }`; errorEnvelope fills in the
+// code for the status when a handler didn't pick a more specific one.
+
+const ERROR_CODES = {
+  BAD_REQUEST: { status: 400, description: 'The request is malformed' },
+  VALIDATION_FAILED: { status: 400, description: 'One or more fields failed validation; see `fields`' },
+  INVALID_JSON: { status: 400, description: 'The request body is not valid JSON' },
+  UNSUPPORTED_LANGUAGE: { status: 400, description: 'The language is not one of GET /api/languages' },
+  INVALID_ACCOUNT_TOKEN: { status: 400, description: 'A verification or reset token is unknown, used or expired' },
+  CANNOT_FOLLOW_SELF: { status: 400, description: 'Users cannot follow themselves' },
+  UNAUTHENTICATED: { status: 401, description: 'No valid access token was sent' },
+  TOKEN_EXPIRED: { status: 401, description: 'The access token expired; refresh it with POST /api/refresh' },
+  INVALID_CREDENTIALS: { status: 401, description: 'Email or password is wrong' },
+  INVALID_REFRESH_TOKEN: { status: 401, description: 'The refresh token is unknown, expired or logged out' },
+  REFRESH_TOKEN_REUSED: { status: 401, description: 'An already-used refresh token was presented; the session was revoked' },
+  FORBIDDEN: { status: 403, description: 'The caller may not do this' },
+  LESSON_LOCKED: { status: 403, description: 'Complete the earlier lessons first' },
+  NOT_FOUND: { status: 404, description: 'The resource or route does not exist' },
+  CONFLICT: { status: 409, description: 'The request conflicts with the current state' },
+  ALREADY_EXISTS: { status: 409, description: 'An account with this email already exists' },
+  SESSION_ALREADY_SUBMITTED: { status: 409, description: 'The quiz session was already graded' },
+  REQUEST_IN_PROGRESS: { status: 409, description: 'A request with this Idempotency-Key is still running; retry shortly' },
+  GONE: { status: 410, description: 'The resource is no longer available' },
+  SESSION_EXPIRED: { status: 410, description: 'The quiz session expired before it was submitted' },
+  PAYLOAD_TOO_LARGE: { status: 413, description: 'The request body is too large' },
+  UNPROCESSABLE: { status: 422, description: 'The request is well-formed but cannot be applied' },
+  IDEMPOTENCY_KEY_REUSED: { status: 422, description: 'The Idempotency-Key was already used for a different request' },
+  RATE_LIMITED: { status: 429, description: 'Too many attempts; wait `Retry-After` seconds' },
+  INTERNAL_ERROR: { status: 500, description: 'Unexpected server error' },
+  SERVICE_UNAVAILABLE: { status: 503, description: 'The server is not ready (database down or shutting down)' }
+};
+
+// Code used when a handler sends an error status without one
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'GONE',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'UNPROCESSABLE',
+  429: 'RATE_LIMITED',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+function defaultCode(status) {
+  return DEFAULT_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+class ApiError extends Error {
+  constructor(code, message, { fields, status } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status || (ERROR_CODES[code] ? ERROR_CODES[code].status : 500);
+    this.fields = fields;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, ...(this.fields ? { fields: this.fields } : {}) };
+  }
+}
+
+// Adds `code` to error responses sent directly with res.status(...).json(...)
+function errorEnvelope(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && !body.code) {
+      return json({ code: defaultCode(res.statusCode), ...body });
+    }
+    return json(body);
+  };
+  return next();
+}
+
+// Unknown routes under the API answer in the envelope too
+function notFoundHandler(req, res) {
+  return res.status(404).json({ code: 'NOT_FOUND', message: `No route for ${req.method} ${req.baseUrl}${req.path}` });
+}
+
+// Last middleware: thrown/rejected errors (Express 5 forwards async ones) and
+// body-parser failures become envelopes; anything unexpected is logged as a 500.
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  if (err instanceof ApiError) return res.status(err.status).json(err.toJSON());
+  if (err.type === 'entity.parse.failed') return res.status(400).json({ code: 'INVALID_JSON', message: 'Request body is not valid JSON' });
+  if (err.type === 'entity.too.large') return res.status(413).json({ code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large' });
+
+  console.error(`Unhandled error on ${req.method} ${req.path}:`, err);
+  return res.status(500).json({ code: 'INTERNAL_ERROR', message: 'Internal server error' });
+}
+
+module.exports = { ERROR_CODES, ApiError, defaultCode, errorEnvelope, notFoundHandler, errorHandler };
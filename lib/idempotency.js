@@ -0,0 +1,76 @@
+// lib/idempotency.js — Idempotency-Key support for requests that award XP
+//
+// A client that may retry a POST sends `Idempotency-Key: <unique string>`.
+// The first request with a key runs as usual and its response is stored for
+// KEY_TTL_HOURS; a retry with the same key and body gets that response again,
+// marked `Idempotent-Replayed: true`, instead of running twice. Keys are per
+// user. Reusing a key for a different request is IDEMPOTENCY_KEY_REUSED; a
+// retry that arrives while the first request is still running is
+// REQUEST_IN_PROGRESS. That claim is only a lease of IN_PROGRESS_LEASE_SECONDS,
+// so a key whose request died with the process can be retried after it.
+// 5xx responses aren't stored, so the key can be retried at once. Requests
+// without the header aren't affected.
+
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+const { validationError } = require('./validation');
+
+const HEADER = 'Idempotency-Key';
+const KEY_TTL_HOURS = 24;
+// Far longer than any request takes
+const IN_PROGRESS_LEASE_SECONDS = 60;
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Same route and body → same request
+function requestHash(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body === undefined ? null : req.body)}`)
+    .digest('hex');
+}
+
+/**
+ * Middleware for routes behind authMiddleware. `store` is
+ * repos.idempotencyKeys: `claim(userId, key, { requestHash, expiresAt })`,
+ * `complete(userId, key, { status, body, expiresAt })` and
+ * `release(userId, key)`; a key is free again once `expiresAt` has passed.
+ */
+function createIdempotencyMiddleware(store) {
+  return async function idempotent(req, res, next) {
+    const key = req.get(HEADER);
+    if (key === undefined) return next();
+    if (!KEY_PATTERN.test(key)) {
+      throw validationError([{ field: 'header.idempotency-key', rule: 'pattern', message: 'must be 1-255 visible ASCII characters' }]);
+    }
+
+    const userId = req.user.id;
+    const hash = requestHash(req);
+    const { claimed, record } = await store.claim(userId, key, {
+      requestHash: hash,
+      expiresAt: new Date(Date.now() + IN_PROGRESS_LEASE_SECONDS * 1000)
+    });
+
+    if (!claimed) {
+      if (record.request_hash !== hash) throw new ApiError('IDEMPOTENCY_KEY_REUSED', `${HEADER} was already used for a different request`);
+      if (record.status_code === null) throw new ApiError('REQUEST_IN_PROGRESS', `A request with this ${HEADER} is still running`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.status_code).json(record.response);
+    }
+
+    // Store the response before it is sent, so a retry never sees a gap
+    const json = res.json.bind(res);
+    res.json = body => {
+      const status = res.statusCode;
+      const saved = status >= 500
+        ? store.release(userId, key)
+        : store.complete(userId, key, { status, body, expiresAt: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000) });
+      saved.then(() => json(body), err => {
+        console.error(`Could not save ${HEADER} response:`, err);
+        json(body);
+      });
+      return res;
+    };
+    return next();
+  };
+}
+
+module.exports = { HEADER, KEY_TTL_HOURS, IN_PROGRESS_LEASE_SECONDS, requestHash, createIdempotencyMiddleware };
@@ -0,0 +1,33 @@
+// lib/leaderboard.js — leaderboard query options
+
+const WINDOWS = ['all', 'week', 'month'];
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+// How many places above and below the caller to return
+const NEIGHBOR_SPAN = 2;
+
+// Start of the current window in UTC: weeks begin on Monday, months on the 1st
+function windowStart(window, now = new Date()) {
+  if (window === 'week') {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return start;
+  }
+  if (window === 'month') return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  return null;
+}
+
+/**
+ * Parse `?lang=&window=&limit=&offset=`. Returns `{ error }` for a bad window,
+ * otherwise the normalized options (limit/offset are clamped integers).
+ */
+function parseLeaderboardQuery(query) {
+  const window = query.window || 'all';
+  if (!WINDOWS.includes(window)) return { error: `window must be one of ${WINDOWS.join(', ')}` };
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  return { lang: query.lang || null, window, since: windowStart(window), limit, offset };
+}
+
+module.exports = { WINDOWS, NEIGHBOR_SPAN, windowStart, parseLeaderboardQuery };
@@ -0,0 +1,69 @@
+// lib/leveling.js — level table and XP rules (configured in data/xp-rules.json)
+
+const rules = require('../data/xp-rules.json');
+
+const LEVELS = [...rules.levels].sort((a, b) => a.minXP - b.minXP);
+
+/**
+ * Level details for an XP total: the level name plus how far the user is
+ * into it and how much XP the next level needs (null at the top tier).
+ */
+function levelFor(xp) {
+  const total = Math.max(0, Number(xp) || 0);
+  let index = 0;
+  for (let i = 0; i < LEVELS.length; i++) {
+    if (total >= LEVELS[i].minXP) index = i;
+  }
+
+  const current = LEVELS[index];
+  const next = LEVELS[index + 1] || null;
+  return {
+    level: current.name,
+    levelIndex: index,
+    nextLevel: next ? next.name : null,
+    xpIntoLevel: total - current.minXP,
+    xpToNextLevel: next ? next.minXP - total : null
+  };
+}
+
+/**
+ * XP entries for a graded quiz. Each entry is `{ activity, amount }` and is
+ * written to the ledger as-is.
+ */
+function quizXP({ score, total, mode = 'quiz' }) {
+  const entries = [];
+  const perAnswer = mode === 'review' ? rules.activities.review_correct_answer : rules.activities.quiz_correct_answer;
+
+  if (score > 0) entries.push({ activity: `${mode}_correct_answer`, amount: score * perAnswer });
+  if (mode === 'quiz' && total >= rules.bonuses.perfect_quiz_min_questions && score === total) {
+    entries.push({ activity: 'perfect_quiz_bonus', amount: rules.bonuses.perfect_quiz });
+  }
+  return entries;
+}
+
+// `streakAdvanced` is true when this lesson was the first activity of the day
+function lessonXP({ streak, streakAdvanced }) {
+  const entries = [{ activity: 'lesson_complete', amount: rules.activities.lesson_complete }];
+  if (streakAdvanced && streak > 1) {
+    entries.push({
+      activity: 'streak_bonus',
+      amount: Math.min(streak * rules.bonuses.streak_per_day, rules.bonuses.streak_max)
+    });
+  }
+  return entries;
+}
+
+// A finished duel: `outcome` is 'win', 'loss' or 'draw' for this player
+function duelXP({ score, outcome }) {
+  const entries = [];
+  if (score > 0) entries.push({ activity: 'duel_correct_answer', amount: score * rules.activities.duel_correct_answer });
+  if (outcome === 'win') entries.push({ activity: 'duel_win_bonus', amount: rules.bonuses.duel_win });
+  if (outcome === 'draw') entries.push({ activity: 'duel_draw_bonus', amount: rules.bonuses.duel_draw });
+  return entries;
+}
+
+function totalXP(entries) {
+  return entries.reduce((sum, e) => sum + e.amount, 0);
+}
+
+module.exports = { LEVELS, levelFor, quizXP, lessonXP, duelXP, totalXP };
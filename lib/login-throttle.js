@@ -0,0 +1,213 @@
+// lib/login-throttle.js — login rate limiting, progressive delays and lockout
+//
+// Failures are counted per client IP and per account (the email as typed,
+// whether or not it exists, so responses don't reveal registered emails).
+// Each attempt is counted before its password is checked, by an atomic
+// increment, so a burst of parallel attempts can't all slip past the limits;
+// a successful login hands its count back. State lives in a store with
+// `get(key)`, `set(key, value, ttlMs)`, `incr(key, by, ttlMs)` and
+// `delete(key)`; the in-memory store suits one process, and setStore() swaps
+// in a shared one (see createMySQLStore) when several instances serve logins.
+
+const POLICY = {
+  // Failures are forgotten this long after the last one
+  windowMs: 15 * 60 * 1000,
+  // Per IP: hard cap on failures across all accounts
+  maxIpFailures: 20,
+  // Per account: after `delayAfter` failures each attempt waits
+  // 1s, 2s, 4s, … up to maxDelayMs; `lockAfter` failures lock the account
+  delayAfter: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30 * 1000,
+  lockAfter: 10,
+  lockMs: 15 * 60 * 1000
+};
+
+const SWEEP_AT = 10000;
+
+function createMemoryStore() {
+  const entries = new Map();
+
+  // Synchronous, so incr can't interleave with another request
+  function read(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  function write(key, value, ttlMs) {
+    // Drop expired keys now and then so one-off IPs don't pile up
+    if (entries.size >= SWEEP_AT) {
+      const now = Date.now();
+      for (const [k, entry] of entries) if (entry.expiresAt <= now) entries.delete(k);
+    }
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  return {
+    async get(key) {
+      return read(key);
+    },
+    async set(key, value, ttlMs) {
+      write(key, value, ttlMs);
+    },
+    // Adds `by` to a counter (missing or expired counts as 0) and resolves the new value
+    async incr(key, by, ttlMs) {
+      const value = (read(key) || 0) + by;
+      write(key, value, ttlMs);
+      return value;
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+/**
+ * Store backed by the auth_throttle table, shared by every server instance
+ * using the database. `getDb` returns the current connection.
+ */
+function createMySQLStore(getDb) {
+  return {
+    async get(key) {
+      const [rows] = await getDb().execute(
+        'SELECT value FROM auth_throttle WHERE throttle_key = ? AND expires_at > ?',
+        [key, new Date()]
+      );
+      if (!rows.length) return null;
+      return typeof rows[0].value === 'string' ? JSON.parse(rows[0].value) : rows[0].value;
+    },
+    async set(key, value, ttlMs) {
+      await getDb().execute(
+        `INSERT INTO auth_throttle (throttle_key, value, expires_at) VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE value = VALUES(value), expires_at = VALUES(expires_at)`,
+        [key, JSON.stringify(value), new Date(Date.now() + ttlMs)]
+      );
+    },
+    // The upsert is atomic; the re-read may already include a later
+    // increment, which only errs towards refusing
+    async incr(key, by, ttlMs) {
+      const now = new Date();
+      await getDb().execute(
+        `INSERT INTO auth_throttle (throttle_key, value, expires_at) VALUES (?, CAST(? AS JSON), ?)
+         ON DUPLICATE KEY UPDATE
+           value = CAST(IF(expires_at > ?, CAST(value AS SIGNED), 0) + ? AS JSON),
+           expires_at = VALUES(expires_at)`,
+        [key, String(by), new Date(now.getTime() + ttlMs), now, by]
+      );
+      const [rows] = await getDb().execute('SELECT value FROM auth_throttle WHERE throttle_key = ?', [key]);
+      return rows.length ? Number(rows[0].value) : by;
+    },
+    async delete(key) {
+      await getDb().execute('DELETE FROM auth_throttle WHERE throttle_key = ?', [key]);
+    }
+  };
+}
+
+let store = createMemoryStore();
+
+function setStore(custom) {
+  store = custom;
+}
+
+function ipKey(ip) {
+  return `ip-attempts:${ip || 'unknown'}`;
+}
+
+function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+// Attempts (failed or still running) in the current window
+function attemptsKey(email) {
+  return `account-attempts:${normalizeEmail(email)}`;
+}
+
+// When the account's last failure happened
+function lastFailureKey(email) {
+  return `failed:${normalizeEmail(email)}`;
+}
+
+// When the account's lockout lifts
+function lockKey(email) {
+  return `lock:${normalizeEmail(email)}`;
+}
+
+// Wait before the next attempt after `failures` consecutive failures
+function delayFor(failures) {
+  if (failures < POLICY.delayAfter) return 0;
+  return Math.min(POLICY.baseDelayMs * 2 ** (failures - POLICY.delayAfter), POLICY.maxDelayMs);
+}
+
+/**
+ * Counts this login attempt against the IP and the account before the
+ * password is checked. Returns `{ allowed: true, reservation }` — pass the
+ * reservation to recordFailure or recordSuccess — or `{ allowed: false,
+ * reason: 'ip' | 'locked' | 'delay', retryAfterSeconds }`. Refused attempts
+ * aren't counted.
+ */
+async function reserveAttempt({ ip, email }, now = Date.now()) {
+  const retry = until => Math.max(1, Math.ceil((until - now) / 1000));
+  const refuse = (reason, until) => ({ allowed: false, reason, retryAfterSeconds: retry(until) });
+
+  const lockedUntil = await store.get(lockKey(email));
+  if (lockedUntil > now) return refuse('locked', lockedUntil);
+
+  const ipAttempts = await store.incr(ipKey(ip), 1, POLICY.windowMs);
+  if (ipAttempts > POLICY.maxIpFailures) {
+    await store.incr(ipKey(ip), -1, POLICY.windowMs);
+    return refuse('ip', now + POLICY.windowMs);
+  }
+
+  const attempts = await store.incr(attemptsKey(email), 1, POLICY.windowMs);
+  // Attempts before this one, finished or not, count as failures until they say otherwise
+  const earlier = attempts - 1;
+  let refused = null;
+  if (earlier >= POLICY.lockAfter) {
+    refused = refuse('locked', now + POLICY.lockMs);
+  } else if (earlier >= POLICY.delayAfter) {
+    // Attempts still running haven't stamped their failure yet; wait for them too
+    const since = (await store.get(lastFailureKey(email))) || now;
+    const until = since + delayFor(earlier);
+    if (until > now) refused = refuse('delay', until);
+  }
+  if (refused) {
+    await store.incr(attemptsKey(email), -1, POLICY.windowMs);
+    await store.incr(ipKey(ip), -1, POLICY.windowMs);
+    return refused;
+  }
+
+  return { allowed: true, reservation: { ip, email, attempts } };
+}
+
+/**
+ * The reserved attempt failed. Returns `{ lockedOut }` — true when this
+ * failure locked the account.
+ */
+async function recordFailure({ email, attempts }, now = Date.now()) {
+  await store.set(lastFailureKey(email), now, POLICY.windowMs);
+  const lockedOut = attempts >= POLICY.lockAfter;
+  if (lockedOut) {
+    await store.set(lockKey(email), now + POLICY.lockMs, POLICY.lockMs);
+    // The lock takes over; attempts start again from zero once it lifts
+    await store.delete(attemptsKey(email));
+  }
+  return { lockedOut };
+}
+
+/**
+ * Clears the account's failures and lock. With a reservation from a
+ * successful login, its IP count is handed back too (IP failures stay).
+ */
+async function recordSuccess({ ip, email, attempts }) {
+  await store.delete(attemptsKey(email));
+  await store.delete(lastFailureKey(email));
+  await store.delete(lockKey(email));
+  if (attempts) await store.incr(ipKey(ip), -1, POLICY.windowMs);
+}
+
+module.exports = { POLICY, createMemoryStore, createMySQLStore, setStore, reserveAttempt, recordFailure, recordSuccess };
@@ -0,0 +1,72 @@
+// lib/mailer.js — outgoing mail behind a swappable transport
+//
+// A transport is any object with `async send({ from, to, subject, text })`.
+// MAIL_TRANSPORT picks a built-in one ('console' by default, or 'file', which
+// writes each message under MAIL_DIR); call setTransport() to plug in a real
+// provider (SMTP, an HTTP API, …) at startup. Mail carries password-reset and
+// verification links, so production never falls back to the console.
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const consoleTransport = {
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+};
+
+function fileTransport(dir) {
+  return {
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^\w.@-]/g, '_')}.eml`;
+      const body = `From: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`;
+      await fs.writeFile(path.join(dir, name), body);
+    }
+  };
+}
+
+const TRANSPORTS = {
+  console: () => consoleTransport,
+  file: () => fileTransport(process.env.MAIL_DIR || path.join(os.tmpdir(), 'langlink-mail'))
+};
+
+let transport = null;
+
+function setTransport(custom) {
+  transport = custom;
+}
+
+/**
+ * The built-in transport MAIL_TRANSPORT names. Outside production it
+ * defaults to 'console'; in production the console would write reset links
+ * to the logs, so it must name another one and the server won't start
+ * otherwise (unless a transport was plugged in with setTransport()).
+ */
+function resolveTransportName(env = process.env) {
+  const production = env.NODE_ENV === 'production';
+  const name = env.MAIL_TRANSPORT || (production ? null : 'console');
+  if (production && (!name || name === 'console')) {
+    throw new Error('MAIL_TRANSPORT must be set to a transport other than console in production');
+  }
+  if (!TRANSPORTS[name]) throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected ${Object.keys(TRANSPORTS).join(', ')})`);
+  return name;
+}
+
+// Throws at startup rather than on the first email
+function checkConfig(env = process.env) {
+  if (!transport) resolveTransportName(env);
+}
+
+function getTransport() {
+  if (!transport) transport = TRANSPORTS[resolveTransportName()]();
+  return transport;
+}
+
+function sendMail({ to, subject, text }) {
+  const from = process.env.MAIL_FROM || 'LangLink+ <no-reply@langlink.local>';
+  return getTransport().send({ from, to, subject, text });
+}
+
+module.exports = { TRANSPORTS, resolveTransportName, checkConfig, setTransport, sendMail };
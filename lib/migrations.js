@@ -0,0 +1,173 @@
+// lib/migrations.js — versioned SQL migrations with up and down steps
+//
+// migrations/NNN_name.sql applies a change and NNN_name.down.sql (optional)
+// undoes it. Applied versions are recorded in schema_migrations together with
+// a checksum of the up file, so editing an applied migration shows up in
+// `status`. MySQL commits DDL immediately, so a migration that fails part-way
+// is not rolled back: repair the schema by hand, then run again.
+//
+// The runner needs a single connection opened with multipleStatements (see
+// scripts/migrate.js); a named lock keeps two runners from racing.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const LOCK_NAME = 'langlink_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+const FILE_PATTERN = /^(\d+)_([\w-]+?)(\.down)?\.sql$/;
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+/**
+ * Migrations in `dir`, oldest first: `{ version, name, up, down, checksum }`
+ * (`down` is null when there is no down file).
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+    const version = Number(match[1]);
+    const migration = byVersion.get(version) || { version, name: match[2], up: null, down: null };
+    if (migration.name !== match[2]) {
+      throw new Error(`Migration ${match[1]} has two names: ${migration.name} and ${match[2]}`);
+    }
+    migration[match[3] ? 'down' : 'up'] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  return [...byVersion.values()]
+    .map(m => {
+      if (m.up === null) throw new Error(`Migration ${m.version}_${m.name} has a down file but no up file`);
+      return { ...m, checksum: checksum(m.up) };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+function createMigrator(db, { dir = MIGRATIONS_DIR } = {}) {
+  async function ensureTable() {
+    await db.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version INT PRIMARY KEY,
+         name VARCHAR(100) NOT NULL,
+         checksum CHAR(64) NOT NULL,
+         applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+       )`
+    );
+  }
+
+  async function appliedRows() {
+    try {
+      const [rows] = await db.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+      return rows;
+    } catch (err) {
+      if (err.code === 'ER_NO_SUCH_TABLE') return [];
+      throw err;
+    }
+  }
+
+  async function withLock(work) {
+    const [[{ locked }]] = await db.query('SELECT GET_LOCK(?, ?) AS locked', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+    if (!locked) throw new Error('Another migration run holds the lock; try again when it finishes');
+    try {
+      await ensureTable();
+      return await work();
+    } finally {
+      await db.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  }
+
+  /**
+   * `{ applied, pending, changed, missing }` — `changed` are applied
+   * migrations whose up file was edited since; `missing` were applied but
+   * have no file any more.
+   */
+  async function status() {
+    const migrations = loadMigrations(dir);
+    const rows = await appliedRows();
+    const applied = new Map(rows.map(r => [r.version, r]));
+    const known = new Set(migrations.map(m => m.version));
+
+    return {
+      applied: migrations.filter(m => applied.has(m.version)).map(m => ({ ...m, appliedAt: applied.get(m.version).applied_at })),
+      pending: migrations.filter(m => !applied.has(m.version)),
+      changed: migrations.filter(m => applied.has(m.version) && applied.get(m.version).checksum !== m.checksum),
+      missing: rows.filter(r => !known.has(r.version))
+    };
+  }
+
+  // Apply pending migrations up to and including `to` (all by default)
+  async function up({ to = Infinity, log = () => {} } = {}) {
+    return withLock(async () => {
+      const { pending } = await status();
+      const ran = [];
+      for (const migration of pending.filter(m => m.version <= to)) {
+        log(`↑ ${migration.version}_${migration.name}`);
+        await db.query(migration.up);
+        await db.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+          [migration.version, migration.name, migration.checksum]
+        );
+        ran.push(migration);
+      }
+      return ran;
+    });
+  }
+
+  // Undo the latest `steps` applied migrations, or all of those above `to`
+  async function down({ steps = 1, to, log = () => {} } = {}) {
+    return withLock(async () => {
+      const applied = (await status()).applied.reverse();
+      const targets = to === undefined ? applied.slice(0, steps) : applied.filter(m => m.version > to);
+      const missingDown = targets.find(m => m.down === null);
+      if (missingDown) throw new Error(`Migration ${missingDown.version}_${missingDown.name} has no down file`);
+
+      const ran = [];
+      for (const migration of targets) {
+        log(`↓ ${migration.version}_${migration.name}`);
+        await db.query(migration.down);
+        await db.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        ran.push(migration);
+      }
+      return ran;
+    });
+  }
+
+  /**
+   * Record migrations up to `version` as applied without running them — for
+   * databases set up by hand before the runner existed.
+   */
+  async function baseline(version) {
+    return withLock(async () => {
+      const { pending } = await status();
+      const marked = pending.filter(m => m.version <= version);
+      for (const migration of marked) {
+        await db.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+          [migration.version, migration.name, migration.checksum]
+        );
+      }
+      return marked;
+    });
+  }
+
+  return { status, up, down, baseline };
+}
+
+// Empty up/down files for the next version
+function createMigrationFiles(name, dir = MIGRATIONS_DIR) {
+  if (!/^[a-z0-9_]+$/.test(name)) throw new Error('Name migrations with lowercase letters, digits and underscores');
+  const migrations = loadMigrations(dir);
+  const version = String((migrations.length ? migrations[migrations.length - 1].version : 0) + 1).padStart(3, '0');
+  const files = [`${version}_${name}.sql`, `${version}_${name}.down.sql`].map(file => path.join(dir, file));
+  fs.writeFileSync(files[0], `-- ${name.replace(/_/g, ' ')}\n`);
+  fs.writeFileSync(files[1], `-- Undo ${version}_${name}.sql\n`);
+  return files;
+}
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, createMigrator, createMigrationFiles };
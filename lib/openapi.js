@@ -0,0 +1,284 @@
+// lib/openapi.js — OpenAPI 3.1 document generated from the registered routes
+//
+// buildSpec(app, { auth }) walks the Express router: paths and methods come
+// from the routes themselves, request/response schemas from the entry each
+// route passes to validate(...) (lib/api-schemas.js), and security from which
+// of the `auth` middlewares the route runs. Routes without validate(...) have
+// nothing to describe them and are reported by undocumentedRoutes().
+
+const http = require('http');
+const { ERROR_CODES } = require('./errors');
+const { SCHEMAS, COMPONENTS } = require('./api-schemas');
+const { HEADER: IDEMPOTENCY_HEADER, KEY_TTL_HOURS } = require('./idempotency');
+const { SCHEMA_VERSION, TYPES } = require('./question-types');
+const { version } = require('../package.json');
+
+// `:param` → `{param}`
+function toOpenApiPath(expressPath) {
+  return expressPath.replace(/:(\w+)/g, '{$1}');
+}
+
+function pathParams(expressPath) {
+  return [...expressPath.matchAll(/:(\w+)/g)].map(m => m[1]);
+}
+
+const capitalize = s => s.charAt(0).toUpperCase() + s.slice(1);
+
+/**
+ * Every route on the app as `{ path, method, handles }`, one per path when a
+ * route was registered for several.
+ */
+function listRoutes(app) {
+  const routes = [];
+  for (const layer of app.router.stack) {
+    if (!layer.route) continue;
+    const paths = Array.isArray(layer.route.path) ? layer.route.path : [layer.route.path];
+    const handles = layer.route.stack.map(l => l.handle);
+    for (const path of paths) {
+      for (const method of Object.keys(layer.route.methods)) routes.push({ path, method, handles });
+    }
+  }
+  return routes;
+}
+
+function routeEntry(route) {
+  const validator = route.handles.find(h => h.apiSchemas);
+  return validator ? validator.apiSchemas : null;
+}
+
+function undocumentedRoutes(app) {
+  return listRoutes(app).filter(r => !routeEntry(r)).map(r => `${r.method.toUpperCase()} ${r.path}`);
+}
+
+// One component per question type, from the schemas /api/question-types serves
+function questionComponents() {
+  const components = {};
+  const mapping = {};
+  for (const type of Object.keys(TYPES)) {
+    const { $schema, $id, $defs, ...schema } = require(`../schemas/questions/v${SCHEMA_VERSION}/${type}.json`);
+    const componentName = `${type.split('_').map(capitalize).join('')}Question`;
+    components[componentName] = schema;
+    mapping[type] = `#/components/schemas/${componentName}`;
+  }
+  components.PublicQuestion = {
+    description: 'A question as learners see it: no answer, lists shuffled',
+    oneOf: Object.values(mapping).map($ref => ({ $ref })),
+    discriminator: { propertyName: 'type', mapping }
+  };
+  return components;
+}
+
+const ERROR_COMPONENT = {
+  type: 'object',
+  description: 'Every error response. Branch on `code`; `message` is for people and may change.',
+  properties: {
+    code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+    message: { type: 'string' },
+    fields: {
+      type: 'array',
+      description: 'VALIDATION_FAILED only: one entry per failing field',
+      items: {
+        type: 'object',
+        properties: {
+          field: { type: 'string', description: 'e.g. `body.email` or `query.limit`' },
+          rule: { type: 'string', description: 'The failed JSON Schema keyword, e.g. `required`' },
+          message: { type: 'string' }
+        },
+        required: ['field', 'rule', 'message']
+      }
+    }
+  },
+  required: ['code', 'message']
+};
+
+// Error codes any route can answer with, given how it is set up
+function implicitErrors(entry, security) {
+  const codes = [];
+  if (entry.params || entry.query || entry.body || entry.idempotent) codes.push('VALIDATION_FAILED');
+  if (entry.body) codes.push('INVALID_JSON');
+  if (security === 'user' || security === 'admin') codes.push('UNAUTHENTICATED', 'TOKEN_EXPIRED');
+  if (security === 'admin') codes.push('FORBIDDEN');
+  if (entry.idempotent) codes.push('IDEMPOTENCY_KEY_REUSED', 'REQUEST_IN_PROGRESS');
+  codes.push('INTERNAL_ERROR');
+  return codes;
+}
+
+function errorResponses(codes) {
+  const byStatus = {};
+  for (const code of new Set(codes)) {
+    const { status } = ERROR_CODES[code];
+    (byStatus[status] = byStatus[status] || []).push(code);
+  }
+
+  const responses = {};
+  for (const [status, statusCodes] of Object.entries(byStatus)) {
+    responses[status] = {
+      description: statusCodes.map(c => `\`${c}\` — ${ERROR_CODES[c].description}`).join('\n\n'),
+      content: {
+        'application/json': {
+          schema: {
+            allOf: [
+              { $ref: '#/components/schemas/Error' },
+              { properties: { code: { enum: statusCodes } } }
+            ]
+          }
+        }
+      }
+    };
+  }
+  return responses;
+}
+
+function parameters(location, schema, names) {
+  if (!schema) return [];
+  return names.map(name => ({
+    name,
+    in: location,
+    required: location === 'path' || (schema.required || []).includes(name),
+    schema: schema.properties[name]
+  }));
+}
+
+function operation(route, entry, security, operationId) {
+  const op = {
+    operationId,
+    tags: [entry.tag],
+    summary: entry.summary
+  };
+
+  if (security === 'user' || security === 'admin') op.security = [{ bearerAuth: [] }];
+  // Works anonymously; a valid token adds the caller's own data
+  if (security === 'optional') op.security = [{}, { bearerAuth: [] }];
+  if (security === 'admin') op.description = 'Admins only.';
+
+  const params = [
+    ...parameters('path', entry.params, pathParams(route.path)),
+    ...parameters('query', entry.query, entry.query ? Object.keys(entry.query.properties) : [])
+  ];
+  if (entry.idempotent) {
+    params.push({
+      name: IDEMPOTENCY_HEADER,
+      in: 'header',
+      required: false,
+      description: `A retry with the same key and body within ${KEY_TTL_HOURS} hours returns the first response ` +
+        'again (with `Idempotent-Replayed: true`) instead of running twice',
+      schema: { type: 'string', minLength: 1, maxLength: 255 }
+    });
+  }
+  if (params.length) op.parameters = params;
+
+  if (entry.body) {
+    op.requestBody = {
+      required: entry.body.required.length > 0 || entry.body.minProperties > 0,
+      content: { 'application/json': { schema: entry.body } }
+    };
+  } else if (entry.upload) {
+    op.requestBody = {
+      required: true,
+      content: Object.fromEntries(entry.upload.map(type => [type, { schema: { type: 'string', format: 'binary' } }]))
+    };
+  }
+
+  op.responses = {};
+  for (const [status, schema] of Object.entries(entry.responses || {})) {
+    op.responses[status] = { description: http.STATUS_CODES[status], content: { 'application/json': { schema } } };
+  }
+  if (entry.download) {
+    op.responses[200] = {
+      description: 'The pack as a file download',
+      // A JSON download is still parsed as JSON by clients
+      content: Object.fromEntries(entry.download.map(type => [
+        type,
+        { schema: type === 'application/json' ? { type: 'object' } : { type: 'string', format: 'binary' } }
+      ]))
+    };
+  }
+  if (entry.page) {
+    op.responses[200] = { description: 'An HTML page', content: { 'text/html': { schema: { type: 'string' } } } };
+  }
+  // An error status listed in `responses` too adds those fields to the envelope
+  for (const [status, response] of Object.entries(errorResponses([...(entry.errors || []), ...implicitErrors(entry, security)]))) {
+    const extra = entry.responses && entry.responses[status];
+    if (extra) response.content['application/json'].schema.allOf.push(extra);
+    op.responses[status] = response;
+  }
+  return op;
+}
+
+function errorCodeTable() {
+  return Object.entries(ERROR_CODES).map(([code, { status, description }]) => `| \`${code}\` | ${status} | ${description} |`).join('\n');
+}
+
+/**
+ * The OpenAPI document for `app`. `auth` maps auth middlewares to the access
+ * they require: 'user', 'admin' or 'optional'.
+ */
+function buildSpec(app, { auth = new Map() } = {}) {
+  const names = new Map(Object.entries(SCHEMAS).map(([name, entry]) => [entry, name]));
+  const routes = listRoutes(app).filter(routeEntry);
+  const pathCount = entry => routes.filter(r => routeEntry(r) === entry).length;
+
+  const paths = {};
+  for (const route of routes) {
+    const entry = routeEntry(route);
+    const levels = route.handles.map(h => auth.get(h)).filter(Boolean);
+    const security = levels.includes('admin') ? 'admin' : levels.includes('user') ? 'user' : levels[0];
+
+    // An entry shared by several paths (`/me` and `/:email`) gets one
+    // operation per path, told apart by their path params
+    const params = pathParams(route.path);
+    const operationId = pathCount(entry) > 1 && params.length
+      ? `${names.get(entry)}By${params.map(capitalize).join('And')}`
+      : names.get(entry);
+
+    const key = toOpenApiPath(route.path);
+    paths[key] = paths[key] || {};
+    paths[key][route.method] = operation(route, entry, security, operationId);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'LangLink+ API',
+      version,
+      description: [
+        'Send the access token from `POST /api/login` as `Authorization: Bearer <token>`.',
+        'When it expires (`TOKEN_EXPIRED`) get a new one from `POST /api/refresh`.',
+        '',
+        'Errors all share one envelope (`#/components/schemas/Error`):',
+        '`{ "code": "VALIDATION_FAILED", "message": "…", "fields": [{ "field": "body.email", "rule": "required", "message": "is required" }] }`.',
+        'Branch on `code`; the codes below are stable.',
+        '',
+        '| Code | Status | Meaning |',
+        '| --- | --- | --- |',
+        errorCodeTable()
+      ].join('\n')
+    },
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } },
+      schemas: { ...COMPONENTS, ...questionComponents(), Error: ERROR_COMPONENT }
+    }
+  };
+}
+
+// Swagger UI, served from the swagger-ui-dist package next to this page
+function docsPage(specUrl) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>LangLink+ API</title>
+  <link rel="stylesheet" href="/api/docs/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="/api/docs/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui', deepLinking: true });
+  </script>
+</body>
+</html>`;
+}
+
+module.exports = { buildSpec, docsPage, listRoutes, undocumentedRoutes, toOpenApiPath };
@@ -0,0 +1,283 @@
+// lib/question-packs.js — question pack import/export (JSON, CSV, Anki)
+//
+// Import is two steps: parsePack turns an uploaded file into question
+// payloads (the same shape POST /api/admin/questions takes), then
+// buildImportReport validates every row against the bank before anything is
+// written. Export goes the other way so a pack round-trips.
+
+const anki = require('./anki');
+const { validateQuestion } = require('./questions');
+const { SCHEMA_VERSION, DEFAULT_TYPE } = require('./question-types');
+
+const FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  anki: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  apkg: { contentType: 'application/octet-stream', extension: 'apkg' }
+};
+const PACK_VERSION = 1;
+const MAX_PACK_ROWS = 5000;
+
+// ===============================
+// List cells
+// ===============================
+// Spreadsheet cells hold lists as "a | b | c"; a JSON array works when an
+// item itself contains "|". Pairs are "left = right | …".
+const LIST_SEPARATOR = '|';
+
+function parseList(cell) {
+  if (cell.trim().startsWith('[')) {
+    try {
+      return JSON.parse(cell);
+    } catch (err) {
+      // fall through and split it like any other cell
+    }
+  }
+  return cell.split(LIST_SEPARATOR).map(s => s.trim()).filter(Boolean);
+}
+
+function formatList(list) {
+  return list.some(item => String(item).includes(LIST_SEPARATOR)) ? JSON.stringify(list) : list.join(` ${LIST_SEPARATOR} `);
+}
+
+function parsePairs(cell) {
+  const list = parseList(cell);
+  return list.map(item => {
+    if (typeof item !== 'string') return item;
+    const i = item.indexOf('=');
+    return i === -1 ? { left: item.trim(), right: '' } : { left: item.slice(0, i).trim(), right: item.slice(i + 1).trim() };
+  });
+}
+
+function formatPairs(pairs) {
+  const awkward = pairs.some(p => `${p.left}${p.right}`.includes('=') || `${p.left}${p.right}`.includes(LIST_SEPARATOR));
+  return awkward ? JSON.stringify(pairs) : pairs.map(p => `${p.left} = ${p.right}`).join(` ${LIST_SEPARATOR} `);
+}
+
+// ===============================
+// CSV
+// ===============================
+// Column → question field, and how the cell is read
+const CSV_COLUMNS = [
+  { column: 'language', field: 'language' },
+  { column: 'type', field: 'type' },
+  { column: 'question', field: 'question' },
+  { column: 'answer', field: 'answer' },
+  { column: 'options', field: 'options', parse: parseList, format: formatList },
+  { column: 'hint', field: 'hint' },
+  { column: 'accepted_answers', field: 'acceptedAnswers', parse: parseList, format: formatList },
+  { column: 'tiles', field: 'tiles', parse: parseList, format: formatList },
+  { column: 'pairs', field: 'pairs', parse: parsePairs, format: formatPairs },
+  { column: 'romanization', field: 'romanization' },
+  { column: 'script', field: 'script' },
+  { column: 'difficulty', field: 'difficulty', parse: Number }
+];
+
+function parseCSV(text) {
+  const [header, ...rows] = anki.parseDelimited(text, ',');
+  if (!header) return { error: 'CSV is empty' };
+
+  const columns = header.map(h => CSV_COLUMNS.find(c => c.column === h.trim().toLowerCase()));
+  if (!columns.some(c => c && c.field === 'question')) return { error: 'CSV needs a "question" column' };
+
+  return {
+    questions: rows.map(cells => {
+      const q = {};
+      cells.forEach((cell, i) => {
+        const col = columns[i];
+        if (!col || !cell.trim()) return;
+        q[col.field] = col.parse ? col.parse(cell) : cell.trim();
+      });
+      return q;
+    })
+  };
+}
+
+function formatCSV(questions) {
+  const rows = questions.map(q => CSV_COLUMNS.map(c => {
+    const value = q[c.field];
+    if (value === undefined || value === null) return '';
+    return c.format ? c.format(value) : value;
+  }));
+  return anki.formatDelimited([CSV_COLUMNS.map(c => c.column), ...rows], ',');
+}
+
+// ===============================
+// JSON
+// ===============================
+// { format: 'langlink-pack', version, language, questions: [...] }, or a bare array
+function parseJSONPack(input) {
+  let pack = input;
+  if (typeof input === 'string') {
+    try {
+      pack = JSON.parse(input);
+    } catch (err) {
+      return { error: 'Pack is not valid JSON' };
+    }
+  }
+
+  const questions = Array.isArray(pack) ? pack : pack && pack.questions;
+  if (!Array.isArray(questions)) return { error: 'JSON pack must be an array of questions or { language, questions }' };
+  if (pack.version !== undefined && pack.version > PACK_VERSION) {
+    return { error: `JSON pack version ${pack.version} is newer than this server supports (${PACK_VERSION})` };
+  }
+
+  const language = Array.isArray(pack) ? undefined : pack.language;
+  return {
+    questions: questions.map(q => (q && typeof q === 'object' && !Array.isArray(q)
+      ? { ...(language ? { language } : {}), ...q }
+      : {}))
+  };
+}
+
+function formatJSONPack(language, questions) {
+  return JSON.stringify({
+    format: 'langlink-pack',
+    version: PACK_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    language,
+    exportedAt: new Date().toISOString(),
+    questions: questions.map(({ language: _, ...q }) => q)
+  }, null, 2) + '\n';
+}
+
+// ===============================
+// Anki
+// ===============================
+// Our decks carry the question type and its extra fields as JSON in a
+// "LangLink" field; other decks import their first two fields as
+// question/answer translation cards.
+const ANKI_FIELDS = ['Front', 'Back', 'Hint', 'LangLink'];
+const ANKI_NOTE_TYPE = 'LangLink+ Question';
+
+function noteToQuestion(note) {
+  const byName = {};
+  for (const [name, value] of Object.entries(note.fields)) byName[name.toLowerCase()] = value;
+  const values = Object.values(note.fields);
+
+  const question = byName.front ?? values[0];
+  const hint = byName.hint ? { hint: byName.hint } : {};
+
+  if (byName.langlink) {
+    try {
+      // Back only shows the answer; LangLink holds the real fields
+      const extra = JSON.parse(byName.langlink);
+      if (extra && typeof extra === 'object' && !Array.isArray(extra)) return { question, ...hint, ...extra };
+    } catch (err) {
+      // not one of ours; keep it as a plain translation card
+    }
+  }
+
+  const answer = byName.back ?? values[1];
+  return { type: 'translation', question, ...(answer ? { answer } : {}), ...hint };
+}
+
+function questionToNote(q) {
+  const { id, language, type, question, answer, hint, ...extra } = q;
+  const shown = answer !== undefined
+    ? answer
+    : (extra.pairs || []).map(p => `${p.left} = ${p.right}`).join('; ');
+
+  return {
+    fields: {
+      Front: question,
+      Back: shown,
+      Hint: hint || '',
+      LangLink: JSON.stringify({ type: type || DEFAULT_TYPE, ...extra, ...(answer === undefined ? {} : { answer }) })
+    },
+    tags: ['langlink', String(language).toLowerCase().replace(/\s+/g, '_')]
+  };
+}
+
+function deckName(language) {
+  return `LangLink+ ${language}`;
+}
+
+// ===============================
+// Import / export
+// ===============================
+/**
+ * Parse an uploaded pack into question payloads. `body` is a Buffer or string
+ * (or an already-parsed object for JSON); `language` fills in rows that don't
+ * name their own. Returns `{ questions }` or `{ error }`.
+ */
+async function parsePack(format, body, { language } = {}) {
+  let parsed;
+  if (format === 'apkg') {
+    if (!Buffer.isBuffer(body) || !body.length) return { error: 'Upload the .apkg file as the request body' };
+    const deck = await anki.readPackage(body);
+    parsed = deck.error ? deck : { questions: deck.notes.map(noteToQuestion) };
+  } else {
+    const text = Buffer.isBuffer(body) ? body.toString('utf8') : body;
+    if (format === 'json') parsed = parseJSONPack(text);
+    else if (typeof text !== 'string' || !text.trim()) return { error: 'Pack is empty' };
+    else if (format === 'csv') parsed = parseCSV(text);
+    else parsed = { questions: anki.parseText(text).map(noteToQuestion) };
+  }
+
+  if (parsed.error) return parsed;
+  if (!parsed.questions.length) return { error: 'Pack has no questions' };
+  if (parsed.questions.length > MAX_PACK_ROWS) return { error: `Pack has more than ${MAX_PACK_ROWS} questions` };
+  return {
+    questions: parsed.questions.map(q => (q.language || !language ? q : { ...q, language }))
+  };
+}
+
+function duplicateKey(q) {
+  const text = String(q.question || '').normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+  return [q.language, q.type || DEFAULT_TYPE, text].join('\x00');
+}
+
+/**
+ * Check every row: the question must be valid for its type, its language must
+ * be one of `languages`, and it must not repeat an earlier row or an
+ * `existing` question (same language, type and question text).
+ * Rows are numbered from 1 in file order.
+ */
+function buildImportReport(questions, { languages, existing }) {
+  const known = new Set(languages);
+  const seen = new Map(existing.map(q => [duplicateKey(q), null]));
+
+  const rows = questions.map((input, i) => {
+    const { language, ...q } = input;
+    const row = { row: i + 1, language: language || null, type: q.type || DEFAULT_TYPE, question: q.question ?? null };
+    const errors = validateQuestion(q);
+    if (!language) errors.push('language is required');
+    else if (!known.has(language)) errors.push(`unknown language "${language}"`);
+    if (errors.length) return { ...row, status: 'invalid', errors };
+
+    const key = duplicateKey(input);
+    if (seen.has(key)) {
+      const first = seen.get(key);
+      return { ...row, status: 'duplicate', duplicateOf: first === null ? 'existing question' : `row ${first}` };
+    }
+    seen.set(key, row.row);
+    return { ...row, status: 'new' };
+  });
+
+  const count = status => rows.filter(r => r.status === status).length;
+  return {
+    summary: { total: rows.length, new: count('new'), duplicate: count('duplicate'), invalid: count('invalid') },
+    rows
+  };
+}
+
+/**
+ * Serialize a language's questions in `format`. Resolves to
+ * `{ body, contentType, filename }`.
+ */
+async function exportPack(format, language, questions) {
+  const { contentType, extension } = FORMATS[format];
+  const filename = `${language.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-questions.${extension}`;
+  const options = { fieldNames: ANKI_FIELDS, deck: deckName(language), noteType: ANKI_NOTE_TYPE };
+
+  let body;
+  if (format === 'json') body = formatJSONPack(language, questions);
+  else if (format === 'csv') body = formatCSV(questions);
+  else if (format === 'anki') body = anki.formatText(questions.map(questionToNote), options);
+  else body = await anki.writePackage(questions.map(questionToNote), options);
+
+  return { body, contentType, filename };
+}
+
+module.exports = { FORMATS, MAX_PACK_ROWS, parsePack, buildImportReport, exportPack };
@@ -0,0 +1,169 @@
+// lib/question-types.js — question type registry: authoring validation,
+// public (answer-free) shape and server-side grading for each type.
+//
+// The client-facing shape of every type is described by a JSON schema under
+// schemas/questions/v<SCHEMA_VERSION>/. Bump the version when a shape changes.
+
+const { VERDICTS, matchAnswer } = require('./answer-matching');
+const { scriptFor, isLatinText, matchRomanized } = require('./transliteration');
+const { shuffle } = require('./adaptive');
+
+const SCHEMA_VERSION = 1;
+
+function isNonEmptyString(v) {
+  return typeof v === 'string' && v.trim().length > 0;
+}
+
+function isStringList(v, min) {
+  return Array.isArray(v) && v.length >= min && v.every(isNonEmptyString);
+}
+
+// Typed answers go through the language's normalization; a near-miss typo
+// still counts, but is reported as "almost". Learners without a native
+// keyboard may type a Latin romanization of a native-script answer.
+function gradeTyped(q, response, accepted) {
+  const script = scriptFor(q.language);
+  if (script && script !== 'latin' && isLatinText(response) && !accepted.every(isLatinText)) {
+    const verdict = matchRomanized(response, accepted, q.language);
+    return { correct: verdict !== VERDICTS.WRONG, verdict, correctAnswer: accepted[0] };
+  }
+
+  const match = matchAnswer(response, accepted, q.language);
+  return { correct: match.verdict !== VERDICTS.WRONG, verdict: match.verdict, correctAnswer: match.canonical };
+}
+
+function validateOptions(q, errors) {
+  if (!isStringList(q.options, 2)) {
+    errors.push('options must be an array of at least two non-empty strings');
+  } else if (new Set(q.options).size !== q.options.length) {
+    errors.push('options must not contain duplicates');
+  } else if (isNonEmptyString(q.answer) && !q.options.includes(q.answer)) {
+    errors.push('answer must be one of options');
+  }
+}
+
+function gradeChoice(q, response) {
+  const correct = response === q.answer;
+  return { correct, verdict: correct ? VERDICTS.CORRECT : VERDICTS.WRONG, correctAnswer: q.answer };
+}
+
+/**
+ * Each type lists the fields it keeps in the `content` JSON column
+ * (`contentFields`); question/options/answer/hint have their own columns.
+ * `validate` pushes authoring problems, `toPublic(q, random)` returns what the
+ * client may see (list order shuffled with `random`, so a session's seed
+ * reproduces it), and `grade` checks a learner's response.
+ */
+const TYPES = {
+  multiple_choice: {
+    contentFields: [],
+    validate(q, errors) {
+      if (!isNonEmptyString(q.answer)) errors.push('answer must be a non-empty string');
+      validateOptions(q, errors);
+    },
+    toPublic: (q, random) => ({ options: shuffle(q.options, random) }),
+    grade: gradeChoice
+  },
+
+  // Pick the native-script spelling of a romanized word
+  script: {
+    contentFields: ['romanization', 'script'],
+    validate(q, errors) {
+      if (!isNonEmptyString(q.romanization)) errors.push('romanization must be a non-empty string');
+      if (!isNonEmptyString(q.script)) errors.push('script must be a non-empty string');
+      if (!isNonEmptyString(q.answer)) errors.push('answer must be a non-empty string');
+      validateOptions(q, errors);
+    },
+    toPublic: (q, random) => ({ romanization: q.romanization, script: q.script, options: shuffle(q.options, random) }),
+    grade: gradeChoice
+  },
+
+  // Type the translation; acceptedAnswers lists other correct phrasings
+  translation: {
+    contentFields: ['acceptedAnswers'],
+    validate(q, errors) {
+      if (!isNonEmptyString(q.answer)) errors.push('answer must be a non-empty string');
+      if (q.acceptedAnswers !== undefined && !isStringList(q.acceptedAnswers, 0)) {
+        errors.push('acceptedAnswers must be an array of non-empty strings');
+      }
+    },
+    toPublic: () => ({}),
+    grade(q, response) {
+      return gradeTyped(q, response, [q.answer, ...(q.acceptedAnswers || [])]);
+    }
+  },
+
+  // The question holds a ___ blank; with options it's a choice, without it's typed
+  fill_blank: {
+    contentFields: [],
+    validate(q, errors) {
+      if (isNonEmptyString(q.question) && !q.question.includes('___')) errors.push('question must contain a ___ blank');
+      if (!isNonEmptyString(q.answer)) errors.push('answer must be a non-empty string');
+      if (q.options !== undefined && q.options !== null) validateOptions(q, errors);
+    },
+    toPublic: (q, random) => (q.options ? { options: shuffle(q.options, random) } : {}),
+    grade(q, response) {
+      if (q.options) return gradeChoice(q, response);
+      return gradeTyped(q, response, [q.answer]);
+    }
+  },
+
+  // Build the sentence from tiles; `answer` is the tiles joined in order,
+  // `tiles` may include extra distractor tiles
+  word_order: {
+    contentFields: ['tiles'],
+    validate(q, errors) {
+      if (!isNonEmptyString(q.answer)) errors.push('answer must be a non-empty string');
+      if (!isStringList(q.tiles, 2)) {
+        errors.push('tiles must be an array of at least two non-empty strings');
+      } else if (isNonEmptyString(q.answer)) {
+        const pool = [...q.tiles];
+        for (const word of q.answer.split(' ')) {
+          const i = pool.indexOf(word);
+          if (i === -1) {
+            errors.push('answer must only use words from tiles');
+            break;
+          }
+          pool.splice(i, 1);
+        }
+      }
+    },
+    toPublic: (q, random) => ({ tiles: shuffle(q.tiles, random) }),
+    grade(q, response) {
+      const sentence = Array.isArray(response) ? response.join(' ') : response;
+      const correct = sentence === q.answer;
+      return { correct, verdict: correct ? VERDICTS.CORRECT : VERDICTS.WRONG, correctAnswer: q.answer };
+    }
+  },
+
+  // Match every left item to its right item; response is { left: right }
+  matching: {
+    contentFields: ['pairs'],
+    validate(q, errors) {
+      const pairs = q.pairs;
+      if (!Array.isArray(pairs) || pairs.length < 2 || !pairs.every(p => p && isNonEmptyString(p.left) && isNonEmptyString(p.right))) {
+        errors.push('pairs must be an array of at least two { left, right } string pairs');
+      } else if (new Set(pairs.map(p => p.left)).size !== pairs.length || new Set(pairs.map(p => p.right)).size !== pairs.length) {
+        errors.push('pairs must not repeat a left or right item');
+      }
+    },
+    toPublic: (q, random) => ({ left: q.pairs.map(p => p.left), right: shuffle(q.pairs.map(p => p.right), random) }),
+    grade(q, response) {
+      const given = response && typeof response === 'object' ? response : {};
+      const correct = q.pairs.every(p => given[p.left] === p.right);
+      return {
+        correct,
+        verdict: correct ? VERDICTS.CORRECT : VERDICTS.WRONG,
+        correctAnswer: Object.fromEntries(q.pairs.map(p => [p.left, p.right]))
+      };
+    }
+  }
+};
+
+const DEFAULT_TYPE = 'multiple_choice';
+
+function getType(name) {
+  return TYPES[name || DEFAULT_TYPE] || null;
+}
+
+module.exports = { SCHEMA_VERSION, DEFAULT_TYPE, TYPES, getType };
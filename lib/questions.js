@@ -0,0 +1,71 @@
+// lib/questions.js — question bank helpers (validation + row mapping)
+
+const { DEFAULT_TYPE, TYPES, getType } = require('./question-types');
+const { DEFAULT_RATING, MIN_RATING, MAX_RATING } = require('./adaptive');
+
+/**
+ * Validate a question payload. Returns a list of problems (empty when valid).
+ * Checks the fields every type shares, then the type's own rules.
+ */
+function validateQuestion(input) {
+  const errors = [];
+  const q = input || {};
+
+  const type = getType(q.type);
+  if (!type) {
+    errors.push(`type must be one of ${Object.keys(TYPES).join(', ')}`);
+    return errors;
+  }
+
+  if (typeof q.question !== 'string' || !q.question.trim()) errors.push('question must be a non-empty string');
+  if (q.hint !== undefined && q.hint !== null && typeof q.hint !== 'string') {
+    errors.push('hint must be a string');
+  }
+  if (q.difficulty !== undefined && q.difficulty !== null
+    && !(typeof q.difficulty === 'number' && q.difficulty >= MIN_RATING && q.difficulty <= MAX_RATING)) {
+    errors.push(`difficulty must be a rating between ${MIN_RATING} and ${MAX_RATING}`);
+  }
+
+  type.validate(q, errors);
+  return errors;
+}
+
+function parseJSON(value) {
+  // mysql2 normally parses JSON columns, but keep string rows working too
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function rowToQuestion(row) {
+  return {
+    id: row.id,
+    language: row.language,
+    type: row.type || DEFAULT_TYPE,
+    question: row.question,
+    options: parseJSON(row.options) || undefined,
+    answer: row.answer === null ? undefined : row.answer,
+    hint: row.hint,
+    difficulty: row.difficulty === undefined ? undefined : Number(row.difficulty),
+    ...(parseJSON(row.content) || {})
+  };
+}
+
+// Values for (type, question, options, answer, hint, content, difficulty), in that order
+function questionToColumns(q) {
+  const type = q.type || DEFAULT_TYPE;
+  const content = {};
+  for (const field of getType(type).contentFields) {
+    if (q[field] !== undefined) content[field] = q[field];
+  }
+
+  return [
+    type,
+    q.question,
+    q.options ? JSON.stringify(q.options) : null,
+    q.answer === undefined ? null : q.answer,
+    q.hint || null,
+    Object.keys(content).length ? JSON.stringify(content) : null,
+    typeof q.difficulty === 'number' ? q.difficulty : DEFAULT_RATING
+  ];
+}
+
+module.exports = { validateQuestion, rowToQuestion, questionToColumns };
@@ -0,0 +1,68 @@
+// lib/quiz.js — quiz session helpers and server-side grading
+
+const { SCHEMA_VERSION, getType } = require('./question-types');
+const transliteration = require('./transliteration');
+const { seededRandom } = require('./adaptive');
+
+const SESSION_TTL_MINUTES = 30;
+
+// Public fields that may hold native-script text worth romanizing
+const ROMANIZABLE_FIELDS = ['options', 'tiles', 'left', 'right'];
+
+// What the browser gets for a question: everything except the answer, in
+// the shape described by the type's JSON schema. Options/tiles are shuffled —
+// reproducibly when a session `seed` is given. With `romanize`, questions in
+// a non-Latin script also get a `romanized` copy of their native-script lists.
+function toPublicQuestion(q, { romanize = false, seed = null } = {}) {
+  const random = seed ? seededRandom(`${seed}:${q.id}`) : Math.random;
+  const pub = {
+    id: q.id,
+    type: q.type,
+    schemaVersion: SCHEMA_VERSION,
+    question: q.question,
+    hint: q.hint,
+    ...getType(q.type).toPublic(q, random)
+  };
+
+  const script = transliteration.scriptFor(q.language);
+  if (romanize && script && script !== 'latin') {
+    pub.romanized = {};
+    for (const field of ROMANIZABLE_FIELDS) {
+      if (Array.isArray(pub[field])) pub.romanized[field] = pub[field].map(v => transliteration.romanize(v, q.language));
+    }
+  }
+  return pub;
+}
+
+/**
+ * Grade submitted answers against the session's questions.
+ * `answers` is a list of `{ questionId, answer }`; questions that were not
+ * answered count as wrong. Answers for questions outside the session are ignored.
+ * Typed answers with a small typo count as correct with verdict "almost".
+ */
+function gradeAnswers(questions, answers) {
+  const chosen = new Map();
+  for (const a of answers || []) {
+    if (a && a.questionId !== undefined) chosen.set(Number(a.questionId), a.answer);
+  }
+
+  const results = questions.map(q => {
+    const answer = chosen.has(q.id) ? chosen.get(q.id) : null;
+    const { correct, verdict, correctAnswer } = getType(q.type).grade(q, answer);
+    return {
+      questionId: q.id,
+      type: q.type,
+      question: q.question,
+      chosen: answer,
+      correct,
+      verdict,
+      correctAnswer,
+      hint: q.hint
+    };
+  });
+
+  const score = results.filter(r => r.correct).length;
+  return { score, total: questions.length, results };
+}
+
+module.exports = { SESSION_TTL_MINUTES, toPublicQuestion, gradeAnswers };
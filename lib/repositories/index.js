@@ -0,0 +1,32 @@
+// lib/repositories/index.js — the storage layer routes call instead of SQL
+//
+// STORAGE picks the backend: 'mysql' (default; settings from lib/db.js) or
+// 'memory' (seeded, nothing persists — for local development and tests).
+// Both return the same repositories:
+//
+//   languages, users, progress, streaks, xp, leaderboard, achievements,
+//   questions, reviews, ability, quizSessions, curriculum,
+//   refreshTokens, accountTokens, authEvents, follows, activity,
+//   idempotencyKeys
+//
+// plus transaction(work), ping(), waitUntilReady(options), pendingMigrations()
+// and close(). transaction() runs work(tx) with repositories that commit
+// together or not at all.
+// Rows keep the column names of the MySQL schema (`lessons_completed`,
+// `expires_at`, …) so both backends hand routes the same shapes.
+
+const { createPool } = require('../db');
+const { createMySQLRepositories } = require('./mysql');
+const { createMemoryRepositories } = require('./memory');
+
+const BACKENDS = {
+  mysql: () => createMySQLRepositories(createPool()),
+  memory: () => createMemoryRepositories()
+};
+
+function createRepositories(backend = process.env.STORAGE || 'mysql') {
+  if (!BACKENDS[backend]) throw new Error(`Unknown STORAGE "${backend}" (expected ${Object.keys(BACKENDS).join(', ')})`);
+  return BACKENDS[backend]();
+}
+
+module.exports = { BACKENDS, createRepositories, createMySQLRepositories, createMemoryRepositories };
@@ -0,0 +1,669 @@
+// lib/repositories/memory.js — the repositories held in process memory
+//
+// Same interface and row shapes as mysql.js, for local development without a
+// database and for the integration tests. Nothing survives a restart. Unless
+// `seed: false`, it starts with the languages from migration 004 and the
+// questions and curriculum the seed scripts load from data/.
+
+const { questionToColumns } = require('../questions');
+const seedQuestions = require('../../data/questions.json');
+const seedCurriculum = require('../../data/curriculum.json');
+
+const LANGUAGES = [
+  'Spanish', 'French', 'Hindi', 'Kannada', 'Tamil', 'Telugu', 'Marathi',
+  'Malayalam', 'Bhojpuri', 'Rajasthani', 'Punjabi', 'Kashmiri', 'Urdu', 'Korean'
+];
+
+const USER_DEFAULTS = {
+  score: 0,
+  level: 'Beginner',
+  xp: 0,
+  streak: 0,
+  longest_streak: 0,
+  streak_freezes: 0,
+  last_active: null,
+  role: 'learner',
+  timezone: 'UTC',
+  email_verified_at: null,
+  invite_code: null,
+  private_profile: false,
+  hide_from_leaderboards: false
+};
+
+// Columns other learners may see (search, follow lists)
+const publicUser = u => ({ id: u.id, name: u.name, level: u.level, learning_lang: u.learning_lang, xp: u.xp });
+
+const QUESTION_FIELDS = ['type', 'question', 'options', 'answer', 'hint', 'content', 'difficulty'];
+
+// Rows are copied on the way out so callers can't change stored state
+const copy = row => (row ? { ...row } : null);
+
+// MySQL compares emails case-insensitively (utf8mb4_general_ci)
+const sameEmail = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+
+function duplicateKey(message) {
+  return Object.assign(new Error(message), { code: 'ER_DUP_ENTRY' });
+}
+
+function createMemoryRepositories({ seed = true } = {}) {
+  const ids = {};
+  const nextId = table => (ids[table] = (ids[table] || 0) + 1);
+
+  const tables = {
+    languages: seed ? [...LANGUAGES] : [],
+    users: new Map(),
+    progress: new Map(),
+    activityDays: new Map(),
+    xpLedger: [],
+    achievements: new Map(),
+    questions: new Map(),
+    reviewSchedule: new Map(),
+    attempts: [],
+    ability: new Map(),
+    quizSessions: new Map(),
+    units: [],
+    lessons: [],
+    lessonQuestions: [],
+    completions: new Set(),
+    refreshTokens: [],
+    accountTokens: [],
+    authEvents: [],
+    idempotencyKeys: new Map(),
+    follows: new Map(),
+    activityEvents: []
+  };
+
+  const languages = {
+    async list() {
+      return [...tables.languages].sort();
+    },
+    async exists(name) {
+      return tables.languages.includes(name);
+    }
+  };
+
+  const users = {
+    // Ignores { forUpdate }: transactions here already run one at a time
+    async findById(id) {
+      return copy(tables.users.get(Number(id)));
+    },
+    async findByEmail(email) {
+      return copy([...tables.users.values()].find(u => sameEmail(u.email, email)));
+    },
+    async findByInviteCode(code) {
+      return copy([...tables.users.values()].find(u => u.invite_code === code));
+    },
+    async search(text, { excludeId, limit }) {
+      const needle = text.toLowerCase();
+      return [...tables.users.values()]
+        .filter(u => !u.private_profile && u.id !== excludeId && u.name.toLowerCase().includes(needle))
+        .sort((a, b) => a.name.localeCompare(b.name) || a.id - b.id)
+        .slice(0, limit)
+        .map(publicUser);
+    },
+    async create({ name, email, password, learning_lang, timezone }) {
+      if (await users.findByEmail(email)) throw duplicateKey(`Duplicate entry '${email}' for key 'uq_users_email'`);
+      const id = nextId('users');
+      tables.users.set(id, { ...USER_DEFAULTS, id, name, email, password, learning_lang, timezone, created_at: new Date() });
+      return id;
+    },
+    async update(id, fields) {
+      const user = tables.users.get(Number(id));
+      if (!user) return;
+      if (fields.email !== undefined && [...tables.users.values()].some(u => u !== user && sameEmail(u.email, fields.email))) {
+        throw duplicateKey(`Duplicate entry '${fields.email}' for key 'uq_users_email'`);
+      }
+      if (fields.invite_code && [...tables.users.values()].some(u => u !== user && u.invite_code === fields.invite_code)) {
+        throw duplicateKey(`Duplicate entry '${fields.invite_code}' for key 'uq_users_invite_code'`);
+      }
+      Object.assign(user, fields);
+    },
+    async addXP(id, amount) {
+      const user = tables.users.get(Number(id));
+      user.xp += amount;
+      return user.xp;
+    },
+    async delete(id) {
+      const userId = Number(id);
+      const ofUser = key => key.startsWith(`${userId}:`);
+      for (const map of [tables.progress, tables.activityDays, tables.achievements, tables.reviewSchedule, tables.ability, tables.idempotencyKeys]) {
+        for (const key of [...map.keys()]) if (ofUser(key)) map.delete(key);
+      }
+      for (const key of [...tables.completions]) if (ofUser(key)) tables.completions.delete(key);
+      for (const [sessionId, session] of tables.quizSessions) if (session.user_id === userId) tables.quizSessions.delete(sessionId);
+      for (const [key, follow] of tables.follows) {
+        if (follow.follower_id === userId || follow.followee_id === userId) tables.follows.delete(key);
+      }
+      for (const table of ['xpLedger', 'attempts', 'refreshTokens', 'accountTokens', 'activityEvents']) {
+        tables[table] = tables[table].filter(row => row.user_id !== userId);
+      }
+      tables.users.delete(userId);
+    }
+  };
+
+  const progress = {
+    async get(userId, lang) {
+      return copy(tables.progress.get(`${userId}:${lang}`));
+    },
+    async add(userId, lang, { lessons = 0, xp = 0 } = {}) {
+      const key = `${userId}:${lang}`;
+      const row = tables.progress.get(key) || { language: lang, lessons_completed: 0, xp_earned: 0 };
+      row.lessons_completed += lessons;
+      row.xp_earned += xp;
+      row.last_studied_at = new Date();
+      tables.progress.set(key, row);
+    },
+    async byLanguage(userId) {
+      return (await languages.list()).map(language => {
+        const row = tables.progress.get(`${userId}:${language}`);
+        return {
+          language,
+          lessons_completed: row ? row.lessons_completed : 0,
+          xp_earned: row ? row.xp_earned : 0,
+          last_studied_at: row ? row.last_studied_at : null
+        };
+      });
+    },
+    async totals(userId) {
+      const rows = [...tables.progress.entries()].filter(([key]) => key.startsWith(`${userId}:`)).map(([, row]) => row);
+      return {
+        lessons: rows.reduce((sum, r) => sum + r.lessons_completed, 0),
+        started: rows.filter(r => r.lessons_completed > 0 || r.xp_earned > 0).length
+      };
+    }
+  };
+
+  const streaks = {
+    async recordDays(userId, days) {
+      for (const { date, frozen } of days) {
+        const key = `${userId}:${date}`;
+        if (!tables.activityDays.has(key)) tables.activityDays.set(key, { activity_date: date, freeze_used: frozen ? 1 : 0 });
+      }
+    },
+    async days(userId, from, to) {
+      return [...tables.activityDays.entries()]
+        .filter(([key, d]) => key.startsWith(`${userId}:`) && d.activity_date >= from && d.activity_date <= to)
+        .map(([, d]) => copy(d))
+        .sort((a, b) => a.activity_date.localeCompare(b.activity_date));
+    }
+  };
+
+  const xp = {
+    async append(userId, entries, { language = null, ref = null } = {}) {
+      for (const e of entries) {
+        tables.xpLedger.push({
+          id: nextId('xpLedger'),
+          user_id: userId,
+          activity: e.activity,
+          amount: e.amount,
+          language,
+          ref,
+          created_at: new Date()
+        });
+      }
+    },
+    async history(userId, limit) {
+      return tables.xpLedger
+        .filter(e => e.user_id === userId)
+        .reverse()
+        .slice(0, limit)
+        .map(({ activity, amount, language, ref, created_at }) => ({ activity, amount, language, ref, created_at }));
+    },
+    async total(userId) {
+      return tables.xpLedger.filter(e => e.user_id === userId).reduce((sum, e) => sum + e.amount, 0);
+    },
+    async count(userId, activity) {
+      return tables.xpLedger.filter(e => e.user_id === userId && e.activity === activity).length;
+    }
+  };
+
+  // Same ranking as the SQL window functions in mysql.js
+  function ranked({ lang, since, userIds }) {
+    let scores;
+    if (!lang && !since) {
+      scores = [...tables.users.values()].filter(u => u.xp > 0).map(u => ({ user_id: u.id, xp: u.xp }));
+    } else {
+      const sums = new Map();
+      for (const e of tables.xpLedger) {
+        if (lang && e.language !== lang) continue;
+        if (since && e.created_at < since) continue;
+        sums.set(e.user_id, (sums.get(e.user_id) || 0) + e.amount);
+      }
+      scores = [...sums].filter(([, total]) => total > 0).map(([user_id, total]) => ({ user_id, xp: total }));
+    }
+
+    const rows = scores
+      .filter(s => tables.users.has(s.user_id) && !tables.users.get(s.user_id).hide_from_leaderboards)
+      .filter(s => !userIds || userIds.includes(s.user_id))
+      .sort((a, b) => b.xp - a.xp || a.user_id - b.user_id);
+    return rows.map((s, i) => {
+      const u = tables.users.get(s.user_id);
+      return {
+        ...s,
+        name: u.name,
+        learning_lang: u.learning_lang,
+        level: u.level,
+        rank_no: rows.findIndex(r => r.xp === s.xp) + 1,
+        position: i + 1
+      };
+    });
+  }
+
+  const leaderboard = {
+    async page(scope, { limit, offset }) {
+      const rows = ranked(scope);
+      return { rows: rows.slice(offset, offset + limit), total: rows.length };
+    },
+    async around(scope, userId, span) {
+      const rows = ranked(scope);
+      const mine = rows.find(r => r.user_id === userId);
+      if (!mine) return null;
+      return { mine, neighbors: rows.filter(r => Math.abs(r.position - mine.position) <= span) };
+    }
+  };
+
+  const achievements = {
+    async earned(userId) {
+      return [...tables.achievements.entries()]
+        .filter(([key]) => key.startsWith(`${userId}:`))
+        .map(([, row]) => copy(row));
+    },
+    async award(userId, code) {
+      const key = `${userId}:${code}`;
+      if (tables.achievements.has(key)) return false;
+      tables.achievements.set(key, { code, earned_at: new Date() });
+      return true;
+    }
+  };
+
+  function storeQuestion(id, language, question, ratedAnswers = 0) {
+    const columns = Object.fromEntries(questionToColumns(question).map((value, i) => [QUESTION_FIELDS[i], value]));
+    tables.questions.set(id, { id, language, ...columns, rated_answers: ratedAnswers });
+  }
+
+  const questions = {
+    async list({ language } = {}) {
+      return [...tables.questions.values()]
+        .filter(q => !language || q.language === language)
+        .sort((a, b) => (language ? 0 : a.language.localeCompare(b.language)) || a.id - b.id)
+        .map(copy);
+    },
+    async findById(id) {
+      return copy(tables.questions.get(Number(id)));
+    },
+    async findByIds(questionIds) {
+      return questionIds.map(id => tables.questions.get(Number(id))).filter(Boolean).map(copy);
+    },
+    async create(language, question) {
+      const id = nextId('questions');
+      storeQuestion(id, language, question);
+      return questions.findById(id);
+    },
+    async createMany(list) {
+      for (const { language, ...question } of list) storeQuestion(nextId('questions'), language, question);
+    },
+    async update(id, language, question) {
+      const current = tables.questions.get(Number(id));
+      storeQuestion(current.id, language, question, current.rated_answers);
+      return questions.findById(id);
+    },
+    async delete(id) {
+      const deleted = tables.questions.delete(Number(id));
+      // lesson_questions cascades in MySQL
+      tables.lessonQuestions = tables.lessonQuestions.filter(lq => lq.question_id !== Number(id));
+      return deleted;
+    },
+    async identities(langs) {
+      return [...tables.questions.values()]
+        .filter(q => langs.includes(q.language))
+        .map(({ language, type, question }) => ({ language, type, question }));
+    },
+    async rate(id, difficulty) {
+      const question = tables.questions.get(Number(id));
+      question.difficulty = difficulty;
+      question.rated_answers += 1;
+    }
+  };
+
+  const reviews = {
+    async dueQuestions(userId, lang, today) {
+      return [...tables.reviewSchedule.entries()]
+        .filter(([key, r]) => key.startsWith(`${userId}:`) && r.due_date <= today)
+        .map(([, r]) => ({ r, q: tables.questions.get(r.question_id) }))
+        .filter(({ q }) => q && q.language === lang)
+        .sort((a, b) => a.r.due_date.localeCompare(b.r.due_date) || a.q.id - b.q.id)
+        .map(({ q }) => copy(q));
+    },
+    async dueCounts(userId, today) {
+      const counts = new Map();
+      for (const [key, r] of tables.reviewSchedule) {
+        const q = tables.questions.get(r.question_id);
+        if (!key.startsWith(`${userId}:`) || r.due_date > today || !q) continue;
+        counts.set(q.language, (counts.get(q.language) || 0) + 1);
+      }
+      return [...counts].map(([language, due]) => ({ language, due }));
+    },
+    async schedule(userId, questionId) {
+      const row = tables.reviewSchedule.get(`${userId}:${questionId}`);
+      return row ? { ease: row.ease, interval_days: row.interval_days, repetitions: row.repetitions } : null;
+    },
+    async saveSchedule(userId, questionId, next) {
+      tables.reviewSchedule.set(`${userId}:${questionId}`, {
+        question_id: questionId,
+        ease: next.ease,
+        interval_days: next.intervalDays,
+        repetitions: next.repetitions,
+        due_date: next.dueDate,
+        last_reviewed_at: new Date()
+      });
+    },
+    async recordAttempt(userId, questionId, sessionId, correct) {
+      tables.attempts.push({ user_id: userId, question_id: questionId, session_id: sessionId, correct: correct ? 1 : 0, answered_at: new Date() });
+    },
+    async recentQuestionIds(userId, lang, since) {
+      const found = tables.attempts
+        .filter(a => a.user_id === userId && a.answered_at >= since)
+        .filter(a => {
+          const q = tables.questions.get(a.question_id);
+          return q && q.language === lang;
+        })
+        .map(a => a.question_id);
+      return [...new Set(found)];
+    }
+  };
+
+  const ability = {
+    async get(userId, lang) {
+      return copy(tables.ability.get(`${userId}:${lang}`));
+    },
+    async save(userId, lang, { rating, answers }) {
+      tables.ability.set(`${userId}:${lang}`, { rating, answers });
+    }
+  };
+
+  const quizSessions = {
+    async create({ id, userId, language, mode, questionIds, seed: sessionSeed, expiresAt }) {
+      tables.quizSessions.set(id, {
+        id,
+        user_id: userId,
+        language,
+        mode,
+        question_ids: [...questionIds],
+        seed: sessionSeed,
+        expires_at: expiresAt,
+        submitted_at: null
+      });
+    },
+    async findById(id) {
+      const session = tables.quizSessions.get(id);
+      return session ? { ...session, question_ids: [...session.question_ids] } : null;
+    },
+    async claim(id) {
+      const session = tables.quizSessions.get(id);
+      if (!session || session.submitted_at || session.expires_at <= new Date()) return false;
+      session.submitted_at = new Date();
+      return true;
+    }
+  };
+
+  const unitOf = lesson => tables.units.find(u => u.id === lesson.unit_id);
+
+  const curriculum = {
+    async lessons(lang) {
+      return tables.lessons
+        .map(l => ({ l, u: unitOf(l) }))
+        .filter(({ u }) => u.language === lang)
+        .sort((a, b) => a.u.position - b.u.position || a.l.position - b.l.position)
+        .map(({ l, u }) => ({ id: l.id, title: l.title, position: l.position, unit_id: u.id, unit_title: u.title, unit_position: u.position }));
+    },
+    async completedLessonIds(userId, lang) {
+      return tables.lessons
+        .filter(l => unitOf(l).language === lang && tables.completions.has(`${userId}:${l.id}`))
+        .map(l => l.id);
+    },
+    async lessonLanguage(lessonId) {
+      const lesson = tables.lessons.find(l => l.id === Number(lessonId));
+      return lesson ? unitOf(lesson).language : null;
+    },
+    async vocabulary(lessonId) {
+      const lesson = tables.lessons.find(l => l.id === Number(lessonId));
+      return lesson ? lesson.vocabulary.map(copy) : null;
+    },
+    async lessonQuestions(lessonId) {
+      return tables.lessonQuestions
+        .filter(lq => lq.lesson_id === Number(lessonId))
+        .sort((a, b) => a.position - b.position)
+        .map(lq => copy(tables.questions.get(lq.question_id)));
+    },
+    async complete(userId, lessonId) {
+      const key = `${userId}:${lessonId}`;
+      if (tables.completions.has(key)) return false;
+      tables.completions.add(key);
+      return true;
+    }
+  };
+
+  const refreshTokens = {
+    async create({ userId, familyId, tokenHash, userAgent, expiresAt }) {
+      tables.refreshTokens.push({
+        id: nextId('refreshTokens'),
+        user_id: userId,
+        family_id: familyId,
+        token_hash: tokenHash,
+        user_agent: userAgent,
+        expires_at: expiresAt,
+        rotated_at: null,
+        revoked_at: null
+      });
+    },
+    async findByHash(tokenHash) {
+      const token = tables.refreshTokens.find(t => t.token_hash === tokenHash);
+      if (!token) return null;
+      const { id, user_id, family_id, expires_at, rotated_at, revoked_at } = token;
+      return { id, user_id, family_id, expires_at, rotated_at, revoked_at };
+    },
+    async claim(id) {
+      const token = tables.refreshTokens.find(t => t.id === id);
+      if (!token || token.rotated_at || token.revoked_at) return false;
+      token.rotated_at = new Date();
+      return true;
+    },
+    async revokeFamily(familyId) {
+      for (const t of tables.refreshTokens) if (t.family_id === familyId && !t.revoked_at) t.revoked_at = new Date();
+    },
+    async revokeAllForUser(userId) {
+      let revoked = 0;
+      for (const t of tables.refreshTokens) {
+        if (t.user_id !== userId || t.revoked_at) continue;
+        t.revoked_at = new Date();
+        revoked += 1;
+      }
+      return revoked;
+    }
+  };
+
+  const accountTokens = {
+    async issue(userId, purpose, { tokenHash, expiresAt }) {
+      for (const t of tables.accountTokens) {
+        if (t.user_id === userId && t.purpose === purpose && !t.used_at) t.used_at = new Date();
+      }
+      tables.accountTokens.push({ user_id: userId, purpose, token_hash: tokenHash, expires_at: expiresAt, used_at: null });
+    },
+    async redeem(tokenHash, purpose) {
+      const token = tables.accountTokens.find(t => t.token_hash === tokenHash && t.purpose === purpose);
+      if (!token || token.used_at || token.expires_at <= new Date()) return null;
+      token.used_at = new Date();
+      return token.user_id;
+    }
+  };
+
+  const authEvents = {
+    async record({ event, userId, email, ip, userAgent }) {
+      tables.authEvents.push({
+        id: nextId('authEvents'),
+        event,
+        user_id: userId,
+        email,
+        ip,
+        user_agent: userAgent,
+        created_at: new Date()
+      });
+    },
+    async list({ event, email, userId, since }, { limit, offset }) {
+      return tables.authEvents
+        .filter(e => (!event || e.event === event) &&
+          (!email || sameEmail(e.email, email)) &&
+          (userId === undefined || e.user_id === userId) &&
+          (since === undefined || e.created_at >= since))
+        .reverse()
+        .slice(offset, offset + limit)
+        .map(copy);
+    }
+  };
+
+  const follows = {
+    async add(followerId, followeeId) {
+      const key = `${followerId}:${followeeId}`;
+      if (tables.follows.has(key)) return false;
+      tables.follows.set(key, { follower_id: followerId, followee_id: followeeId, created_at: new Date() });
+      return true;
+    },
+    async remove(followerId, followeeId) {
+      return tables.follows.delete(`${followerId}:${followeeId}`);
+    },
+    async followingIds(userId) {
+      return [...tables.follows.values()].filter(f => f.follower_id === userId).map(f => f.followee_id);
+    },
+    async following(userId) {
+      return followList(f => f.follower_id === userId, f => f.followee_id);
+    },
+    async followers(userId) {
+      return followList(f => f.followee_id === userId, f => f.follower_id);
+    }
+  };
+
+  // Newest first, like ORDER BY created_at DESC (insertion order breaks ties)
+  function followList(matches, otherId) {
+    return [...tables.follows.values()]
+      .filter(matches)
+      .reverse()
+      .filter(f => tables.users.has(otherId(f)))
+      .map(f => ({ ...publicUser(tables.users.get(otherId(f))), since: f.created_at }));
+  }
+
+  const activity = {
+    async record(userId, type, { language = null, data = {} } = {}) {
+      tables.activityEvents.push({ id: nextId('activityEvents'), user_id: userId, type, language, data: structuredClone(data), created_at: new Date() });
+    },
+    async feed(userIds, { limit, before }) {
+      return tables.activityEvents
+        .filter(e => userIds.includes(e.user_id) && tables.users.has(e.user_id) && (before === undefined || e.id < before))
+        .reverse()
+        .slice(0, limit)
+        .map(e => ({ ...e, name: tables.users.get(e.user_id).name, data: structuredClone(e.data) }));
+    }
+  };
+
+  const idempotencyKeys = {
+    async claim(userId, key, { requestHash, expiresAt }) {
+      const id = `${userId}:${key}`;
+      const existing = tables.idempotencyKeys.get(id);
+      if (existing && existing.expires_at > new Date()) {
+        return { claimed: false, record: { ...existing, response: structuredClone(existing.response) } };
+      }
+      tables.idempotencyKeys.set(id, { request_hash: requestHash, status_code: null, response: null, expires_at: expiresAt });
+      return { claimed: true };
+    },
+    async complete(userId, key, { status, body, expiresAt }) {
+      const record = tables.idempotencyKeys.get(`${userId}:${key}`);
+      if (!record) return;
+      record.status_code = status;
+      record.response = body === undefined ? null : structuredClone(body);
+      record.expires_at = expiresAt;
+    },
+    async release(userId, key) {
+      tables.idempotencyKeys.delete(`${userId}:${key}`);
+    }
+  };
+
+  // One transaction at a time: each waits for the previous one to settle. A
+  // failure restores every table as it was when the transaction began —
+  // including writes made outside it meanwhile, which is fine for a
+  // development and test backend.
+  let pending = Promise.resolve();
+
+  function transaction(work) {
+    const run = pending.then(async () => {
+      const snapshot = structuredClone(tables);
+      try {
+        return await work(tx);
+      } catch (err) {
+        Object.assign(tables, snapshot);
+        throw err;
+      }
+    });
+    pending = run.catch(() => {});
+    return run;
+  }
+
+  // Mirrors scripts/seed-questions.js and scripts/seed-curriculum.js
+  function loadSeed() {
+    for (const [language, list] of Object.entries(seedQuestions)) {
+      for (const question of list) storeQuestion(nextId('questions'), language, question);
+    }
+
+    for (const [language, units] of Object.entries(seedCurriculum)) {
+      const questionIds = new Map([...tables.questions.values()].filter(q => q.language === language).map(q => [q.question, q.id]));
+      for (const [u, unit] of units.entries()) {
+        const unitId = nextId('units');
+        tables.units.push({ id: unitId, language, position: u + 1, title: unit.title });
+        for (const [l, lesson] of unit.lessons.entries()) {
+          const lessonId = nextId('lessons');
+          tables.lessons.push({ id: lessonId, unit_id: unitId, position: l + 1, title: lesson.title, vocabulary: lesson.vocabulary || [] });
+          for (const [q, text] of (lesson.questions || []).entries()) {
+            const questionId = questionIds.get(text);
+            if (!questionId) throw new Error(`${language} / ${lesson.title}: no question "${text}"`);
+            tables.lessonQuestions.push({ lesson_id: lessonId, question_id: questionId, position: q + 1 });
+          }
+        }
+      }
+    }
+  }
+
+  if (seed) loadSeed();
+
+  const repositories = {
+    backend: 'memory',
+    languages,
+    users,
+    progress,
+    streaks,
+    xp,
+    leaderboard,
+    achievements,
+    questions,
+    reviews,
+    ability,
+    quizSessions,
+    curriculum,
+    refreshTokens,
+    accountTokens,
+    authEvents,
+    follows,
+    activity,
+    idempotencyKeys,
+    transaction,
+    ping: async () => ({ ok: true, latencyMs: 0 }),
+    waitUntilReady: async () => true,
+    // Nothing to migrate
+    pendingMigrations: async () => null,
+    close: async () => {}
+  };
+  // What transaction() hands its callback: the same repositories, where a
+  // nested transaction joins the current one
+  const tx = { ...repositories, transaction: work => work(tx) };
+
+  return repositories;
+}
+
+module.exports = { LANGUAGES, createMemoryRepositories };
@@ -0,0 +1,683 @@
+// lib/repositories/mysql.js — the repositories backed by MySQL (see index.js)
+
+const { ping, waitForDatabase } = require('../db');
+const { createMigrator } = require('../migrations');
+const { questionToColumns } = require('../questions');
+const { USER_DATA_TABLES } = require('../accounts');
+
+const QUESTION_COLUMNS = 'id, language, type, question, options, answer, hint, content, difficulty, rated_answers';
+const QUESTION_COLUMNS_Q = QUESTION_COLUMNS.split(', ').map(c => `q.${c}`).join(', ');
+
+// Columns users.update() may set
+const USER_COLUMNS = [
+  'name', 'email', 'password', 'learning_lang', 'timezone', 'email_verified_at', 'role',
+  'xp', 'level', 'streak', 'longest_streak', 'streak_freezes', 'last_active',
+  'invite_code', 'private_profile', 'hide_from_leaderboards'
+];
+
+// Columns other learners may see (search, follow lists)
+const PUBLIC_USER_COLUMNS = 'u.id, u.name, u.level, u.learning_lang, u.xp';
+
+// LIKE treats % and _ as wildcards
+const escapeLike = text => text.replace(/[\\%_]/g, c => `\\${c}`);
+
+// Per-user XP for a leaderboard scope. All-time global reads users.xp; any
+// language or time window is summed from the XP ledger.
+function leaderboardScores({ lang, since }) {
+  if (!lang && !since) return { sql: 'SELECT id AS user_id, xp FROM users WHERE xp > 0', params: [] };
+
+  const where = [];
+  const params = [];
+  if (lang) {
+    where.push('language = ?');
+    params.push(lang);
+  }
+  if (since) {
+    where.push('created_at >= ?');
+    params.push(since);
+  }
+  return {
+    sql: `SELECT user_id, SUM(amount) AS xp FROM xp_ledger WHERE ${where.join(' AND ')} GROUP BY user_id HAVING SUM(amount) > 0`,
+    params
+  };
+}
+
+// Users who hid themselves are left out; `userIds` narrows the board to
+// those users (a friends leaderboard)
+function rankedScores(scope) {
+  const scores = leaderboardScores(scope);
+  const params = [...scores.params];
+  let only = '';
+  if (scope.userIds) {
+    only = scope.userIds.length ? `AND s.user_id IN (${scope.userIds.map(() => '?').join(', ')})` : 'AND FALSE';
+    params.push(...scope.userIds);
+  }
+  return {
+    sql: `
+      WITH scores AS (${scores.sql}),
+      ranked AS (
+        SELECT s.user_id, s.xp, u.name, u.learning_lang, u.level,
+          RANK() OVER (ORDER BY s.xp DESC) AS rank_no,
+          ROW_NUMBER() OVER (ORDER BY s.xp DESC, s.user_id) AS position
+        FROM scores s JOIN users u ON u.id = s.user_id
+        WHERE u.hide_from_leaderboards = FALSE ${only}
+      )`,
+    params
+  };
+}
+
+// Deadlocks roll the whole transaction back, so it is safe to run again
+const TRANSACTION_ATTEMPTS = 3;
+
+/**
+ * Runs `work(tx)` with repositories bound to one connection inside a
+ * transaction: committed when it resolves, rolled back when it throws.
+ * Lock rows in a fixed order — the user row first — to keep deadlocks rare.
+ */
+async function transaction(pool, work) {
+  for (let attempt = 1; ; attempt++) {
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const tx = createMySQLRepositories(conn);
+      // Already inside one
+      tx.transaction = inner => inner(tx);
+      const result = await work(tx);
+      await conn.commit();
+      return result;
+    } catch (err) {
+      await conn.rollback().catch(() => {});
+      if (err.code !== 'ER_LOCK_DEADLOCK' || attempt >= TRANSACTION_ATTEMPTS) throw err;
+    } finally {
+      conn.release();
+    }
+  }
+}
+
+function createMySQLRepositories(db) {
+  const first = async (sql, params) => (await db.execute(sql, params))[0][0] || null;
+  const all = async (sql, params) => (await db.execute(sql, params))[0];
+
+  const languages = {
+    async list() {
+      return (await all('SELECT name FROM languages ORDER BY name')).map(r => r.name);
+    },
+    async exists(name) {
+      return Boolean(await first('SELECT name FROM languages WHERE name = ?', [name]));
+    }
+  };
+
+  const users = {
+    // forUpdate locks the row until the transaction ends (see transaction())
+    findById(id, { forUpdate = false } = {}) {
+      return first(`SELECT * FROM users WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`, [id]);
+    },
+    findByEmail(email) {
+      return first('SELECT * FROM users WHERE email = ?', [email]);
+    },
+    findByInviteCode(code) {
+      return first('SELECT * FROM users WHERE invite_code = ?', [code]);
+    },
+    // Public profiles whose name contains `text`, for finding people to follow
+    search(text, { excludeId, limit }) {
+      return all(
+        `SELECT ${PUBLIC_USER_COLUMNS} FROM users u
+         WHERE u.private_profile = FALSE AND u.id <> ? AND u.name LIKE ?
+         ORDER BY u.name, u.id LIMIT ${Number(limit)}`,
+        [excludeId, `%${escapeLike(text)}%`]
+      );
+    },
+    async create({ name, email, password, learning_lang, timezone }) {
+      const [result] = await db.execute(
+        'INSERT INTO users (name, email, password, learning_lang, score, level, xp, timezone) VALUES (?, ?, ?, ?, 0, "Beginner", 0, ?)',
+        [name, email, password, learning_lang, timezone]
+      );
+      return result.insertId;
+    },
+    async update(id, fields) {
+      const columns = Object.keys(fields);
+      const unknown = columns.find(c => !USER_COLUMNS.includes(c));
+      if (unknown) throw new Error(`users.update: unknown column ${unknown}`);
+      if (!columns.length) return;
+      await db.execute(
+        `UPDATE users SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(c => fields[c]), id]
+      );
+    },
+    // Atomic, so concurrent awards all count; returns the new total
+    async addXP(id, amount) {
+      await db.execute('UPDATE users SET xp = xp + ? WHERE id = ?', [amount, id]);
+      return (await first('SELECT xp FROM users WHERE id = ?', [id])).xp;
+    },
+    // Progress first and the user row last, so a failure part-way can be retried
+    async delete(id) {
+      for (const table of USER_DATA_TABLES) {
+        await db.execute(`DELETE FROM ${table} WHERE user_id = ?`, [id]);
+      }
+      await db.execute('DELETE FROM follows WHERE follower_id = ? OR followee_id = ?', [id, id]);
+      await db.execute('DELETE FROM users WHERE id = ?', [id]);
+    }
+  };
+
+  const progress = {
+    async get(userId, lang) {
+      return first(
+        'SELECT lessons_completed, xp_earned, last_studied_at FROM user_language_progress WHERE user_id = ? AND language = ?',
+        [userId, lang]
+      );
+    },
+    // Add to the counters, creating the row on first use
+    async add(userId, lang, { lessons = 0, xp = 0 } = {}) {
+      await db.execute(
+        `INSERT INTO user_language_progress (user_id, language, lessons_completed, xp_earned, last_studied_at)
+         VALUES (?, ?, ?, ?, NOW())
+         ON DUPLICATE KEY UPDATE lessons_completed = lessons_completed + VALUES(lessons_completed),
+           xp_earned = xp_earned + VALUES(xp_earned), last_studied_at = VALUES(last_studied_at)`,
+        [userId, lang, lessons, xp]
+      );
+    },
+    // Every supported language, zeros where the user hasn't started
+    byLanguage(userId) {
+      return all(
+        `SELECT l.name AS language, COALESCE(p.lessons_completed, 0) AS lessons_completed,
+           COALESCE(p.xp_earned, 0) AS xp_earned, p.last_studied_at
+         FROM languages l
+         LEFT JOIN user_language_progress p ON p.language = l.name AND p.user_id = ?
+         ORDER BY l.name`,
+        [userId]
+      );
+    },
+    async totals(userId) {
+      const row = await first(
+        `SELECT COALESCE(SUM(lessons_completed), 0) AS lessons,
+           SUM(lessons_completed > 0 OR xp_earned > 0) AS started
+         FROM user_language_progress WHERE user_id = ?`,
+        [userId]
+      );
+      return { lessons: Number(row.lessons), started: Number(row.started || 0) };
+    }
+  };
+
+  const streaks = {
+    // days: [{ date: 'YYYY-MM-DD', frozen }]; days already recorded are kept
+    async recordDays(userId, days) {
+      for (const { date, frozen } of days) {
+        await db.execute(
+          'INSERT IGNORE INTO user_activity_days (user_id, activity_date, freeze_used) VALUES (?, ?, ?)',
+          [userId, date, frozen ? 1 : 0]
+        );
+      }
+    },
+    days(userId, from, to) {
+      return all(
+        `SELECT activity_date, freeze_used FROM user_activity_days
+         WHERE user_id = ? AND activity_date BETWEEN ? AND ?
+         ORDER BY activity_date`,
+        [userId, from, to]
+      );
+    }
+  };
+
+  const xp = {
+    async append(userId, entries, { language = null, ref = null } = {}) {
+      for (const e of entries) {
+        await db.execute(
+          'INSERT INTO xp_ledger (user_id, activity, amount, language, ref) VALUES (?, ?, ?, ?, ?)',
+          [userId, e.activity, e.amount, language, ref]
+        );
+      }
+    },
+    history(userId, limit) {
+      return all(
+        `SELECT activity, amount, language, ref, created_at FROM xp_ledger
+         WHERE user_id = ? ORDER BY id DESC LIMIT ${Number(limit)}`,
+        [userId]
+      );
+    },
+    async total(userId) {
+      const row = await first('SELECT COALESCE(SUM(amount), 0) AS total FROM xp_ledger WHERE user_id = ?', [userId]);
+      return Number(row.total);
+    },
+    async count(userId, activity) {
+      const row = await first('SELECT COUNT(*) AS count FROM xp_ledger WHERE user_id = ? AND activity = ?', [userId, activity]);
+      return Number(row.count);
+    }
+  };
+
+  // Rows: { user_id, xp, name, learning_lang, level, rank_no, position }
+  const leaderboard = {
+    async page(scope, { limit, offset }) {
+      const ranked = rankedScores(scope);
+      const rows = await all(
+        `${ranked.sql} SELECT * FROM ranked ORDER BY position LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+        ranked.params
+      );
+      const { total } = await first(`${ranked.sql} SELECT COUNT(*) AS total FROM ranked`, ranked.params);
+      return { rows, total: Number(total) };
+    },
+    // The user's row and those within `span` places of it; null when unranked
+    async around(scope, userId, span) {
+      const ranked = rankedScores(scope);
+      const mine = await first(`${ranked.sql} SELECT * FROM ranked WHERE user_id = ?`, [...ranked.params, userId]);
+      if (!mine) return null;
+      const neighbors = await all(
+        `${ranked.sql} SELECT * FROM ranked WHERE position BETWEEN ? AND ? ORDER BY position`,
+        [...ranked.params, mine.position - span, mine.position + span]
+      );
+      return { mine, neighbors };
+    }
+  };
+
+  const achievements = {
+    earned(userId) {
+      return all('SELECT code, earned_at FROM user_achievements WHERE user_id = ?', [userId]);
+    },
+    // true when newly awarded
+    async award(userId, code) {
+      const [result] = await db.execute('INSERT IGNORE INTO user_achievements (user_id, code) VALUES (?, ?)', [userId, code]);
+      return result.affectedRows > 0;
+    }
+  };
+
+  const questions = {
+    list({ language } = {}) {
+      return language
+        ? all(`SELECT ${QUESTION_COLUMNS} FROM questions WHERE language = ? ORDER BY id`, [language])
+        : all(`SELECT ${QUESTION_COLUMNS} FROM questions ORDER BY language, id`);
+    },
+    findById(id) {
+      return first(`SELECT ${QUESTION_COLUMNS} FROM questions WHERE id = ?`, [id]);
+    },
+    findByIds(ids) {
+      if (!ids.length) return [];
+      return all(`SELECT ${QUESTION_COLUMNS} FROM questions WHERE id IN (${ids.map(() => '?').join(',')})`, ids);
+    },
+    async create(language, question) {
+      const [result] = await db.execute(
+        'INSERT INTO questions (language, type, question, options, answer, hint, content, difficulty) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [language, ...questionToColumns(question)]
+      );
+      return questions.findById(result.insertId);
+    },
+    // One multi-row INSERT, so the batch goes in whole or not at all
+    async createMany(list) {
+      if (!list.length) return;
+      await db.query(
+        'INSERT INTO questions (language, type, question, options, answer, hint, content, difficulty) VALUES ?',
+        [list.map(({ language, ...q }) => [language, ...questionToColumns(q)])]
+      );
+    },
+    async update(id, language, question) {
+      await db.execute(
+        'UPDATE questions SET language = ?, type = ?, question = ?, options = ?, answer = ?, hint = ?, content = ?, difficulty = ? WHERE id = ?',
+        [language, ...questionToColumns(question), id]
+      );
+      return questions.findById(id);
+    },
+    async delete(id) {
+      const [result] = await db.execute('DELETE FROM questions WHERE id = ?', [id]);
+      return result.affectedRows > 0;
+    },
+    // (language, type, question) of every stored question in `languages`, for duplicate checks
+    async identities(languages) {
+      if (!languages.length) return [];
+      const [rows] = await db.query('SELECT language, type, question FROM questions WHERE language IN (?)', [languages]);
+      return rows;
+    },
+    // Store a new difficulty after one more rated answer
+    async rate(id, difficulty) {
+      await db.execute('UPDATE questions SET difficulty = ?, rated_answers = rated_answers + 1 WHERE id = ?', [difficulty, id]);
+    }
+  };
+
+  const reviews = {
+    dueQuestions(userId, lang, today) {
+      return all(
+        `SELECT ${QUESTION_COLUMNS_Q}
+         FROM review_schedule r JOIN questions q ON q.id = r.question_id
+         WHERE r.user_id = ? AND q.language = ? AND r.due_date <= ?
+         ORDER BY r.due_date, q.id`,
+        [userId, lang, today]
+      );
+    },
+    // [{ language, due }]
+    async dueCounts(userId, today) {
+      const rows = await all(
+        `SELECT q.language, COUNT(*) AS due
+         FROM review_schedule r JOIN questions q ON q.id = r.question_id
+         WHERE r.user_id = ? AND r.due_date <= ?
+         GROUP BY q.language`,
+        [userId, today]
+      );
+      return rows.map(r => ({ language: r.language, due: Number(r.due) }));
+    },
+    schedule(userId, questionId) {
+      return first('SELECT ease, interval_days, repetitions FROM review_schedule WHERE user_id = ? AND question_id = ?', [userId, questionId]);
+    },
+    // next: lib/srs.js nextReview() output
+    async saveSchedule(userId, questionId, next) {
+      await db.execute(
+        `INSERT INTO review_schedule (user_id, question_id, ease, interval_days, repetitions, due_date, last_reviewed_at)
+         VALUES (?, ?, ?, ?, ?, ?, NOW())
+         ON DUPLICATE KEY UPDATE ease = VALUES(ease), interval_days = VALUES(interval_days),
+           repetitions = VALUES(repetitions), due_date = VALUES(due_date), last_reviewed_at = VALUES(last_reviewed_at)`,
+        [userId, questionId, next.ease, next.intervalDays, next.repetitions, next.dueDate]
+      );
+    },
+    async recordAttempt(userId, questionId, sessionId, correct) {
+      await db.execute(
+        'INSERT INTO question_attempts (user_id, question_id, session_id, correct) VALUES (?, ?, ?, ?)',
+        [userId, questionId, sessionId, correct ? 1 : 0]
+      );
+    },
+    // Questions in `lang` the user answered at or after `since`
+    async recentQuestionIds(userId, lang, since) {
+      const rows = await all(
+        `SELECT DISTINCT a.question_id FROM question_attempts a JOIN questions q ON q.id = a.question_id
+         WHERE a.user_id = ? AND q.language = ? AND a.answered_at >= ?`,
+        [userId, lang, since]
+      );
+      return rows.map(r => r.question_id);
+    }
+  };
+
+  const ability = {
+    async get(userId, lang) {
+      const row = await first('SELECT rating, rated_answers FROM user_ability WHERE user_id = ? AND language = ?', [userId, lang]);
+      return row && { rating: Number(row.rating), answers: row.rated_answers };
+    },
+    async save(userId, lang, { rating, answers }) {
+      await db.execute(
+        `INSERT INTO user_ability (user_id, language, rating, rated_answers) VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE rating = VALUES(rating), rated_answers = VALUES(rated_answers)`,
+        [userId, lang, rating, answers]
+      );
+    }
+  };
+
+  const quizSessions = {
+    async create({ id, userId, language, mode, questionIds, seed, expiresAt }) {
+      await db.execute(
+        'INSERT INTO quiz_sessions (id, user_id, language, mode, question_ids, seed, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [id, userId, language, mode, JSON.stringify(questionIds), seed, expiresAt]
+      );
+    },
+    async findById(id) {
+      const row = await first(
+        'SELECT id, user_id, language, mode, question_ids, seed, expires_at, submitted_at FROM quiz_sessions WHERE id = ?',
+        [id]
+      );
+      if (row && typeof row.question_ids === 'string') row.question_ids = JSON.parse(row.question_ids);
+      return row;
+    },
+    // Mark submitted; false when it already was or has expired
+    async claim(id) {
+      const [result] = await db.execute(
+        'UPDATE quiz_sessions SET submitted_at = NOW() WHERE id = ? AND submitted_at IS NULL AND expires_at > NOW()',
+        [id]
+      );
+      return result.affectedRows > 0;
+    }
+  };
+
+  const curriculum = {
+    // Ordered by unit, then lesson, as lib/curriculum.js expects
+    lessons(lang) {
+      return all(
+        `SELECT l.id, l.title, l.position, u.id AS unit_id, u.title AS unit_title, u.position AS unit_position
+         FROM lessons l JOIN units u ON u.id = l.unit_id
+         WHERE u.language = ?
+         ORDER BY u.position, l.position`,
+        [lang]
+      );
+    },
+    async completedLessonIds(userId, lang) {
+      const rows = await all(
+        `SELECT c.lesson_id FROM user_lesson_completions c
+         JOIN lessons l ON l.id = c.lesson_id JOIN units u ON u.id = l.unit_id
+         WHERE c.user_id = ? AND u.language = ?`,
+        [userId, lang]
+      );
+      return rows.map(r => r.lesson_id);
+    },
+    async lessonLanguage(lessonId) {
+      const row = await first('SELECT u.language FROM lessons l JOIN units u ON u.id = l.unit_id WHERE l.id = ?', [lessonId]);
+      return row ? row.language : null;
+    },
+    async vocabulary(lessonId) {
+      const row = await first('SELECT vocabulary FROM lessons WHERE id = ?', [lessonId]);
+      if (!row) return null;
+      return typeof row.vocabulary === 'string' ? JSON.parse(row.vocabulary) : row.vocabulary;
+    },
+    lessonQuestions(lessonId) {
+      return all(
+        `SELECT ${QUESTION_COLUMNS_Q}
+         FROM lesson_questions lq JOIN questions q ON q.id = lq.question_id
+         WHERE lq.lesson_id = ?
+         ORDER BY lq.position`,
+        [lessonId]
+      );
+    },
+    // false when the user had already completed it
+    async complete(userId, lessonId) {
+      const [result] = await db.execute('INSERT IGNORE INTO user_lesson_completions (user_id, lesson_id) VALUES (?, ?)', [userId, lessonId]);
+      return result.affectedRows > 0;
+    }
+  };
+
+  const refreshTokens = {
+    async create({ userId, familyId, tokenHash, userAgent, expiresAt }) {
+      await db.execute(
+        'INSERT INTO refresh_tokens (user_id, family_id, token_hash, user_agent, expires_at) VALUES (?, ?, ?, ?, ?)',
+        [userId, familyId, tokenHash, userAgent, expiresAt]
+      );
+    },
+    findByHash(tokenHash) {
+      return first(
+        'SELECT id, user_id, family_id, expires_at, rotated_at, revoked_at FROM refresh_tokens WHERE token_hash = ?',
+        [tokenHash]
+      );
+    },
+    // Mark rotated; false when it already was, or was revoked
+    async claim(id) {
+      const [result] = await db.execute(
+        'UPDATE refresh_tokens SET rotated_at = NOW() WHERE id = ? AND rotated_at IS NULL AND revoked_at IS NULL',
+        [id]
+      );
+      return result.affectedRows > 0;
+    },
+    async revokeFamily(familyId) {
+      await db.execute('UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL', [familyId]);
+    },
+    // Returns how many were still live
+    async revokeAllForUser(userId) {
+      const [result] = await db.execute('UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL', [userId]);
+      return result.affectedRows;
+    }
+  };
+
+  const accountTokens = {
+    // A new token replaces any unused one for the same purpose
+    async issue(userId, purpose, { tokenHash, expiresAt }) {
+      await db.execute(
+        'UPDATE account_tokens SET used_at = NOW() WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+        [userId, purpose]
+      );
+      await db.execute(
+        'INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+        [userId, purpose, tokenHash, expiresAt]
+      );
+    },
+    // Mark used and return its user id; null when unknown, used or expired
+    async redeem(tokenHash, purpose) {
+      const [claim] = await db.execute(
+        'UPDATE account_tokens SET used_at = NOW() WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()',
+        [tokenHash, purpose]
+      );
+      if (!claim.affectedRows) return null;
+      return (await first('SELECT user_id FROM account_tokens WHERE token_hash = ?', [tokenHash])).user_id;
+    }
+  };
+
+  const authEvents = {
+    async record({ event, userId, email, ip, userAgent }) {
+      await db.execute(
+        'INSERT INTO auth_events (event, user_id, email, ip, user_agent) VALUES (?, ?, ?, ?, ?)',
+        [event, userId, email, ip, userAgent]
+      );
+    },
+    // Newest first; every filter is optional
+    async list({ event, email, userId, since }, { limit, offset }) {
+      const where = [];
+      const params = [];
+      if (event) {
+        where.push('event = ?');
+        params.push(event);
+      }
+      if (email) {
+        where.push('email = ?');
+        params.push(email);
+      }
+      if (userId !== undefined) {
+        where.push('user_id = ?');
+        params.push(userId);
+      }
+      if (since !== undefined) {
+        where.push('created_at >= ?');
+        params.push(since);
+      }
+      const [rows] = await db.query(
+        `SELECT id, event, user_id, email, ip, user_agent, created_at FROM auth_events
+         ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+         ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      return rows;
+    }
+  };
+
+  const follows = {
+    // false when already following
+    async add(followerId, followeeId) {
+      const [result] = await db.execute('INSERT IGNORE INTO follows (follower_id, followee_id) VALUES (?, ?)', [followerId, followeeId]);
+      return result.affectedRows > 0;
+    },
+    async remove(followerId, followeeId) {
+      const [result] = await db.execute('DELETE FROM follows WHERE follower_id = ? AND followee_id = ?', [followerId, followeeId]);
+      return result.affectedRows > 0;
+    },
+    async followingIds(userId) {
+      return (await all('SELECT followee_id FROM follows WHERE follower_id = ?', [userId])).map(r => r.followee_id);
+    },
+    // Who the user follows, newest first, with when they followed
+    following(userId) {
+      return all(
+        `SELECT ${PUBLIC_USER_COLUMNS}, f.created_at AS since FROM follows f JOIN users u ON u.id = f.followee_id
+         WHERE f.follower_id = ? ORDER BY f.created_at DESC, u.id`,
+        [userId]
+      );
+    },
+    followers(userId) {
+      return all(
+        `SELECT ${PUBLIC_USER_COLUMNS}, f.created_at AS since FROM follows f JOIN users u ON u.id = f.follower_id
+         WHERE f.followee_id = ? ORDER BY f.created_at DESC, u.id`,
+        [userId]
+      );
+    }
+  };
+
+  const activity = {
+    async record(userId, type, { language = null, data = {} } = {}) {
+      await db.execute(
+        'INSERT INTO activity_events (user_id, type, language, data) VALUES (?, ?, ?, ?)',
+        [userId, type, language, JSON.stringify(data)]
+      );
+    },
+    // Events by any of `userIds`, newest first; `before` is an event id to page from
+    feed(userIds, { limit, before }) {
+      if (!userIds.length) return [];
+      const params = [...userIds];
+      let older = '';
+      if (before !== undefined) {
+        older = 'AND e.id < ?';
+        params.push(before);
+      }
+      return all(
+        `SELECT e.id, e.user_id, u.name, e.type, e.language, e.data, e.created_at
+         FROM activity_events e JOIN users u ON u.id = e.user_id
+         WHERE e.user_id IN (${userIds.map(() => '?').join(', ')}) ${older}
+         ORDER BY e.id DESC LIMIT ${Number(limit)}`,
+        params
+      );
+    }
+  };
+
+  const idempotencyKeys = {
+    // Reserve a key for this request. Resolves { claimed: true }, or
+    // { claimed: false, record } when the key is already in use.
+    async claim(userId, key, { requestHash, expiresAt }) {
+      // The row can go (released or expired) between the INSERT and the
+      // SELECT; then the key is free, so try again
+      for (let attempt = 1; ; attempt++) {
+        await db.execute('DELETE FROM idempotency_keys WHERE user_id = ? AND idem_key = ? AND expires_at <= NOW()', [userId, key]);
+        const [result] = await db.execute(
+          'INSERT IGNORE INTO idempotency_keys (user_id, idem_key, request_hash, expires_at) VALUES (?, ?, ?, ?)',
+          [userId, key, requestHash, expiresAt]
+        );
+        if (result.affectedRows) return { claimed: true };
+        const record = await first(
+          'SELECT request_hash, status_code, response FROM idempotency_keys WHERE user_id = ? AND idem_key = ?',
+          [userId, key]
+        );
+        if (record) {
+          if (typeof record.response === 'string') record.response = JSON.parse(record.response);
+          return { claimed: false, record };
+        }
+        if (attempt >= 3) throw new Error(`Could not claim idempotency key ${key}`);
+      }
+    },
+    async complete(userId, key, { status, body, expiresAt }) {
+      await db.execute(
+        'UPDATE idempotency_keys SET status_code = ?, response = ?, expires_at = ? WHERE user_id = ? AND idem_key = ?',
+        [status, JSON.stringify(body === undefined ? null : body), expiresAt, userId, key]
+      );
+    },
+    async release(userId, key) {
+      await db.execute('DELETE FROM idempotency_keys WHERE user_id = ? AND idem_key = ?', [userId, key]);
+    }
+  };
+
+  const migrator = createMigrator(db);
+
+  return {
+    backend: 'mysql',
+    db,
+    languages,
+    users,
+    progress,
+    streaks,
+    xp,
+    leaderboard,
+    achievements,
+    questions,
+    reviews,
+    ability,
+    quizSessions,
+    curriculum,
+    refreshTokens,
+    accountTokens,
+    authEvents,
+    follows,
+    activity,
+    idempotencyKeys,
+    transaction: work => transaction(db, work),
+    ping: () => ping(db),
+    waitUntilReady: options => waitForDatabase(db, options),
+    async pendingMigrations() {
+      return (await migrator.status()).pending.length;
+    },
+    close: () => db.end()
+  };
+}
+
+module.exports = { createMySQLRepositories };
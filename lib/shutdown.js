@@ -0,0 +1,65 @@
+// lib/shutdown.js — graceful shutdown on SIGTERM/SIGINT
+//
+// On a signal the server stops accepting connections and /readyz turns 503
+// so the load balancer stops routing here. In-flight requests finish (their
+// keep-alive connections are closed after the response), then `cleanup`
+// runs (closing the DB pool) and the process exits. Requests still running
+// after `timeoutMs` have their connections cut.
+
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000;
+
+let shuttingDown = false;
+
+function isShuttingDown() {
+  return shuttingDown;
+}
+
+// Ask keep-alive clients to reconnect (elsewhere) once shutdown has begun
+function drainConnections(req, res, next) {
+  if (shuttingDown) res.set('Connection', 'close');
+  return next();
+}
+
+/**
+ * Close `server` and run `cleanup`. `disconnect` closes long-lived
+ * connections (WebSockets) that server.close() would otherwise wait for.
+ * Resolves true when every request finished in time, false when some had to
+ * be cut off.
+ */
+function shutdown(server, { cleanup = async () => {}, disconnect = async () => {}, timeoutMs = SHUTDOWN_TIMEOUT_MS } = {}) {
+  shuttingDown = true;
+
+  return new Promise(resolve => {
+    let drained = true;
+    const timer = setTimeout(() => {
+      drained = false;
+      server.closeAllConnections();
+    }, timeoutMs);
+    timer.unref();
+
+    server.close(async () => {
+      clearTimeout(timer);
+      try {
+        await cleanup();
+      } catch (err) {
+        console.error('Error during shutdown cleanup:', err);
+      }
+      resolve(drained);
+    });
+    server.closeIdleConnections();
+    Promise.resolve(disconnect()).catch(err => console.error('Error closing long-lived connections:', err));
+  });
+}
+
+function handleSignals(server, options = {}, signals = ['SIGTERM', 'SIGINT']) {
+  for (const signal of signals) {
+    process.once(signal, async () => {
+      console.log(`🛑 ${signal} received; finishing in-flight requests`);
+      const drained = await shutdown(server, options);
+      console.log(drained ? '👋 Shut down cleanly' : '👋 Shut down; some requests were cut off');
+      process.exit(0);
+    });
+  }
+}
+
+module.exports = { SHUTDOWN_TIMEOUT_MS, isShuttingDown, drainConnections, shutdown, handleSignals };
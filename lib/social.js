@@ -0,0 +1,86 @@
+// lib/social.js — invite codes, activity feed events and privacy settings
+//
+// Feed events are recorded where XP and streaks change (see server.js):
+//
+//   lesson_completed  data: { lessonId, title }
+//   quiz_completed    data: { score, total }
+//   level_up          data: { level, previousLevel }
+//   streak_milestone  data: { streak }
+//
+// Followers see a user's events whatever their privacy settings; a private
+// profile only stays out of search and can't be followed without its invite
+// code.
+
+const crypto = require('crypto');
+
+const EVENT_TYPES = ['lesson_completed', 'quiz_completed', 'level_up', 'streak_milestone'];
+
+// Streak lengths worth telling friends about; after a year, every 100 days
+const STREAK_MILESTONES = [3, 7, 14, 30, 50, 100, 200, 365];
+
+// No 0/O or 1/I/L, so codes survive being read out loud
+const INVITE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+const FEED_PAGE_SIZE = 20;
+const MAX_FEED_PAGE_SIZE = 50;
+const SEARCH_LIMIT = 20;
+
+function isStreakMilestone(streak) {
+  return STREAK_MILESTONES.includes(streak) || (streak > 365 && streak % 100 === 0);
+}
+
+function createInviteCode() {
+  let code = '';
+  for (let i = 0; i < INVITE_CODE_LENGTH; i++) code += INVITE_ALPHABET[crypto.randomInt(INVITE_ALPHABET.length)];
+  return code;
+}
+
+// Codes are shown in upper case but accepted in any case, with dashes or spaces
+function normalizeInviteCode(code) {
+  return String(code).toUpperCase().replace(/[\s-]/g, '');
+}
+
+function toPrivacy(user) {
+  return {
+    privateProfile: Boolean(user.private_profile),
+    hideFromLeaderboards: Boolean(user.hide_from_leaderboards)
+  };
+}
+
+// What other learners see of a user
+function toUserSummary(row, followingIds = new Set()) {
+  return {
+    id: row.id,
+    name: row.name,
+    level: row.level,
+    learning_lang: row.learning_lang,
+    following: followingIds.has(row.id)
+  };
+}
+
+function toFeedItem(row) {
+  return {
+    id: Number(row.id),
+    type: row.type,
+    user: { id: row.user_id, name: row.name },
+    language: row.language,
+    data: typeof row.data === 'string' ? JSON.parse(row.data) : row.data || {},
+    createdAt: row.created_at
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  STREAK_MILESTONES,
+  INVITE_CODE_LENGTH,
+  FEED_PAGE_SIZE,
+  MAX_FEED_PAGE_SIZE,
+  SEARCH_LIMIT,
+  isStreakMilestone,
+  createInviteCode,
+  normalizeInviteCode,
+  toPrivacy,
+  toUserSummary,
+  toFeedItem
+};
@@ -0,0 +1,51 @@
+// lib/srs.js — SM-2 spaced-repetition scheduling
+
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// Quiz answers are right/wrong only, so map them onto SM-2's 0–5 scale
+const QUALITY_CORRECT = 4;
+const QUALITY_WRONG = 1;
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return toDateString(d);
+}
+
+/**
+ * Compute the next review state after an answer.
+ * `state` is the stored schedule row (or null for a first attempt);
+ * `today` is a YYYY-MM-DD string.
+ */
+function nextReview(state, correct, today) {
+  const quality = correct ? QUALITY_CORRECT : QUALITY_WRONG;
+  let ease = state ? Number(state.ease) : DEFAULT_EASE;
+  let repetitions = state ? state.repetitions : 0;
+  let intervalDays = state ? state.interval_days : 0;
+
+  if (quality < 3) {
+    repetitions = 0;
+    intervalDays = 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) intervalDays = 1;
+    else if (repetitions === 2) intervalDays = 6;
+    else intervalDays = Math.round(intervalDays * ease);
+  }
+
+  ease = Math.max(MIN_EASE, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+  return {
+    ease: Math.round(ease * 100) / 100,
+    intervalDays,
+    repetitions,
+    dueDate: addDays(today, intervalDays)
+  };
+}
+
+module.exports = { DEFAULT_EASE, toDateString, nextReview };
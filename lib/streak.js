@@ -0,0 +1,114 @@
+// lib/streak.js — daily streak rules, evaluated in the user's own timezone
+
+const DEFAULT_TIMEZONE = 'UTC';
+const MAX_FREEZES = 2;
+// A streak freeze is earned every time the streak reaches a multiple of this
+const FREEZE_EARN_EVERY = 7;
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Calendar date (YYYY-MM-DD) of `date` as seen in `timeZone`
+function localDate(date, timeZone) {
+  const tz = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+// Stored DATE values may come back as strings or as Date objects
+function toDateKey(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value.slice(0, 10);
+  const y = value.getFullYear();
+  const m = String(value.getMonth() + 1).padStart(2, '0');
+  const d = String(value.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+function addDays(dateKey, days) {
+  const d = new Date(`${dateKey}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+function daysBetween(fromKey, toKey) {
+  return Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Apply one day of activity to a user's streak state.
+ * `state` is `{ streak, longestStreak, freezes, lastActive }`, `today` the
+ * user's local date. Missed days are covered by freezes when there are
+ * enough of them; otherwise the streak restarts at 1.
+ * Returns the new state plus `frozenDates` (days a freeze was spent on),
+ * `freezeEarned` and `changed` (false when already active today).
+ */
+function applyActivity(state, today) {
+  const lastActive = toDateKey(state.lastActive);
+  let streak = state.streak || 0;
+  let freezes = state.freezes || 0;
+  const frozenDates = [];
+
+  if (lastActive === today) {
+    return { ...state, streak, freezes, lastActive, frozenDates, freezeEarned: false, changed: false };
+  }
+
+  const gap = lastActive ? daysBetween(lastActive, today) : null;
+
+  if (gap === 1) {
+    streak += 1;
+  } else if (gap > 1 && streak > 0 && freezes >= gap - 1) {
+    for (let i = 1; i < gap; i++) frozenDates.push(addDays(lastActive, i));
+    freezes -= frozenDates.length;
+    streak += 1;
+  } else {
+    // First activity, a gap too long to cover, or a clock that went backwards
+    streak = 1;
+  }
+
+  let freezeEarned = false;
+  if (streak % FREEZE_EARN_EVERY === 0 && freezes < MAX_FREEZES) {
+    freezes += 1;
+    freezeEarned = true;
+  }
+
+  return {
+    streak,
+    longestStreak: Math.max(state.longestStreak || 0, streak),
+    freezes,
+    lastActive: today,
+    frozenDates,
+    freezeEarned,
+    changed: true
+  };
+}
+
+/**
+ * The streak as it stands today without recording activity: it survives if
+ * the user was active today or yesterday, or the gap can still be frozen.
+ */
+function currentStreak(state, today) {
+  const lastActive = toDateKey(state.lastActive);
+  if (!lastActive || !state.streak) return 0;
+  const gap = daysBetween(lastActive, today);
+  if (gap <= 1) return state.streak;
+  return (state.freezes || 0) >= gap - 1 ? state.streak : 0;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  MAX_FREEZES,
+  FREEZE_EARN_EVERY,
+  isValidTimeZone,
+  localDate,
+  toDateKey,
+  applyActivity,
+  currentStreak
+};
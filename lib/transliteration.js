@@ -0,0 +1,356 @@
+// lib/transliteration.js — romanization of the scripts we teach, and matching
+// of Latin-script answers against native-script ones
+//
+// Schemes:
+//   iso15919 — ISO 15919 with diacritics (Indic scripts); for Urdu/Kashmiri a
+//              letter-by-letter ALA-LC style transcription; Revised
+//              Romanization for Korean
+//   phonetic — plain ASCII the way learners type it ("namaste", "shukriya")
+//
+// The Brahmic scripts share the ISCII-derived Unicode layout, so one table of
+// offsets (from the start of each script's block) covers all of them.
+
+const { normalizeLenient, editDistance } = require('./answer-matching');
+
+const SCHEMES = ['iso15919', 'phonetic'];
+
+// Unicode block start per Brahmic script
+const BRAHMIC_BLOCKS = {
+  devanagari: 0x0900,
+  gurmukhi: 0x0A00,
+  tamil: 0x0B80,
+  telugu: 0x0C00,
+  kannada: 0x0C80,
+  malayalam: 0x0D00
+};
+
+const LANGUAGE_SCRIPTS = {
+  Hindi: 'devanagari',
+  Marathi: 'devanagari',
+  Bhojpuri: 'devanagari',
+  Rajasthani: 'devanagari',
+  Punjabi: 'gurmukhi',
+  Tamil: 'tamil',
+  Telugu: 'telugu',
+  Kannada: 'kannada',
+  Malayalam: 'malayalam',
+  Urdu: 'arabic',
+  Kashmiri: 'arabic',
+  Korean: 'hangul',
+  Spanish: 'latin',
+  French: 'latin'
+};
+
+// Languages that drop the word-final inherent vowel in speech (नमस्ते → namaste, not namastē)
+const SCHWA_DELETION = new Set(['Hindi', 'Marathi', 'Bhojpuri', 'Rajasthani', 'Punjabi']);
+
+// [iso15919, phonetic] by offset within the block
+const CONSONANTS = {
+  0x15: ['k', 'k'], 0x16: ['kh', 'kh'], 0x17: ['g', 'g'], 0x18: ['gh', 'gh'], 0x19: ['ṅ', 'ng'],
+  0x1A: ['c', 'ch'], 0x1B: ['ch', 'chh'], 0x1C: ['j', 'j'], 0x1D: ['jh', 'jh'], 0x1E: ['ñ', 'ny'],
+  0x1F: ['ṭ', 't'], 0x20: ['ṭh', 'th'], 0x21: ['ḍ', 'd'], 0x22: ['ḍh', 'dh'], 0x23: ['ṇ', 'n'],
+  0x24: ['t', 't'], 0x25: ['th', 'th'], 0x26: ['d', 'd'], 0x27: ['dh', 'dh'], 0x28: ['n', 'n'],
+  0x29: ['ṉ', 'n'], 0x2A: ['p', 'p'], 0x2B: ['ph', 'ph'], 0x2C: ['b', 'b'], 0x2D: ['bh', 'bh'],
+  0x2E: ['m', 'm'], 0x2F: ['y', 'y'], 0x30: ['r', 'r'], 0x31: ['ṟ', 'r'], 0x32: ['l', 'l'],
+  0x33: ['ḷ', 'l'], 0x34: ['ḻ', 'zh'], 0x35: ['v', 'v'], 0x36: ['ś', 'sh'], 0x37: ['ṣ', 'sh'],
+  0x38: ['s', 's'], 0x39: ['h', 'h']
+};
+
+// Consonant + nukta, keyed by the consonant's offset
+const NUKTA_FORMS = {
+  0x15: ['q', 'q'], 0x16: ['k͟h', 'kh'], 0x17: ['ġ', 'gh'], 0x1C: ['z', 'z'], 0x21: ['ṛ', 'r'],
+  0x22: ['ṛh', 'rh'], 0x2B: ['f', 'f'], 0x2F: ['ẏ', 'y'], 0x38: ['ś', 'sh'], 0x32: ['ḷ', 'l']
+};
+
+const VOWELS = {
+  0x05: ['a', 'a'], 0x06: ['ā', 'aa'], 0x07: ['i', 'i'], 0x08: ['ī', 'ee'], 0x09: ['u', 'u'],
+  0x0A: ['ū', 'oo'], 0x0B: ['r̥', 'ri'], 0x0C: ['l̥', 'li'], 0x0D: ['ê', 'e'], 0x0E: ['e', 'e'],
+  0x0F: ['ē', 'e'], 0x10: ['ai', 'ai'], 0x11: ['ô', 'o'], 0x12: ['o', 'o'], 0x13: ['ō', 'o'],
+  0x14: ['au', 'au'], 0x60: ['r̥̄', 'ri'], 0x61: ['l̥̄', 'li']
+};
+
+const VOWEL_SIGNS = {
+  0x3E: ['ā', 'aa'], 0x3F: ['i', 'i'], 0x40: ['ī', 'ee'], 0x41: ['u', 'u'], 0x42: ['ū', 'oo'],
+  0x43: ['r̥', 'ri'], 0x44: ['r̥̄', 'ri'], 0x45: ['ê', 'e'], 0x46: ['e', 'e'], 0x47: ['ē', 'e'],
+  0x48: ['ai', 'ai'], 0x49: ['ô', 'o'], 0x4A: ['o', 'o'], 0x4B: ['ō', 'o'], 0x4C: ['au', 'au'],
+  0x57: ['au', 'au'], 0x62: ['l̥', 'li'], 0x63: ['l̥̄', 'li']
+};
+
+const MARKS = {
+  0x01: ['m̐', 'n'], 0x02: ['ṁ', 'n'], 0x03: ['ḥ', 'h'], 0x3D: ["'", ''], 0x50: ['ōṁ', 'om'],
+  0x64: ['.', '.'], 0x65: ['.', '.']
+};
+
+const ANUSVARA = 0x02;
+const VIRAMA = 0x4D;
+const NUKTA = 0x3C;
+
+// Script-specific code points outside the shared layout
+const SPECIALS = {
+  0x0A70: ['ṁ', 'n'], // Gurmukhi tippi
+  0x0D7A: ['ṇ', 'n'], 0x0D7B: ['n', 'n'], 0x0D7C: ['r', 'r'], // Malayalam chillu letters
+  0x0D7D: ['l', 'l'], 0x0D7E: ['ḷ', 'l'], 0x0D7F: ['k', 'k']
+};
+const GURMUKHI_ADDAK = 0x0A71; // doubles the following consonant
+
+function brahmicBlock(cp) {
+  for (const base of Object.values(BRAHMIC_BLOCKS)) {
+    if (cp >= base && cp < base + 0x80) return base;
+  }
+  return null;
+}
+
+function romanizeBrahmic(text, language, schemeIndex) {
+  const chars = Array.from(text.normalize('NFC')).map(c => c.codePointAt(0));
+  const tokens = [];
+  // Pending inherent vowel after a bare consonant
+  let inherent = false;
+  let geminate = false;
+
+  const flushInherent = () => {
+    if (inherent) tokens.push({ text: 'a', vowel: true, inherent: true });
+    inherent = false;
+  };
+
+  for (let i = 0; i < chars.length; i++) {
+    const cp = chars[i];
+    const base = brahmicBlock(cp);
+    const offset = base === null ? null : cp - base;
+
+    if (SPECIALS[cp]) {
+      flushInherent();
+      tokens.push({ text: SPECIALS[cp][schemeIndex], anusvara: cp === 0x0A70 });
+    } else if (cp === GURMUKHI_ADDAK) {
+      flushInherent();
+      geminate = true;
+    } else if (offset !== null && CONSONANTS[offset]) {
+      flushInherent();
+      const withNukta = chars[i + 1] === base + NUKTA && NUKTA_FORMS[offset];
+      const roman = (withNukta || CONSONANTS[offset])[schemeIndex];
+      if (withNukta) i += 1;
+      if (geminate) tokens.push({ text: roman.charAt(0) });
+      geminate = false;
+      tokens.push({ text: roman });
+      inherent = true;
+    } else if (offset !== null && VOWEL_SIGNS[offset]) {
+      inherent = false;
+      tokens.push({ text: VOWEL_SIGNS[offset][schemeIndex], vowel: true });
+    } else if (offset === VIRAMA) {
+      inherent = false;
+    } else if (offset !== null && VOWELS[offset]) {
+      flushInherent();
+      tokens.push({ text: VOWELS[offset][schemeIndex], vowel: true });
+    } else if (offset !== null && MARKS[offset]) {
+      flushInherent();
+      tokens.push({ text: MARKS[offset][schemeIndex], anusvara: offset === ANUSVARA });
+    } else if (offset !== null && offset >= 0x66 && offset <= 0x6F) {
+      flushInherent();
+      tokens.push({ text: String(offset - 0x66), boundary: true });
+    } else if (offset === NUKTA) {
+      // stray nukta (no consonant before it) carries no sound of its own
+    } else {
+      flushInherent();
+      tokens.push({ text: String.fromCodePoint(cp), boundary: true });
+    }
+  }
+  flushInherent();
+
+  // Phonetic anusvara sounds as "m" at the end of a word and before p/b/m
+  if (schemeIndex === 1) {
+    tokens.forEach((t, i) => {
+      const next = tokens[i + 1];
+      if (t.anusvara && (!next || next.boundary || /^[pbm]/.test(next.text))) t.text = 'm';
+    });
+  }
+
+  // Phonetic output drops the word-final inherent vowel where speech does,
+  // as long as the word keeps another vowel (न stays "na")
+  if (schemeIndex === 1 && SCHWA_DELETION.has(language)) {
+    let wordHasVowel = false;
+    for (let i = 0; i < tokens.length; i++) {
+      const next = tokens[i + 1];
+      if (tokens[i].boundary) {
+        wordHasVowel = false;
+      } else if (tokens[i].vowel) {
+        if (tokens[i].inherent && wordHasVowel && (!next || next.boundary)) tokens[i].text = '';
+        wordHasVowel = true;
+      }
+    }
+  }
+  return tokens.map(t => t.text).join('');
+}
+
+// Perso-Arabic letters → [iso, phonetic]. Short vowels are only written as
+// optional harakat, so unvocalized text comes out as a consonant skeleton.
+const ARABIC_LETTERS = {
+  'ا': ['ā', 'a'], 'آ': ['ā', 'aa'], 'ب': ['b', 'b'], 'پ': ['p', 'p'], 'ت': ['t', 't'],
+  'ٹ': ['ṭ', 't'], 'ث': ['s̱', 's'], 'ج': ['j', 'j'], 'چ': ['c', 'ch'], 'ح': ['ḥ', 'h'],
+  'خ': ['k͟h', 'kh'], 'د': ['d', 'd'], 'ڈ': ['ḍ', 'd'], 'ذ': ['ẕ', 'z'], 'ر': ['r', 'r'],
+  'ڑ': ['ṛ', 'r'], 'ز': ['z', 'z'], 'ژ': ['zh', 'zh'], 'س': ['s', 's'], 'ش': ['sh', 'sh'],
+  'ص': ['ṣ', 's'], 'ض': ['ż', 'z'], 'ط': ['t̤', 't'], 'ظ': ['z̤', 'z'], 'ع': ['ʻ', ''],
+  'غ': ['g͟h', 'gh'], 'ف': ['f', 'f'], 'ق': ['q', 'q'], 'ک': ['k', 'k'], 'ك': ['k', 'k'],
+  'گ': ['g', 'g'], 'ل': ['l', 'l'], 'م': ['m', 'm'], 'ن': ['n', 'n'], 'ں': ['ṉ', 'n'],
+  'و': ['v', 'v'], 'ہ': ['h', 'h'], 'ه': ['h', 'h'], 'ھ': ['h', 'h'], 'ء': ['ʼ', ''],
+  'ی': ['y', 'y'], 'ي': ['y', 'y'], 'ئ': ['ʼ', ''], 'ے': ['e', 'e'], 'ۓ': ['e', 'e'],
+  'ۃ': ['h', 'h'], '\u064E': ['a', 'a'], '\u0650': ['i', 'i'], '\u064F': ['u', 'u'], '\u064B': ['an', 'an'],
+  '\u0652': ['', ''], '۔': ['.', '.'], '،': [',', ',']
+};
+const ARABIC_LETTER = /[\u0621-\u064A\u0679-\u06D3]/;
+const SHADDA = '\u0651';
+
+function romanizeArabic(text, schemeIndex) {
+  const chars = Array.from(text.normalize('NFC'));
+  let out = '';
+  for (let i = 0; i < chars.length; i++) {
+    const c = chars[i];
+    const prevIsLetter = i > 0 && ARABIC_LETTER.test(chars[i - 1]);
+    const nextIsLetter = i + 1 < chars.length && ARABIC_LETTER.test(chars[i + 1]);
+
+    if (c === SHADDA) {
+      // doubles the consonant just written
+      const last = out.slice(-1);
+      if (last) out += last;
+    } else if (c === 'ی' || c === 'ي') {
+      // between letters or word-final, yeh is the long vowel ī
+      out += prevIsLetter ? ['ī', 'i'][schemeIndex] : 'y';
+    } else if (c === 'و') {
+      out += prevIsLetter ? ['ū', 'u'][schemeIndex] : 'v';
+    } else if ((c === 'ہ' || c === 'ه') && prevIsLetter && !nextIsLetter) {
+      // word-final choti heh usually marks a final -a
+      out += 'a';
+    } else if (ARABIC_LETTERS[c]) {
+      out += ARABIC_LETTERS[c][schemeIndex];
+    } else {
+      out += c;
+    }
+  }
+  return out;
+}
+
+// Revised Romanization of Korean, with the common nasal assimilations
+const HANGUL_INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const HANGUL_VOWELS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+const HANGUL_FINALS = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l', 'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+const NASALIZED = { k: 'ng', t: 'n', p: 'm' };
+
+function romanizeHangul(text) {
+  const syllables = Array.from(text.normalize('NFC')).map(c => {
+    const s = c.codePointAt(0) - 0xAC00;
+    if (s < 0 || s > 11171) return { raw: c };
+    return { initial: Math.floor(s / 588), vowel: Math.floor((s % 588) / 28), final: s % 28 };
+  });
+
+  let out = '';
+  syllables.forEach((syl, i) => {
+    if (syl.raw !== undefined) {
+      out += syl.raw;
+      return;
+    }
+    const next = syllables[i + 1];
+    const prev = syllables[i - 1];
+    let initial = HANGUL_INITIALS[syl.initial];
+    // ㄹ after a final ㄹ or ㄴ is read as l
+    if (syl.initial === 5 && prev && prev.raw === undefined && ['l', 'n'].includes(HANGUL_FINALS[prev.final])) initial = 'l';
+
+    let final = HANGUL_FINALS[syl.final];
+    if (next && next.raw === undefined) {
+      // ㄱ/ㄷ/ㅂ finals become nasal before ㄴ/ㅁ (합니다 → hamnida)
+      if ((next.initial === 2 || next.initial === 6) && NASALIZED[final]) final = NASALIZED[final];
+      if (next.initial === 5 && final === 'l') final = 'l';
+    }
+    out += initial + HANGUL_VOWELS[syl.vowel] + final;
+  });
+  return out;
+}
+
+function scriptFor(language) {
+  return LANGUAGE_SCRIPTS[language] || null;
+}
+
+/**
+ * Romanize native-script text for a language. Characters outside the
+ * language's script (Latin, digits, punctuation) pass through unchanged.
+ */
+function romanize(text, language, { scheme = 'phonetic' } = {}) {
+  const schemeIndex = scheme === 'iso15919' ? 0 : 1;
+  const script = scriptFor(language);
+  const value = String(text);
+
+  if (script === 'arabic') return romanizeArabic(value, schemeIndex);
+  if (script === 'hangul') return romanizeHangul(value);
+  if (BRAHMIC_BLOCKS[script] !== undefined) return romanizeBrahmic(value, language, schemeIndex);
+  return value;
+}
+
+// True when the text contains letters but none outside Latin script
+function isLatinText(text) {
+  return typeof text === 'string' && /\p{L}/u.test(text) && !/[^\p{Script=Latin}\P{L}]/u.test(text);
+}
+
+// Looser Latin spelling: long vowels, doubled letters and aspiration "h"
+// spelled differently by learners all collapse to the same key
+function latinKey(text, language) {
+  let s = normalizeLenient(text, language)
+    .replace(/ee/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/w/g, 'v')
+    .replace(/(.)\1+/g, '$1');
+
+  if (scriptFor(language) === 'arabic') {
+    // Urdu/Kashmiri short vowels are unwritten, so compare consonant
+    // skeletons; matchRomanized then checks the long vowels separately
+    s = s.replace(/sh/g, 'S').replace(/kh/g, 'X').replace(/gh/g, 'G').replace(/ch/g, 'C')
+      .replace(/q/g, 'k').replace(/[aeiouyvh']/g, '');
+  } else if (SCHWA_DELETION.has(language)) {
+    s = s.replace(/([^aeiou\s])a\b/g, '$1');
+  }
+  return s.replace(/\s+/g, ' ').trim();
+}
+
+// The vowels of Latin text in order, as i (i, e, y), u (u, o, v, w) and a
+function vowelClasses(text, language) {
+  return normalizeLenient(text, language)
+    .replace(/w/g, 'v')
+    .replace(/[^aeiouyv]/g, '')
+    .replace(/[ey]/g, 'i')
+    .replace(/[ov]/g, 'u')
+    .replace(/(.)\1+/g, '$1');
+}
+
+function isSubsequence(part, whole) {
+  let i = 0;
+  for (const c of whole) if (c === part[i]) i += 1;
+  return i === part.length;
+}
+
+// In Arabic script only long vowels are written (ا ی و); a response must
+// have those too, or a word with the same consonants would pass
+function hasLongVowels(response, romanized, language) {
+  return isSubsequence(vowelClasses(romanized, language), vowelClasses(response, language));
+}
+
+/**
+ * Grade a Latin-script response against native-script answers by comparing
+ * romanized keys. Returns 'correct', 'almost' (one or two letters off,
+ * depending on length) or 'wrong' — including, for Urdu/Kashmiri, the right
+ * consonants without the written long vowels.
+ */
+function matchRomanized(response, accepted, language) {
+  const given = latinKey(response, language);
+  let verdict = 'wrong';
+  for (const answer of accepted) {
+    const romanized = romanize(answer, language);
+    const target = latinKey(romanized, language);
+    if (!target) continue;
+    if (target === given) {
+      if (scriptFor(language) !== 'arabic' || hasLongVowels(response, romanized, language)) return 'correct';
+      // Same consonants, different word: not a typo
+      continue;
+    }
+    const allowed = target.length > 8 ? 2 : target.length > 4 ? 1 : 0;
+    if (editDistance(given, target) <= allowed) verdict = 'almost';
+  }
+  return verdict;
+}
+
+module.exports = { SCHEMES, LANGUAGE_SCRIPTS, scriptFor, romanize, isLatinText, latinKey, matchRomanized };
@@ -0,0 +1,70 @@
+// lib/validation.js — JSON Schema validation of request params, query and body
+//
+// validate({ params, query, body }) returns middleware that checks each part
+// against its schema and, on failure, passes a VALIDATION_FAILED ApiError
+// listing every failing field. Params and query arrive as strings, so they are
+// checked on a type-coerced copy (handlers still parse them); bodies are JSON
+// and must already have the declared types. Routes with nothing to check
+// still use it (with an entry holding only docs) so they appear in the
+// OpenAPI document.
+
+const Ajv = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { ApiError } = require('./errors');
+
+function createAjv(options) {
+  const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+  addFormats(ajv);
+  return ajv;
+}
+
+const strictAjv = createAjv();
+const coercingAjv = createAjv({ coerceTypes: true });
+
+/**
+ * Ajv errors → `[{ field, rule, message }]`, e.g.
+ * `{ field: 'body.email', rule: 'required', message: 'is required' }`.
+ */
+function toFieldErrors(location, errors) {
+  return errors.map(e => {
+    let path = e.instancePath.split('/').filter(Boolean).join('.');
+    let message = e.message;
+    if (e.keyword === 'required') {
+      path = path ? `${path}.${e.params.missingProperty}` : e.params.missingProperty;
+      message = 'is required';
+    } else if (e.keyword === 'additionalProperties') {
+      path = path ? `${path}.${e.params.additionalProperty}` : e.params.additionalProperty;
+      message = 'is not allowed';
+    }
+    return { field: path ? `${location}.${path}` : location, rule: e.keyword, message };
+  });
+}
+
+function validationError(fields) {
+  return new ApiError('VALIDATION_FAILED', 'Request validation failed', { fields });
+}
+
+function validate(schemas) {
+  const checks = [];
+  for (const location of ['params', 'query', 'body']) {
+    if (!schemas[location]) continue;
+    const check = (location === 'body' ? strictAjv : coercingAjv).compile(schemas[location]);
+    checks.push({ location, check });
+  }
+
+  const middleware = (req, res, next) => {
+    const fields = [];
+    for (const { location, check } of checks) {
+      const value = location === 'body'
+        ? (req.body === undefined ? {} : req.body)
+        : { ...req[location] };
+      if (!check(value)) fields.push(...toFieldErrors(location, check.errors));
+    }
+    return fields.length ? next(validationError(fields)) : next();
+  };
+  // lib/openapi.js documents the route from these
+  middleware.apiSchemas = schemas;
+  return middleware;
+}
+
+module.exports = { validate, validationError, toFieldErrors };
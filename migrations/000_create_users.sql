@@ -0,0 +1,31 @@
+-- Users, as they were before the numbered migrations: the later ones add
+-- streak settings (006), email verification (012) and role (018), and
+-- 004 copies the progress_<lang> counters into user_language_progress.
+CREATE TABLE IF NOT EXISTS users (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  password VARCHAR(255) NOT NULL,
+  learning_lang VARCHAR(32) NULL,
+  score INT NOT NULL DEFAULT 0,
+  level VARCHAR(32) NOT NULL DEFAULT 'Beginner',
+  xp INT NOT NULL DEFAULT 0,
+  streak INT NOT NULL DEFAULT 0,
+  last_active DATE NULL,
+  progress_spanish INT NOT NULL DEFAULT 0,
+  progress_french INT NOT NULL DEFAULT 0,
+  progress_hindi INT NOT NULL DEFAULT 0,
+  progress_kannada INT NOT NULL DEFAULT 0,
+  progress_tamil INT NOT NULL DEFAULT 0,
+  progress_telugu INT NOT NULL DEFAULT 0,
+  progress_marathi INT NOT NULL DEFAULT 0,
+  progress_malayalam INT NOT NULL DEFAULT 0,
+  progress_bhojpuri INT NOT NULL DEFAULT 0,
+  progress_rajasthani INT NOT NULL DEFAULT 0,
+  progress_punjabi INT NOT NULL DEFAULT 0,
+  progress_kashmiri INT NOT NULL DEFAULT 0,
+  progress_urdu INT NOT NULL DEFAULT 0,
+  progress_korean INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_users_email (email)
+) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,13 @@
+-- Question bank: one row per quiz question, replacing the arrays that used
+-- to live inside GET /api/questions/:lang.
+CREATE TABLE IF NOT EXISTS questions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  language VARCHAR(32) NOT NULL,
+  question VARCHAR(500) NOT NULL,
+  options JSON NOT NULL,
+  answer VARCHAR(255) NOT NULL,
+  hint VARCHAR(500) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_questions_language (language)
+) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,12 @@
+-- Quiz sessions: the server hands out question IDs, then grades the answers
+-- submitted against them. submitted_at is set exactly once.
+CREATE TABLE IF NOT EXISTS quiz_sessions (
+  id CHAR(36) PRIMARY KEY,
+  user_id INT NOT NULL,
+  language VARCHAR(32) NOT NULL,
+  question_ids JSON NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  submitted_at DATETIME NULL,
+  INDEX idx_quiz_sessions_user (user_id)
+);
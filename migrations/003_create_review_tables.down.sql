@@ -0,0 +1,3 @@
+ALTER TABLE quiz_sessions DROP COLUMN mode;
+DROP TABLE IF EXISTS review_schedule;
+DROP TABLE IF EXISTS question_attempts;
@@ -0,0 +1,25 @@
+-- Per-user answer history and the spaced-repetition schedule built from it.
+CREATE TABLE IF NOT EXISTS question_attempts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  question_id INT NOT NULL,
+  session_id CHAR(36) NULL,
+  correct TINYINT(1) NOT NULL,
+  answered_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_question_attempts_user_question (user_id, question_id)
+);
+
+CREATE TABLE IF NOT EXISTS review_schedule (
+  user_id INT NOT NULL,
+  question_id INT NOT NULL,
+  ease DECIMAL(4,2) NOT NULL DEFAULT 2.50,
+  interval_days INT NOT NULL DEFAULT 0,
+  repetitions INT NOT NULL DEFAULT 0,
+  due_date DATE NOT NULL,
+  last_reviewed_at TIMESTAMP NULL,
+  PRIMARY KEY (user_id, question_id),
+  INDEX idx_review_schedule_due (user_id, due_date)
+);
+
+-- Review sessions are graded like quizzes but don't count as a completed lesson.
+ALTER TABLE quiz_sessions ADD COLUMN mode VARCHAR(16) NOT NULL DEFAULT 'quiz';
@@ -0,0 +1,35 @@
+-- The users.progress_<lang> columns were never dropped; copy the counts
+-- recorded since 004 back into them before the table goes. XP per language
+-- and last_studied_at have no column to go back to and are lost, as are
+-- languages added after 004.
+UPDATE users u JOIN user_language_progress p ON p.user_id = u.id AND p.language = 'Spanish'
+  SET u.progress_spanish = p.lessons_completed;
+UPDATE users u JOIN user_language_progress p ON p.user_id = u.id AND p.language = 'French'
+  SET u.progress_french = p.lessons_completed;
+UPDATE users u JOIN user_language_progress p ON p.user_id = u.id AND p.language = 'Hindi'
+  SET u.progress_hindi = p.lessons_completed;
+UPDATE users u JOIN user_language_progress p ON p.user_id = u.id AND p.language = 'Kannada'
+  SET u.progress_kannada = p.lessons_completed;
+UPDATE users u JOIN user_language_progress p ON p.user_id = u.id AND p.language = 'Tamil'
+  SET u.progress_tamil = p.lessons_completed;
+UPDATE users u JOIN user_language_progress p ON p.user_id = u.id AND p.language = 'Telugu'
+  SET u.progress_telugu = p.lessons_completed;
+UPDATE users u JOIN user_language_progress p ON p.user_id = u.id AND p.language = 'Marathi'
+  SET u.progress_marathi = p.lessons_completed;
+UPDATE users u JOIN user_language_progress p ON p.user_id = u.id AND p.language = 'Malayalam'
+  SET u.progress_malayalam = p.lessons_completed;
+UPDATE users u JOIN user_language_progress p ON p.user_id = u.id AND p.language = 'Bhojpuri'
+  SET u.progress_bhojpuri = p.lessons_completed;
+UPDATE users u JOIN user_language_progress p ON p.user_id = u.id AND p.language = 'Rajasthani'
+  SET u.progress_rajasthani = p.lessons_completed;
+UPDATE users u JOIN user_language_progress p ON p.user_id = u.id AND p.language = 'Punjabi'
+  SET u.progress_punjabi = p.lessons_completed;
+UPDATE users u JOIN user_language_progress p ON p.user_id = u.id AND p.language = 'Kashmiri'
+  SET u.progress_kashmiri = p.lessons_completed;
+UPDATE users u JOIN user_language_progress p ON p.user_id = u.id AND p.language = 'Urdu'
+  SET u.progress_urdu = p.lessons_completed;
+UPDATE users u JOIN user_language_progress p ON p.user_id = u.id AND p.language = 'Korean'
+  SET u.progress_korean = p.lessons_completed;
+
+DROP TABLE IF EXISTS user_language_progress;
+DROP TABLE IF EXISTS languages;
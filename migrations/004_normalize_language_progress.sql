@@ -0,0 +1,95 @@
+-- Per-language progress moves out of the users.progress_<lang> columns into
+-- one row per (user, language). Supported languages become data rows, so
+-- adding a language no longer needs a schema change.
+CREATE TABLE IF NOT EXISTS languages (
+  name VARCHAR(32) PRIMARY KEY,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT IGNORE INTO languages (name) VALUES
+  ('Spanish'),
+  ('French'),
+  ('Hindi'),
+  ('Kannada'),
+  ('Tamil'),
+  ('Telugu'),
+  ('Marathi'),
+  ('Malayalam'),
+  ('Bhojpuri'),
+  ('Rajasthani'),
+  ('Punjabi'),
+  ('Kashmiri'),
+  ('Urdu'),
+  ('Korean');
+
+CREATE TABLE IF NOT EXISTS user_language_progress (
+  user_id INT NOT NULL,
+  language VARCHAR(32) NOT NULL,
+  lessons_completed INT NOT NULL DEFAULT 0,
+  xp_earned INT NOT NULL DEFAULT 0,
+  last_studied_at DATETIME NULL,
+  PRIMARY KEY (user_id, language),
+  INDEX idx_user_language_progress_language (language)
+);
+
+-- Copy the existing counters across. XP was only ever tracked globally, so
+-- xp_earned starts at 0 and last_studied_at is unknown for migrated rows.
+INSERT INTO user_language_progress (user_id, language, lessons_completed)
+  SELECT id, 'Spanish', progress_spanish FROM users WHERE progress_spanish > 0
+  ON DUPLICATE KEY UPDATE lessons_completed = GREATEST(lessons_completed, VALUES(lessons_completed));
+
+INSERT INTO user_language_progress (user_id, language, lessons_completed)
+  SELECT id, 'French', progress_french FROM users WHERE progress_french > 0
+  ON DUPLICATE KEY UPDATE lessons_completed = GREATEST(lessons_completed, VALUES(lessons_completed));
+
+INSERT INTO user_language_progress (user_id, language, lessons_completed)
+  SELECT id, 'Hindi', progress_hindi FROM users WHERE progress_hindi > 0
+  ON DUPLICATE KEY UPDATE lessons_completed = GREATEST(lessons_completed, VALUES(lessons_completed));
+
+INSERT INTO user_language_progress (user_id, language, lessons_completed)
+  SELECT id, 'Kannada', progress_kannada FROM users WHERE progress_kannada > 0
+  ON DUPLICATE KEY UPDATE lessons_completed = GREATEST(lessons_completed, VALUES(lessons_completed));
+
+INSERT INTO user_language_progress (user_id, language, lessons_completed)
+  SELECT id, 'Tamil', progress_tamil FROM users WHERE progress_tamil > 0
+  ON DUPLICATE KEY UPDATE lessons_completed = GREATEST(lessons_completed, VALUES(lessons_completed));
+
+INSERT INTO user_language_progress (user_id, language, lessons_completed)
+  SELECT id, 'Telugu', progress_telugu FROM users WHERE progress_telugu > 0
+  ON DUPLICATE KEY UPDATE lessons_completed = GREATEST(lessons_completed, VALUES(lessons_completed));
+
+INSERT INTO user_language_progress (user_id, language, lessons_completed)
+  SELECT id, 'Marathi', progress_marathi FROM users WHERE progress_marathi > 0
+  ON DUPLICATE KEY UPDATE lessons_completed = GREATEST(lessons_completed, VALUES(lessons_completed));
+
+INSERT INTO user_language_progress (user_id, language, lessons_completed)
+  SELECT id, 'Malayalam', progress_malayalam FROM users WHERE progress_malayalam > 0
+  ON DUPLICATE KEY UPDATE lessons_completed = GREATEST(lessons_completed, VALUES(lessons_completed));
+
+INSERT INTO user_language_progress (user_id, language, lessons_completed)
+  SELECT id, 'Bhojpuri', progress_bhojpuri FROM users WHERE progress_bhojpuri > 0
+  ON DUPLICATE KEY UPDATE lessons_completed = GREATEST(lessons_completed, VALUES(lessons_completed));
+
+INSERT INTO user_language_progress (user_id, language, lessons_completed)
+  SELECT id, 'Rajasthani', progress_rajasthani FROM users WHERE progress_rajasthani > 0
+  ON DUPLICATE KEY UPDATE lessons_completed = GREATEST(lessons_completed, VALUES(lessons_completed));
+
+INSERT INTO user_language_progress (user_id, language, lessons_completed)
+  SELECT id, 'Punjabi', progress_punjabi FROM users WHERE progress_punjabi > 0
+  ON DUPLICATE KEY UPDATE lessons_completed = GREATEST(lessons_completed, VALUES(lessons_completed));
+
+INSERT INTO user_language_progress (user_id, language, lessons_completed)
+  SELECT id, 'Kashmiri', progress_kashmiri FROM users WHERE progress_kashmiri > 0
+  ON DUPLICATE KEY UPDATE lessons_completed = GREATEST(lessons_completed, VALUES(lessons_completed));
+
+INSERT INTO user_language_progress (user_id, language, lessons_completed)
+  SELECT id, 'Urdu', progress_urdu FROM users WHERE progress_urdu > 0
+  ON DUPLICATE KEY UPDATE lessons_completed = GREATEST(lessons_completed, VALUES(lessons_completed));
+
+INSERT INTO user_language_progress (user_id, language, lessons_completed)
+  SELECT id, 'Korean', progress_korean FROM users WHERE progress_korean > 0
+  ON DUPLICATE KEY UPDATE lessons_completed = GREATEST(lessons_completed, VALUES(lessons_completed));
+
+
+-- The progress_<lang> columns are no longer read; drop them once the copy
+-- above has been verified in production.
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS user_lesson_completions;
+DROP TABLE IF EXISTS lesson_questions;
+DROP TABLE IF EXISTS lessons;
+DROP TABLE IF EXISTS units;
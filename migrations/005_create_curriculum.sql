@@ -0,0 +1,37 @@
+-- Curriculum: languages contain ordered units, units contain ordered lessons,
+-- and each lesson has vocabulary plus a question set from the question bank.
+CREATE TABLE IF NOT EXISTS units (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  language VARCHAR(32) NOT NULL,
+  position INT NOT NULL,
+  title VARCHAR(120) NOT NULL,
+  UNIQUE KEY uq_units_language_position (language, position)
+) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS lessons (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  unit_id INT NOT NULL,
+  position INT NOT NULL,
+  title VARCHAR(120) NOT NULL,
+  vocabulary JSON NOT NULL,
+  UNIQUE KEY uq_lessons_unit_position (unit_id, position),
+  FOREIGN KEY (unit_id) REFERENCES units(id) ON DELETE CASCADE
+) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS lesson_questions (
+  lesson_id INT NOT NULL,
+  question_id INT NOT NULL,
+  position INT NOT NULL,
+  PRIMARY KEY (lesson_id, question_id),
+  FOREIGN KEY (lesson_id) REFERENCES lessons(id) ON DELETE CASCADE,
+  FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+);
+
+-- One row per lesson a user has finished; the primary key makes completion idempotent.
+CREATE TABLE IF NOT EXISTS user_lesson_completions (
+  user_id INT NOT NULL,
+  lesson_id INT NOT NULL,
+  completed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, lesson_id),
+  FOREIGN KEY (lesson_id) REFERENCES lessons(id) ON DELETE CASCADE
+);
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS user_activity_days;
+ALTER TABLE users
+  DROP COLUMN longest_streak,
+  DROP COLUMN streak_freezes,
+  DROP COLUMN timezone;
@@ -0,0 +1,16 @@
+-- Streaks are evaluated in the user's timezone. last_active holds the user's
+-- local date of their latest activity; freezes cover missed days.
+ALTER TABLE users
+  ADD COLUMN timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  ADD COLUMN streak_freezes INT NOT NULL DEFAULT 0,
+  ADD COLUMN longest_streak INT NOT NULL DEFAULT 0;
+
+UPDATE users SET longest_streak = streak WHERE streak > longest_streak;
+
+-- One row per local day a user was active (or had a freeze spent on it)
+CREATE TABLE IF NOT EXISTS user_activity_days (
+  user_id INT NOT NULL,
+  activity_date DATE NOT NULL,
+  freeze_used TINYINT(1) NOT NULL DEFAULT 0,
+  PRIMARY KEY (user_id, activity_date)
+);
@@ -0,0 +1,2 @@
+-- users.xp keeps the running total, so dropping the ledger loses only history
+DROP TABLE IF EXISTS xp_ledger;
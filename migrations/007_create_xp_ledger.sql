@@ -0,0 +1,16 @@
+-- Append-only record of every XP change. users.xp is a cached sum of this
+-- table and can be recomputed from it.
+CREATE TABLE IF NOT EXISTS xp_ledger (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  activity VARCHAR(40) NOT NULL,
+  amount INT NOT NULL,
+  language VARCHAR(32) NULL,
+  ref VARCHAR(64) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_xp_ledger_user (user_id, created_at)
+);
+
+-- Open the ledger with each user's existing balance so sums match users.xp
+INSERT INTO xp_ledger (user_id, activity, amount)
+  SELECT id, 'legacy_balance', xp FROM users WHERE xp > 0;
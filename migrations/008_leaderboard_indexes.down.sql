@@ -0,0 +1,2 @@
+DROP INDEX idx_xp_ledger_language_created ON xp_ledger;
+DROP INDEX idx_xp_ledger_created ON xp_ledger;
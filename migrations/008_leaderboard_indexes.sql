@@ -0,0 +1,3 @@
+-- Windowed and per-language leaderboards aggregate xp_ledger by these columns.
+CREATE INDEX idx_xp_ledger_created ON xp_ledger (created_at);
+CREATE INDEX idx_xp_ledger_language_created ON xp_ledger (language, created_at);
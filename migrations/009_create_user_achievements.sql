@@ -0,0 +1,7 @@
+-- Badges a user has unlocked. Definitions live in lib/achievements.js.
+CREATE TABLE IF NOT EXISTS user_achievements (
+  user_id INT NOT NULL,
+  code VARCHAR(40) NOT NULL,
+  earned_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, code)
+);
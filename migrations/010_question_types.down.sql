@@ -0,0 +1,8 @@
+-- Only multiple-choice questions fit the old columns; remove the others
+-- first, or the NOT NULL changes below fail.
+DELETE FROM questions WHERE type <> 'multiple_choice';
+ALTER TABLE questions
+  DROP COLUMN content,
+  DROP COLUMN type,
+  MODIFY options JSON NOT NULL,
+  MODIFY answer VARCHAR(255) NOT NULL;
@@ -0,0 +1,8 @@
+-- Typed questions: multiple_choice (the original shape), script, translation,
+-- fill_blank, word_order and matching. Type-specific fields go in `content`;
+-- options/answer become optional because not every type uses them.
+ALTER TABLE questions
+  ADD COLUMN type VARCHAR(24) NOT NULL DEFAULT 'multiple_choice' AFTER language,
+  ADD COLUMN content JSON NULL AFTER hint,
+  MODIFY options JSON NULL,
+  MODIFY answer VARCHAR(255) NULL;
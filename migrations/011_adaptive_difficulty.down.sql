@@ -0,0 +1,7 @@
+DROP INDEX idx_question_attempts_user_time ON question_attempts;
+ALTER TABLE quiz_sessions DROP COLUMN seed;
+DROP TABLE IF EXISTS user_ability;
+ALTER TABLE questions
+  DROP INDEX idx_questions_language_difficulty,
+  DROP COLUMN rated_answers,
+  DROP COLUMN difficulty;
@@ -0,0 +1,21 @@
+-- Adaptive difficulty: questions and learners share an Elo-style rating
+-- scale (1000 = average). Both move after every graded answer.
+ALTER TABLE questions
+  ADD COLUMN difficulty DECIMAL(6,2) NOT NULL DEFAULT 1000 AFTER type,
+  ADD COLUMN rated_answers INT NOT NULL DEFAULT 0 AFTER difficulty,
+  ADD INDEX idx_questions_language_difficulty (language, difficulty);
+
+CREATE TABLE IF NOT EXISTS user_ability (
+  user_id INT NOT NULL,
+  language VARCHAR(32) NOT NULL,
+  rating DECIMAL(6,2) NOT NULL DEFAULT 1000,
+  rated_answers INT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, language)
+);
+
+-- Seed for the session's shuffles, so its question/option order can be rebuilt
+ALTER TABLE quiz_sessions ADD COLUMN seed CHAR(16) NULL;
+
+-- Recent-attempt lookups for repeat avoidance
+CREATE INDEX idx_question_attempts_user_time ON question_attempts (user_id, answered_at);
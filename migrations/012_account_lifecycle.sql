@@ -0,0 +1,15 @@
+-- Email verification and password reset. Tokens are stored as SHA-256
+-- hashes; used_at is set exactly once when a token is redeemed.
+ALTER TABLE users ADD COLUMN email_verified_at DATETIME NULL;
+
+CREATE TABLE IF NOT EXISTS account_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  purpose VARCHAR(16) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_account_tokens_hash (token_hash),
+  INDEX idx_account_tokens_user (user_id, purpose)
+);
@@ -0,0 +1,17 @@
+-- Rotating refresh tokens. Each login starts a family; every refresh marks the
+-- presented token rotated and issues the next one in the same family. A
+-- rotated token coming back means it was copied, so its family is revoked.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  family_id CHAR(36) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  user_agent VARCHAR(255) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  rotated_at DATETIME NULL,
+  revoked_at DATETIME NULL,
+  UNIQUE KEY uq_refresh_tokens_hash (token_hash),
+  INDEX idx_refresh_tokens_user (user_id),
+  INDEX idx_refresh_tokens_family (family_id)
+);
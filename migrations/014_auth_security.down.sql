@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS auth_throttle;
+DROP TABLE IF EXISTS auth_events;
@@ -0,0 +1,22 @@
+-- Auth audit log, queryable by admins. email is what was typed at login, so
+-- failures for unknown accounts are kept too (user_id NULL).
+CREATE TABLE IF NOT EXISTS auth_events (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  event VARCHAR(32) NOT NULL,
+  user_id INT NULL,
+  email VARCHAR(255) NULL,
+  ip VARCHAR(45) NULL,
+  user_agent VARCHAR(255) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_auth_events_created (created_at),
+  INDEX idx_auth_events_user (user_id, created_at),
+  INDEX idx_auth_events_email (email, created_at)
+);
+
+-- Shared login-throttle state for LOGIN_THROTTLE_STORE=mysql
+CREATE TABLE IF NOT EXISTS auth_throttle (
+  throttle_key VARCHAR(191) PRIMARY KEY,
+  value JSON NOT NULL,
+  expires_at DATETIME NOT NULL,
+  INDEX idx_auth_throttle_expires (expires_at)
+);
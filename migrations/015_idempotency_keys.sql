@@ -0,0 +1,14 @@
+-- Responses to POSTs sent with an Idempotency-Key, so a retried request gets
+-- the first response back instead of running twice. status_code is NULL while
+-- the first request is still running.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id INT NOT NULL,
+  idem_key VARCHAR(255) NOT NULL,
+  request_hash CHAR(64) NOT NULL,
+  status_code SMALLINT NULL,
+  response JSON NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  PRIMARY KEY (user_id, idem_key),
+  INDEX idx_idempotency_keys_expires (expires_at)
+);
@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS activity_events;
+DROP TABLE IF EXISTS follows;
+ALTER TABLE users
+  DROP INDEX uq_users_invite_code,
+  DROP COLUMN hide_from_leaderboards,
+  DROP COLUMN private_profile,
+  DROP COLUMN invite_code;
@@ -0,0 +1,28 @@
+-- Following, the friends activity feed and privacy settings. A private
+-- profile is left out of user search and can only be followed with its
+-- invite code; hide_from_leaderboards keeps the user off every leaderboard.
+ALTER TABLE users
+  ADD COLUMN invite_code VARCHAR(16) NULL,
+  ADD COLUMN private_profile BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN hide_from_leaderboards BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD UNIQUE KEY uq_users_invite_code (invite_code);
+
+CREATE TABLE IF NOT EXISTS follows (
+  follower_id INT NOT NULL,
+  followee_id INT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (follower_id, followee_id),
+  INDEX idx_follows_followee (followee_id)
+);
+
+-- Lesson completions, level-ups and streak milestones, shown to followers.
+-- Types and their `data` are described in lib/social.js.
+CREATE TABLE IF NOT EXISTS activity_events (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  type VARCHAR(32) NOT NULL,
+  language VARCHAR(32) NULL,
+  data JSON NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_activity_events_user (user_id, id)
+);
@@ -0,0 +1,5 @@
+-- Put back the counts from before the recount.
+UPDATE user_language_progress
+  SET lessons_completed = lessons_before_recount
+  WHERE lessons_before_recount IS NOT NULL;
+ALTER TABLE user_language_progress DROP COLUMN lessons_before_recount;
@@ -0,0 +1,35 @@
+-- user_language_progress.lessons_completed now only counts lessons: the
+-- ones learners had finished before the curriculum existed (the
+-- users.progress_<lang> counters 004 copied across, which were never
+-- dropped) plus finished curriculum lessons. Quiz submissions and the old
+-- lang-only lesson completion bumped it too, so recount it. The old counts
+-- are kept in lessons_before_recount for the down step.
+ALTER TABLE user_language_progress ADD COLUMN lessons_before_recount INT NULL;
+UPDATE user_language_progress SET lessons_before_recount = lessons_completed;
+
+UPDATE user_language_progress p
+  JOIN users u ON u.id = p.user_id
+  SET p.lessons_completed =
+    CASE p.language
+        WHEN 'Spanish' THEN u.progress_spanish
+        WHEN 'French' THEN u.progress_french
+        WHEN 'Hindi' THEN u.progress_hindi
+        WHEN 'Kannada' THEN u.progress_kannada
+        WHEN 'Tamil' THEN u.progress_tamil
+        WHEN 'Telugu' THEN u.progress_telugu
+        WHEN 'Marathi' THEN u.progress_marathi
+        WHEN 'Malayalam' THEN u.progress_malayalam
+        WHEN 'Bhojpuri' THEN u.progress_bhojpuri
+        WHEN 'Rajasthani' THEN u.progress_rajasthani
+        WHEN 'Punjabi' THEN u.progress_punjabi
+        WHEN 'Kashmiri' THEN u.progress_kashmiri
+        WHEN 'Urdu' THEN u.progress_urdu
+        WHEN 'Korean' THEN u.progress_korean
+        ELSE 0
+    END
+    + (
+      SELECT COUNT(*) FROM user_lesson_completions c
+        JOIN lessons l ON l.id = c.lesson_id
+        JOIN units un ON un.id = l.unit_id
+      WHERE c.user_id = p.user_id AND un.language = p.language
+    );
@@ -0,0 +1,12 @@
+-- Admin-only endpoints (question management) check users.role. 001 used to
+-- add the column, so databases migrated before it moved here already have it.
+SET @add_role = (
+  SELECT IF(COUNT(*) = 0,
+    'ALTER TABLE users ADD COLUMN role VARCHAR(16) NOT NULL DEFAULT ''learner''',
+    'DO 0')
+  FROM information_schema.columns
+  WHERE table_schema = DATABASE() AND table_name = 'users' AND column_name = 'role'
+);
+PREPARE add_role FROM @add_role;
+EXECUTE add_role;
+DEALLOCATE PREPARE add_role;
@@ -0,0 +1,76 @@
+// scripts/migrate.js — run database migrations (see lib/migrations.js)
+//
+// Usage:
+//   node scripts/migrate.js status             list applied and pending migrations
+//   node scripts/migrate.js up [--to N]        apply pending migrations (up to N)
+//   node scripts/migrate.js down [--steps N]   undo the last N migrations (default 1)
+//   node scripts/migrate.js down --to N        undo every migration after N
+//   node scripts/migrate.js baseline N         mark 000…N as applied without running them
+//   node scripts/migrate.js create <name>      add empty NNN_<name>.sql and .down.sql files
+//
+// A database created by hand before this runner existed should be baselined
+// at the last migration it has (e.g. `baseline 14`) before running `up`.
+
+const { connect } = require('../lib/db');
+const { createMigrator, createMigrationFiles } = require('../lib/migrations');
+
+const USAGE = 'Usage: node scripts/migrate.js status | up [--to N] | down [--steps N | --to N] | baseline N | create <name>';
+
+function option(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return undefined;
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 0) throw new Error(`--${name} needs a whole number`);
+  return value;
+}
+
+const label = m => `${String(m.version).padStart(3, '0')}_${m.name}`;
+
+(async function run() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+
+  if (command === 'create') {
+    try {
+      for (const file of createMigrationFiles(args[0] || '')) console.log(`📝 ${file}`);
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  let db;
+  try {
+    db = await connect({ multipleStatements: true });
+    const migrator = createMigrator(db);
+    const log = line => console.log(line);
+
+    if (command === 'status') {
+      const { applied, pending, changed, missing } = await migrator.status();
+      for (const m of applied) console.log(`✅ ${label(m)}  (${new Date(m.appliedAt).toISOString()})`);
+      for (const m of pending) console.log(`⏳ ${label(m)}`);
+      for (const m of changed) console.warn(`⚠️  ${label(m)} was edited after it was applied`);
+      for (const m of missing) console.warn(`⚠️  ${label(m)} is applied but its file is gone`);
+      console.log(`${applied.length} applied, ${pending.length} pending`);
+    } else if (command === 'up') {
+      const ran = await migrator.up({ to: option(args, 'to'), log });
+      console.log(ran.length ? `✅ Applied ${ran.length} migration(s)` : '✅ Already up to date');
+    } else if (command === 'down') {
+      const ran = await migrator.down({ steps: option(args, 'steps'), to: option(args, 'to'), log });
+      console.log(`✅ Reverted ${ran.length} migration(s)`);
+    } else if (command === 'baseline') {
+      const version = Number(args[0]);
+      if (!Number.isInteger(version)) throw new Error('baseline needs the last version the database already has');
+      const marked = await migrator.baseline(version);
+      console.log(`✅ Marked ${marked.length} migration(s) as applied`);
+    } else {
+      console.error(USAGE);
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error('❌ Migration failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    if (db) await db.end();
+  }
+})();
@@ -0,0 +1,55 @@
+// scripts/seed-curriculum.js — load data/curriculum.json into units/lessons
+//
+// Usage: node scripts/seed-curriculum.js   (run seed-questions.js first)
+// Lesson questions are referenced by their question text within the language.
+// Languages that already have units are skipped, so this is safe to re-run.
+
+const { connect } = require('../lib/db');
+const curriculum = require('../data/curriculum.json');
+
+(async function run() {
+  let db;
+  try {
+    db = await connect();
+
+    for (const [language, units] of Object.entries(curriculum)) {
+      const [[{ count }]] = await db.execute('SELECT COUNT(*) AS count FROM units WHERE language = ?', [language]);
+      if (count > 0) {
+        console.log(`⏭️  ${language}: curriculum already present, skipping`);
+        continue;
+      }
+
+      const [questionRows] = await db.execute('SELECT id, question FROM questions WHERE language = ?', [language]);
+      const questionIds = new Map(questionRows.map(r => [r.question, r.id]));
+
+      for (const [u, unit] of units.entries()) {
+        const [unitResult] = await db.execute(
+          'INSERT INTO units (language, position, title) VALUES (?, ?, ?)',
+          [language, u + 1, unit.title]
+        );
+
+        for (const [l, lesson] of unit.lessons.entries()) {
+          const [lessonResult] = await db.execute(
+            'INSERT INTO lessons (unit_id, position, title, vocabulary) VALUES (?, ?, ?, ?)',
+            [unitResult.insertId, l + 1, lesson.title, JSON.stringify(lesson.vocabulary || [])]
+          );
+
+          for (const [q, text] of (lesson.questions || []).entries()) {
+            const questionId = questionIds.get(text);
+            if (!questionId) throw new Error(`${language} / ${lesson.title}: no question "${text}"`);
+            await db.execute(
+              'INSERT INTO lesson_questions (lesson_id, question_id, position) VALUES (?, ?, ?)',
+              [lessonResult.insertId, questionId, q + 1]
+            );
+          }
+        }
+      }
+      console.log(`✅ ${language}: seeded ${units.length} unit(s)`);
+    }
+  } catch (err) {
+    console.error('❌ Seeding failed:', err);
+    process.exitCode = 1;
+  } finally {
+    if (db) await db.end();
+  }
+})();
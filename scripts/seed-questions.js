@@ -0,0 +1,39 @@
+// scripts/seed-questions.js — load data/questions.json into the questions table
+//
+// Usage: node scripts/seed-questions.js
+// Languages that already have questions are skipped, so this is safe to re-run.
+
+const { connect } = require('../lib/db');
+const { validateQuestion, questionToColumns } = require('../lib/questions');
+const seed = require('../data/questions.json');
+
+(async function run() {
+  let db;
+  try {
+    db = await connect();
+
+    for (const [language, questions] of Object.entries(seed)) {
+      const [[{ count }]] = await db.execute('SELECT COUNT(*) AS count FROM questions WHERE language = ?', [language]);
+      if (count > 0) {
+        console.log(`⏭️  ${language}: ${count} questions already present, skipping`);
+        continue;
+      }
+
+      for (const q of questions) {
+        const errors = validateQuestion(q);
+        if (errors.length) throw new Error(`${language}: "${q.question}" — ${errors.join(', ')}`);
+
+        await db.execute(
+          'INSERT INTO questions (language, type, question, options, answer, hint, content, difficulty) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+          [language, ...questionToColumns(q)]
+        );
+      }
+      console.log(`✅ ${language}: seeded ${questions.length} questions`);
+    }
+  } catch (err) {
+    console.error('❌ Seeding failed:', err);
+    process.exitCode = 1;
+  } finally {
+    if (db) await db.end();
+  }
+})();
@@ -1,81 +1,173 @@
 // server.js — LangLink+ Backend
 
 const express = require('express');
-const mysql = require('mysql2/promise');
 const cors = require('cors');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const path = require('path');
+const { createRepositories } = require('./lib/repositories');
+const shutdown = require('./lib/shutdown');
+const crypto = require('crypto');
+const { validateQuestion, rowToQuestion } = require('./lib/questions');
+const { SCHEMA_VERSION, TYPES } = require('./lib/question-types');
+const { SESSION_TTL_MINUTES, toPublicQuestion, gradeAnswers } = require('./lib/quiz');
+const { nextReview } = require('./lib/srs');
+const { buildCurriculum, findLesson } = require('./lib/curriculum');
+const streaks = require('./lib/streak');
+const { levelFor, quizXP, lessonXP, duelXP, totalXP } = require('./lib/leveling');
+const { NEIGHBOR_SPAN, parseLeaderboardQuery } = require('./lib/leaderboard');
+const achievements = require('./lib/achievements');
+const transliteration = require('./lib/transliteration');
+const questionPacks = require('./lib/question-packs');
+const adaptive = require('./lib/adaptive');
+const accounts = require('./lib/accounts');
+const mailer = require('./lib/mailer');
+const authTokens = require('./lib/auth-tokens');
+const loginThrottle = require('./lib/login-throttle');
+const { createIdempotencyMiddleware } = require('./lib/idempotency');
+const social = require('./lib/social');
+const duels = require('./lib/duels');
+const { attachDuelSocket } = require('./lib/duel-socket');
+const { ApiError, errorEnvelope, notFoundHandler, errorHandler } = require('./lib/errors');
+const { validate, validationError } = require('./lib/validation');
+const { SCHEMAS } = require('./lib/api-schemas');
+const openapi = require('./lib/openapi');
+const swaggerUi = require('swagger-ui-dist');
 
 const app = express();
-app.use(express.json());
+app.use(errorEnvelope);
+app.use(shutdown.drainConnections);
+// Pack uploads are parsed by their own route, with a larger limit
+const jsonParser = express.json();
+app.use((req, res, next) => (req.path === '/api/admin/packs/import' ? next() : jsonParser(req, res, next)));
 app.use(cors({
   origin: ["https://linguaquiz12.netlify.app"],
   methods: ["GET", "POST", "PUT", "DELETE"],
   credentials: true
 }));
 app.use(express.static('frontend'));
+// Behind a proxy (e.g. Render), set TRUST_PROXY to the hop count so req.ip is the client's
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+
+let JWT_SECRET;
+try {
+  JWT_SECRET = authTokens.resolveJwtSecret(process.env);
+  mailer.checkConfig(process.env);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
 
-const JWT_SECRET = process.env.JWT_SECRET || 'langlink_demo_secret_please_change';
+// ===============================
+// Storage (see lib/repositories)
+// ===============================
+// STORAGE=memory runs without MySQL; the MySQL backend uses a pool, so a
+// dropped connection is replaced instead of taking the server down
+const repos = createRepositories();
+app.locals.repos = repos;
+
+// Idempotency-Key replay for the routes that award XP (see lib/idempotency.js)
+const idempotent = createIdempotencyMiddleware(repos.idempotencyKeys);
+
+async function connectDB() {
+  const connected = await repos.waitUntilReady({
+    onRetry: ({ attempt, error, retryInMs }) =>
+      console.error(`❌ MySQL connection failed (attempt ${attempt}: ${error}); retrying in ${retryInMs}ms`)
+  });
+  if (connected) console.log(repos.backend === 'mysql' ? '✅ Connected to MySQL' : `✅ Using ${repos.backend} storage`);
+}
 
 // ===============================
-// MySQL Connection
+// Languages & Per-Language Progress
 // ===============================
-const dbConfig = {
-  host: process.env.DB_HOST,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_NAME,
-  port: process.env.DB_PORT || 3306,
-  ssl: { rejectUnauthorized: false }
-};
+// Supported languages live in the `languages` table; adding one is an INSERT.
+async function isSupportedLanguage(lang) {
+  if (typeof lang !== 'string' || !lang) return false;
+  return repos.languages.exists(lang);
+}
 
-let db;
-(async function connectDB() {
-  try {
-    db = await mysql.createConnection(dbConfig);
-    console.log('✅ Connected to MySQL');
-  } catch (err) {
-    console.error('❌ MySQL connection failed:', err);
+async function getLanguageProgress(userId, lang, store = repos) {
+  return (await store.progress.get(userId, lang)) || { lessons_completed: 0, xp_earned: 0, last_studied_at: null };
+}
+
+// ===============================
+// XP & Levels
+// ===============================
+// Every XP change goes through here: entries are appended to xp_ledger, then
+// users.xp and users.level are updated from the new total. Pass the
+// transaction as `store` so the ledger and the total commit together.
+async function awardXP(userId, entries, { language = null, ref = null, store = repos } = {}) {
+  await store.xp.append(userId, entries, { language, ref });
+
+  const gained = totalXP(entries);
+  const xp = await store.users.addXP(userId, gained);
+  const levelInfo = levelFor(xp);
+  await store.users.update(userId, { level: levelInfo.level });
+
+  const previousLevel = levelFor(xp - gained).level;
+  if (previousLevel !== levelInfo.level) {
+    await store.activity.record(userId, 'level_up', { language, data: { level: levelInfo.level, previousLevel } });
   }
-})();
 
-const LANG_COLUMN_MAP = {
-  Spanish: 'progress_spanish',
-  French: 'progress_french',
-  Hindi: 'progress_hindi',
-  Kannada: 'progress_kannada',
-  Tamil: 'progress_tamil',
-  Telugu: 'progress_telugu',
-  Marathi: 'progress_marathi',
-  Malayalam: 'progress_malayalam',
-  Bhojpuri: 'progress_bhojpuri',
-  Rajasthani: 'progress_rajasthani',
-  Punjabi: 'progress_punjabi',
-  Kashmiri: 'progress_kashmiri',
-  Urdu: 'progress_urdu',
-  Korean: 'progress_korean'
-};
+  return { xpGained: gained, xpBreakdown: entries, xp, ...levelInfo };
+}
+
+// ===============================
+// Achievements
+// ===============================
+async function loadAchievementStats(userId, store = repos) {
+  const user = await store.users.findById(userId);
+  const progress = await store.progress.totals(userId);
+  return {
+    xp: user.xp || 0,
+    longestStreak: user.longest_streak || 0,
+    lessonsCompleted: progress.lessons,
+    languagesStarted: progress.started,
+    perfectQuizzes: await store.xp.count(userId, 'perfect_quiz_bonus')
+  };
+}
+
+// Run after anything that can unlock a badge; returns only the badges this call unlocked
+async function checkAchievements(userId, store = repos) {
+  const rows = await store.achievements.earned(userId);
+  const earned = new Map(rows.map(r => [r.code, r.earned_at]));
+  const stats = await loadAchievementStats(userId, store);
 
-function getProgressColumn(lang) {
-  return LANG_COLUMN_MAP[lang] || null;
+  const unlocked = [];
+  for (const badge of achievements.evaluate(stats, earned)) {
+    if (!badge.earned || earned.has(badge.code)) continue;
+    if (await store.achievements.award(userId, badge.code)) unlocked.push({ code: badge.code, name: badge.name, description: badge.description });
+  }
+  return unlocked;
 }
+
 // ===============================
 // API ROUTES
 // ===============================
 
-app.post('/api/register', async (req, res) => {
+app.get('/api/languages', validate(SCHEMAS.languages), async (req, res) => {
+  try {
+    return res.json(await repos.languages.list());
+  } catch (err) {
+    console.error('Error fetching languages:', err);
+    return res.status(500).json({ message: 'Error fetching languages' });
+  }
+});
+
+app.post('/api/register', validate(SCHEMAS.register), async (req, res) => {
   try {
-    const { name, email, password, learning_lang } = req.body;
+    const { name, email, password, learning_lang, timezone } = req.body;
 
-    if (!name || !email || !password) {
-      return res.status(400).json({ message: 'Name, email and password are required' });
+    if (timezone !== undefined && !streaks.isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Unknown timezone' });
+    }
+    if (learning_lang !== undefined && !(await isSupportedLanguage(learning_lang))) {
+      return res.status(400).json({ code: 'UNSUPPORTED_LANGUAGE', message: 'Unsupported language' });
     }
 
     // Check existing user
-    const [existing] = await db.execute('SELECT id FROM users WHERE email = ?', [email]);
-    if (existing.length) {
-      return res.status(409).json({ message: 'User already exists. Please login instead.' });
+    if (await repos.users.findByEmail(email)) {
+      return res.status(409).json({ code: 'ALREADY_EXISTS', message: 'User already exists. Please login instead.' });
     }
 
     // Hash password
@@ -83,10 +175,20 @@ app.post('/api/register', async (req, res) => {
     const lang = learning_lang || 'Spanish';
 
     // Insert user
-    await db.execute(
-      'INSERT INTO users (name, email, password, learning_lang, score, level, xp) VALUES (?, ?, ?, ?, 0, "Beginner", 0)',
-      [name, email, hash, lang]
-    );
+    const userId = await repos.users.create({
+      name,
+      email,
+      password: hash,
+      learning_lang: lang,
+      timezone: timezone || streaks.DEFAULT_TIMEZONE
+    });
+
+    // A mail failure shouldn't undo the signup; the user can ask for a resend
+    try {
+      await sendVerificationEmail({ id: userId, name, email });
+    } catch (err) {
+      console.error('Error sending verification email:', err);
+    }
 
     return res.json({
       message: 'User registered successfully!'
@@ -100,41 +202,74 @@ app.post('/api/register', async (req, res) => {
 
 
 
+// -------------------------
+// AUTH AUDIT LOG
+// -------------------------
+// Events: login_success, login_failure, lockout, password_reset_requested,
+// password_reset, password_changed, refresh_token_reuse. Logging never fails
+// the request it describes.
+async function recordAuthEvent(event, req, { userId = null, email = null } = {}) {
+  try {
+    const userAgent = req.get('user-agent');
+    await repos.authEvents.record({
+      event,
+      userId,
+      email,
+      ip: req.ip || null,
+      userAgent: userAgent ? userAgent.slice(0, 255) : null
+    });
+  } catch (err) {
+    console.error('Error recording auth event:', err);
+  }
+}
+
+// LOGIN_THROTTLE_STORE=mysql shares throttle state between server instances
+if (process.env.LOGIN_THROTTLE_STORE === 'mysql' && repos.backend === 'mysql') {
+  loginThrottle.setStore(loginThrottle.createMySQLStore(() => repos.db));
+}
+
+// Compared against when the email is unknown, so both failures take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('langlink-dummy-password', 10);
+
+
 // -------------------------
 // LOGIN ROUTE
 // -------------------------
-app.post('/api/login', async (req, res) => {
+// Every failure gets the same 401 whether or not the email is registered.
+// Repeated failures slow down, then lock, the account (see lib/login-throttle.js).
+app.post('/api/login', validate(SCHEMAS.login), async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password)
-      return res.status(400).json({ message: 'Email and password required' });
+    // Counted before the password check, so parallel guesses can't all get through
+    const gate = await loginThrottle.reserveAttempt({ ip: req.ip, email });
+    if (!gate.allowed) {
+      res.set('Retry-After', String(gate.retryAfterSeconds));
+      return res.status(429).json({ code: 'RATE_LIMITED', message: 'Too many login attempts. Try again later.', retryAfter: gate.retryAfterSeconds });
+    }
 
-    const [rows] = await db.execute(
-      'SELECT id, name, email, password FROM users WHERE email = ?',
-      [email]
-    );
+    const user = await repos.users.findByEmail(email);
 
-    if (!rows.length)
-      return res.status(404).json({ message: 'User not found' });
+    // Compare password
+    const valid = await bcrypt.compare(String(password), user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || !valid) {
+      const { lockedOut } = await loginThrottle.recordFailure(gate.reservation);
+      await recordAuthEvent('login_failure', req, { userId: user ? user.id : null, email });
+      if (lockedOut) await recordAuthEvent('lockout', req, { userId: user ? user.id : null, email });
+      return res.status(401).json({ code: 'INVALID_CREDENTIALS', message: 'Invalid email or password' });
+    }
 
-    const user = rows[0];
+    await loginThrottle.recordSuccess(gate.reservation);
+    await recordAuthEvent('login_success', req, { userId: user.id, email: user.email });
 
-    // Compare password
-    const valid = await bcrypt.compare(password, user.password);
-    if (!valid)
-      return res.status(401).json({ message: 'Invalid password' });
-
-    const token = jwt.sign(
-      { email: user.email, id: user.id },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const refreshToken = await issueRefreshToken(user.id, { userAgent: req.get('user-agent') });
 
     return res.json({
       message: 'Login successful',
-      token,
-      user: { name: user.name, email: user.email }
+      token: authTokens.signAccessToken(user, JWT_SECRET),
+      expiresIn: authTokens.ACCESS_TOKEN_TTL_SECONDS,
+      refreshToken,
+      user: { name: user.name, email: user.email, role: user.role || 'learner' }
     });
 
   } catch (err) {
@@ -145,7 +280,88 @@ app.post('/api/login', async (req, res) => {
 
 
 // -------------------------
-// OPTIONAL AUTH MIDDLEWARE
+// REFRESH TOKENS & LOGOUT
+// -------------------------
+// Store a new refresh token; `familyId` continues an existing session,
+// otherwise a new one (a new device/login) starts.
+async function issueRefreshToken(userId, { familyId = crypto.randomUUID(), userAgent = null } = {}) {
+  const { token, tokenHash, expiresAt } = authTokens.createRefreshToken();
+  await repos.refreshTokens.create({
+    userId,
+    familyId,
+    tokenHash,
+    userAgent: userAgent ? userAgent.slice(0, 255) : null,
+    expiresAt
+  });
+  return token;
+}
+
+// body: { refreshToken } — returns a new access token and the next refresh
+// token; the presented one can't be used again. Presenting an already-rotated
+// token revokes the whole session, since someone else has a copy.
+app.post('/api/refresh', validate(SCHEMAS.refresh), async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    const stored = await repos.refreshTokens.findByHash(authTokens.hashRefreshToken(refreshToken));
+    if (!stored) return res.status(401).json({ code: 'INVALID_REFRESH_TOKEN', message: 'Invalid refresh token' });
+
+    if (stored.revoked_at) return res.status(401).json({ code: 'INVALID_REFRESH_TOKEN', message: 'Session has been logged out' });
+    if (new Date(stored.expires_at) <= new Date()) return res.status(401).json({ code: 'INVALID_REFRESH_TOKEN', message: 'Refresh token expired' });
+
+    // Claim the token atomically; losing the race counts as reuse too
+    const claimed = !stored.rotated_at && (await repos.refreshTokens.claim(stored.id));
+    if (!claimed) {
+      await repos.refreshTokens.revokeFamily(stored.family_id);
+      console.warn(`⚠️  Refresh token reuse for user ${stored.user_id}; session ${stored.family_id} revoked`);
+      await recordAuthEvent('refresh_token_reuse', req, { userId: stored.user_id });
+      return res.status(401).json({ code: 'REFRESH_TOKEN_REUSED', message: 'Refresh token reuse detected; please log in again' });
+    }
+
+    const user = await repos.users.findById(stored.user_id);
+    if (!user) return res.status(401).json({ code: 'INVALID_REFRESH_TOKEN', message: 'Invalid refresh token' });
+
+    const next = await issueRefreshToken(stored.user_id, { familyId: stored.family_id, userAgent: req.get('user-agent') });
+    return res.json({
+      token: authTokens.signAccessToken(user, JWT_SECRET),
+      expiresIn: authTokens.ACCESS_TOKEN_TTL_SECONDS,
+      refreshToken: next
+    });
+  } catch (err) {
+    console.error('Token refresh error:', err);
+    return res.status(500).json({ message: 'Error refreshing session' });
+  }
+});
+
+// body: { refreshToken } — ends this device's session. Unknown tokens are
+// ignored so logging out twice is harmless.
+app.post('/api/logout', validate(SCHEMAS.logout), async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    const stored = await repos.refreshTokens.findByHash(authTokens.hashRefreshToken(refreshToken));
+    if (stored) await repos.refreshTokens.revokeFamily(stored.family_id);
+    return res.json({ message: 'Logged out' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    return res.status(500).json({ message: 'Error logging out' });
+  }
+});
+
+// Access tokens already issued stay valid until they expire (minutes)
+app.post('/api/logout-all', authMiddleware, validate(SCHEMAS.logoutAll), async (req, res) => {
+  try {
+    const sessionsRevoked = await repos.refreshTokens.revokeAllForUser(req.user.id);
+    return res.json({ message: 'Logged out of all devices', sessionsRevoked });
+  } catch (err) {
+    console.error('Logout-all error:', err);
+    return res.status(500).json({ message: 'Error logging out' });
+  }
+});
+
+
+// -------------------------
+// AUTH MIDDLEWARE
 // -------------------------
 async function authMiddleware(req, res, next) {
   const auth = req.headers.authorization;
@@ -160,657 +376,1526 @@ async function authMiddleware(req, res, next) {
     req.user = payload;
     return next();
   } catch (err) {
+    // Clients refresh on "Token expired" (POST /api/refresh)
+    if (err.name === 'TokenExpiredError') return res.status(401).json({ code: 'TOKEN_EXPIRED', message: 'Token expired' });
     return res.status(401).json({ message: 'Invalid token' });
   }
 }
 
+// For public routes that show extra data to signed-in callers: sets req.user
+// when a valid token is present, and carries on anonymously otherwise.
+function optionalAuth(req, res, next) {
+  const token = (req.headers.authorization || '').split(' ')[1];
+  if (token) {
+    try {
+      req.user = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+      // an invalid token is treated the same as no token here
+    }
+  }
+  return next();
+}
 
-// Get dashboard info
-// ===============================
-// Dashboard (return full user overview incl. progress columns)
-// ===============================
-app.get('/api/dashboard/:email', async (req, res) => {
+// Must run after authMiddleware. Tokens issued before roles existed carry no
+// role claim and are treated as learners.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const role = req.user.role || 'learner';
+    if (!roles.includes(role)) return res.status(403).json({ message: 'Insufficient permissions' });
+    return next();
+  };
+}
+
+const requireAdmin = requireRole('admin');
+
+// Must run after authMiddleware. Resolves which user a route acts on:
+// `me` or the caller's own email means the caller; anyone else needs admin.
+async function resolveTargetUser(req, res, next) {
   const email = req.params.email;
-  try {
-    // Select all progress columns explicitly
-    const cols = [
-      'id','name','email','learning_lang','level','xp','streak','last_active',
-      'progress_spanish','progress_french','progress_hindi','progress_kannada',
-      'progress_tamil','progress_telugu','progress_marathi','progress_malayalam',
-      'progress_bhojpuri','progress_rajasthani','progress_punjabi','progress_kashmiri',
-      'progress_urdu'
-    ].join(',');
+  if (!email || email === 'me' || email === req.user.email) {
+    req.targetUserId = req.user.id;
+    return next();
+  }
 
-    const [rows] = await db.execute(`SELECT ${cols} FROM users WHERE email = ?`, [email]);
-    if (!rows.length) return res.status(404).json({ message: 'User not found' });
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ message: "Not allowed to access another user's data" });
+  }
 
-    return res.json(rows[0]);
+  try {
+    const user = await repos.users.findByEmail(email);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    req.targetUserId = user.id;
+    return next();
   } catch (err) {
-    console.error('Error fetching dashboard data:', err);
-    return res.status(500).json({ message: 'Error fetching dashboard data' });
+    console.error('Error resolving user:', err);
+    return res.status(500).json({ message: 'Error resolving user' });
   }
-});
+}
 
 
 // ===============================
-// Update Daily Streak
+// Account Lifecycle (verification, password reset, profile)
 // ===============================
-app.post('/api/update-streak', async (req, res) => {
-  const { email } = req.body;
+// Single-use tokens: a new one replaces any unused token for the same purpose
+async function issueAccountToken(userId, purpose) {
+  const { token, tokenHash, expiresAt } = accounts.createToken(purpose);
+  await repos.accountTokens.issue(userId, purpose, { tokenHash, expiresAt });
+  return token;
+}
 
-  if (!email) return res.status(400).json({ message: 'Email required' });
+// Mark a token used and return its user id; null when unknown, used or expired
+async function redeemAccountToken(token, purpose) {
+  if (typeof token !== 'string' || !token) return null;
+  return repos.accountTokens.redeem(accounts.hashToken(token), purpose);
+}
+
+async function sendVerificationEmail(user) {
+  const token = await issueAccountToken(user.id, 'verify_email');
+  await mailer.sendMail({ to: user.email, ...accounts.verificationEmail(user.name, token) });
+}
+
+// The emailed link is a GET; clients may also POST { token }
+app.get('/api/verify-email', validate(SCHEMAS.verifyEmailLink), (req, res) => verifyEmail(req, res, req.query.token));
+app.post('/api/verify-email', validate(SCHEMAS.verifyEmail), (req, res) => verifyEmail(req, res, req.body.token));
 
+async function verifyEmail(req, res, token) {
   try {
-    const [rows] = await db.execute('SELECT last_active, streak FROM users WHERE email = ?', [email]);
+    const userId = await redeemAccountToken(token, 'verify_email');
+    if (!userId) return res.status(400).json({ code: 'INVALID_ACCOUNT_TOKEN', message: 'Verification link is invalid or has expired' });
+
+    const user = await repos.users.findById(userId);
+    if (user && !user.email_verified_at) await repos.users.update(userId, { email_verified_at: new Date() });
+    return res.json({ message: 'Email verified' });
+  } catch (err) {
+    console.error('Email verification error:', err);
+    return res.status(500).json({ message: 'Error verifying email' });
+  }
+}
 
-    if (!rows.length) return res.status(404).json({ message: 'User not found' });
+app.post('/api/verify-email/resend', authMiddleware, validate(SCHEMAS.resendVerification), async (req, res) => {
+  try {
+    const user = await repos.users.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.email_verified_at) return res.status(409).json({ message: 'Email already verified' });
 
-    const lastActive = rows[0].last_active;
-    const currentStreak = rows[0].streak || 0;
-    const today = new Date();
-    const yesterday = new Date(today);
-    yesterday.setDate(today.getDate() - 1);
+    await sendVerificationEmail(user);
+    return res.json({ message: 'Verification email sent' });
+  } catch (err) {
+    console.error('Error resending verification email:', err);
+    return res.status(500).json({ message: 'Error sending verification email' });
+  }
+});
 
-    let newStreak = currentStreak;
+// body: { email } — the response is the same whether or not the account
+// exists, so this can't be used to discover registered emails
+app.post('/api/password/forgot', validate(SCHEMAS.forgotPassword), async (req, res) => {
+  const { email } = req.body;
 
-   if (!lastActive) newStreak = 1;
-    else {
-      const last = new Date(lastActive);
-      if (last.toDateString() === yesterday.toDateString()) newStreak = currentStreak + 1;
-      else if (last.toDateString() !== today.toDateString()) newStreak = 1;
+  try {
+    const user = await repos.users.findByEmail(email);
+    await recordAuthEvent('password_reset_requested', req, { userId: user ? user.id : null, email });
+    if (user) {
+      const token = await issueAccountToken(user.id, 'reset_password');
+      await mailer.sendMail({ to: user.email, ...accounts.passwordResetEmail(user.name, token) });
     }
+    return res.json({ message: 'If that account exists, a reset email is on its way' });
+  } catch (err) {
+    console.error('Password reset request error:', err);
+    return res.status(500).json({ message: 'Error requesting password reset' });
+  }
+});
+
+// body: { token, password }
+app.post('/api/password/reset', validate(SCHEMAS.resetPassword), async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    const userId = await redeemAccountToken(token, 'reset_password');
+    if (!userId) return res.status(400).json({ code: 'INVALID_ACCOUNT_TOKEN', message: 'Reset token is invalid or has expired' });
 
-    await db.execute('UPDATE users SET streak = ?, last_active = CURDATE() WHERE email = ?', [newStreak, email]);
-    return res.json({ message: 'Streak updated successfully', streak: newStreak });
+    const user = await repos.users.findById(userId);
+    if (!user) return res.status(400).json({ code: 'INVALID_ACCOUNT_TOKEN', message: 'Reset token is invalid or has expired' });
+
+    // Receiving the reset email also proves the address
+    const hash = await bcrypt.hash(password, 10);
+    await repos.users.update(userId, { password: hash, email_verified_at: user.email_verified_at || new Date() });
+    // Whoever knew the old password may still hold a session
+    await repos.refreshTokens.revokeAllForUser(userId);
+    await recordAuthEvent('password_reset', req, { userId });
+
+    // A fresh password lifts any login lockout
+    await loginThrottle.recordSuccess({ email: user.email });
+    return res.json({ message: 'Password has been reset' });
   } catch (err) {
-    console.error('Error updating streak:', err);
-    return res.status(500).json({ message: 'Server error while updating streak' });
+    console.error('Password reset error:', err);
+    return res.status(500).json({ message: 'Error resetting password' });
   }
 });
 
-// Get quiz questions for a language
-// Get quiz questions by language
-app.get('/api/questions/:lang', async (req, res) => {
-  const lang = req.params.lang;
+// body: { currentPassword, newPassword }
+app.post('/api/password/change', authMiddleware, validate(SCHEMAS.changePassword), async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
 
-  // Example Spanish questions
- if(lang === "Spanish") {
-  return res.json([
-    {
-      question: "What is the Spanish word for 'Apple'?",
-      options: ["Manzana", "Pera", "Banana", "Uva"],
-      answer: "Manzana",
-      hint: "🍎 Starts with M and sounds like ‘man-zah-na’."
-    },
-    {
-      question: "How do you say 'Thank you' in Spanish?",
-      options: ["Hola", "Gracias", "Adiós", "Por favor"],
-      answer: "Gracias",
-      hint: "🙏 Used to thank someone politely."
-    },
-    {
-      question: "How do you say 'Good morning' in Spanish?",
-      options: ["Buenas noches", "Buenos días", "Buenas tardes", "Hola"],
-      answer: "Buenos días",
-      hint: "☀️ Literally means ‘good days’."
-    },
-    {
-      question: "What is 'Hello' in Spanish?",
-      options: ["Hola", "Bonjour", "Ciao", "Hallo"],
-      answer: "Hola",
-      hint: "💡 It starts with an H but sounds like 'Ola'."
-    }
-  ]);
-}
-
-if(lang === "French") {
-  return res.json([
-    {
-      question: "What is the French word for 'Apple'?",
-      options: ["Pomme", "Banane", "Orange", "Raisin"],
-      answer: "Pomme",
-      hint: "🍎 Pronounced like 'pom'."
-    },
-    {
-      question: "How do you say 'Thank you' in French?",
-      options: ["Bonjour", "Merci", "Au revoir", "S'il vous plaît"],
-      answer: "Merci",
-      hint: "🙏 Commonly used to say thanks."
-    },
-    {
-      question: "How do you say 'Good morning' in French?",
-      options: ["Bonsoir", "Bonjour", "Bonne nuit", "Salut"],
-      answer: "Bonjour",
-      hint: "☀️ Means ‘Good day’ — used in the morning."
-    }
-  ]);
-}
-
-if(lang === "Hindi") {
-  return res.json([
-    {
-      question: "What is the Hindi word for 'Apple'?",
-      options: ["सेब", "केला", "आम", "अंगूर"],
-      answer: "सेब",
-      hint: "🍎 Simple word, similar to English ‘seb’."
-    },
-    {
-      question: "How do you say 'Thank you' in Hindi?",
-      options: ["नमस्ते", "धन्यवाद", "अलविदा", "कृपया"],
-      answer: "धन्यवाद",
-      hint: "🙏 Used when expressing gratitude."
-    },
-    {
-      question: "How do you say 'Good morning' in Hindi?",
-      options: ["शुभ संध्या", "सुप्रभात", "शुभ रात्रि", "नमस्ते"],
-      answer: "सुप्रभात",
-      hint: "☀️ Literally means ‘auspicious morning’."
-    },
-    {
-      question: "What is the Hindi word for 'Water'?",
-      options: ["दूध", "जल", "सिरका", "रस"],
-      answer: "जल",
-      hint: "💧 Sanskrit-origin word for water."
-    },
-    {
-      question: "How do you say 'I am learning Hindi'?",
-      options: ["मैं हिंदी सीख रहा हूँ", "मैं हिंदी बोलता हूँ", "मैं हिंदी जानता हूँ", "मैं हिंदी पढ़ता हूँ"],
-      answer: "मैं हिंदी सीख रहा हूँ",
-      hint: "📘 ‘सीख रहा हूँ’ = ‘am learning’."
-    }
-  ]);
-}
-
-if(lang === "Kannada") {
-  return res.json([
-    {
-      question: "What is the Kannada word for 'Apple'?",
-      options: ["ಸೇಬು", "ಬಾಳೆಹಣ್ಣು", "ಮಾವು", "ದ್ರಾಕ್ಷಿ"],
-      answer: "ಸೇಬು",
-      hint: "🍎 Sounds like ‘Sebu’, similar to Hindi ‘Seb’."
-    },
-    {
-      question: "How do you say 'Thank you' in Kannada?",
-      options: ["ಹಲೋ", "ಧನ್ಯವಾದಗಳು", "ವಿದಾಯ", "ದಯವಿಟ್ಟು"],
-      answer: "ಧನ್ಯವಾದಗಳು",
-      hint: "🙏 Formal way to say thanks."
-    },
-    {
-      question: "How do you say 'Good morning' in Kannada?",
-      options: ["ಶುಭ ರಾತ್ರಿ", "ಶುಭೋದಯ", "ಶುಭ ಸಂಜೆ", "ಹಲೋ"],
-      answer: "ಶುಭೋದಯ",
-      hint: "☀️ Means ‘auspicious dawn’."
-    },
-    {
-      question: "What is the Kannada word for 'Water'?",
-      options: ["ಹಾಲು", "ನೀರು", "ರಸ", "ಮದ್ಯ"],
-      answer: "ನೀರು",
-      hint: "💧 Commonly used word for water."
-    },
-    {
-      question: "How do you say 'I am learning Kannada'?",
-      options: ["ನಾನು ಕನ್ನಡ ಕಲಿಯುತ್ತಿದ್ದೇನೆ", "ನಾನು ಕನ್ನಡ ಮಾತಾಡುತ್ತೇನೆ", "ನಾನು ಕನ್ನಡ ತಿಳಿದಿದ್ದೇನೆ", "ನಾನು ಕನ್ನಡ ಓದುತ್ತಿದ್ದೇನೆ"],
-      answer: "ನಾನು ಕನ್ನಡ ಕಲಿಯುತ್ತಿದ್ದೇನೆ",
-      hint: "📘 ‘ಕಲಿಯುತ್ತಿದ್ದೇನೆ’ = learning."
-    }
-  ]);
-}
-
-if(lang === "Tamil") {
-  return res.json([
-    {
-      question: "What is the Tamil word for 'Apple'?",
-      options: ["ஆப்பிள்", "வாழைப்பழம்", "மாம்பழம்", "திராட்சை"],
-      answer: "ஆப்பிள்",
-      hint: "🍎 Sounds very similar to English."
-    },
-    {
-      question: "How do you say 'Thank you' in Tamil?",
-      options: ["வணக்கம்", "நன்றி", "பிரியா", "தயவு செய்து"],
-      answer: "நன்றி",
-      hint: "🙏 Used daily to express gratitude."
-    },
-    {
-      question: "How do you say 'Good morning' in Tamil?",
-      options: ["இரவு வணக்கம்", "காலை வணக்கம்", "மதிய வணக்கம்", "வணக்கம்"],
-      answer: "காலை வணக்கம்",
-      hint: "☀️ ‘காலை’ means morning."
-    },
-    {
-      question: "What is the Tamil word for 'Water'?",
-      options: ["பால்", "தண்ணீர்", "சாறு", "மதுவை"],
-      answer: "தண்ணீர்",
-      hint: "💧 Common household word for water."
-    },
-    {
-      question: "How do you say 'I am learning Tamil'?",
-      options: ["நான் தமிழ் கற்கிறேன்", "நான் தமிழ் பேசுகிறேன்", "நான் தமிழ் தெரிகிறது", "நான் தமிழ் படிக்கிறேன்"],
-      answer: "நான் தமிழ் கற்கிறேன்",
-      hint: "📘 ‘கற்கிறேன்’ means learning."
-    }
-  ]);
-}
-
-if(lang === "Telugu") {
-  return res.json([
-    {
-      question: "What is the Telugu word for 'Apple'?",
-      options: ["సేపు", "ఆపిల్", "మామిడి", "ద్రాక్ష"],
-      answer: "ఆపిల్",
-      hint: "🍎 Similar to the English word."
-    },
-    {
-      question: "How do you say 'Thank you' in Telugu?",
-      options: ["ధన్యవాదాలు", "నమస్కారం", "కృప", "దయచేసి"],
-      answer: "ధన్యవాదాలు",
-      hint: "🙏 Formal way to say thanks."
-    },
-    {
-      question: "How do you say 'Good morning' in Telugu?",
-      options: ["శుభరాత్రి", "శుభోదయం", "శుభమధ్యాహ్నం", "హలో"],
-      answer: "శుభోదయం",
-      hint: "☀️ Means ‘auspicious morning’."
-    },
-    {
-      question: "What is the Telugu word for 'Water'?",
-      options: ["నీరు", "పాలు", "రసం", "వైన్"],
-      answer: "నీరు",
-      hint: "💧 Used everywhere for water."
-    },
-    {
-      question: "How do you say 'I am learning Telugu'?",
-      options: ["నేను తెలుగు నేర్చుకుంటున్నాను", "నేను తెలుగు మాట్లాడుతున్నాను", "నేను తెలుగు తెలుసు", "నేను తెలుగు చదువుతున్నాను"],
-      answer: "నేను తెలుగు నేర్చుకుంటున్నాను",
-      hint: "📘 ‘నేర్చుకుంటున్నాను’ means learning."
-    }
-  ]);
-}
-if(lang === "Marathi") {
-  return res.json([
-    {
-      question: "What is the Marathi word for 'Apple'?",
-      options: ["सफरचंद", "केळी", "आंबा", "द्राक्ष"],
-      answer: "सफरचंद",
-      hint: "🍎 Sounds like ‘Safarchand’, means apple."
-    },
-    {
-      question: "How do you say 'Thank you' in Marathi?",
-      options: ["धन्यवाद", "नमस्कार", "कृपया", "सर्वोत्तम"],
-      answer: "धन्यवाद",
-      hint: "🙏 Used to thank politely."
-    },
-    {
-      question: "How do you say 'Good morning' in Marathi?",
-      options: ["शुभ रात्री", "सुप्रभात", "शुभ दुपारी", "नमस्कार"],
-      answer: "सुप्रभात",
-      hint: "☀️ Literally ‘auspicious morning’."
-    },
-    {
-      question: "What is the Marathi word for 'Water'?",
-      options: ["पाणी", "दूध", "रस", "सार"],
-      answer: "पाणी",
-      hint: "💧 Everyday word for water."
-    },
-    {
-      question: "How do you say 'I am learning Marathi'?",
-      options: ["मी मराठी शिकत आहे", "मी मराठी बोलतो आहे", "मी मराठी जाणतो", "मी मराठी वाचतो आहे"],
-      answer: "मी मराठी शिकत आहे",
-      hint: "📘 ‘शिकत आहे’ = learning."
-    }
-  ]);
-}
-
-if(lang === "Malayalam") {
-  return res.json([
-    {
-      question: "What is the Malayalam word for 'Apple'?",
-      options: ["ആപ്പിൾ", "മാമ്പഴം", "ബനാന", "മുന്തിരി"],
-      answer: "ആപ്പിൾ",
-      hint: "🍎 Sounds like English ‘apple’."
-    },
-    {
-      question: "How do you say 'Thank you' in Malayalam?",
-      options: ["നന്ദി", "ഹലോ", "വിട", "ദയവായി"],
-      answer: "നന്ദി",
-      hint: "🙏 Very common and polite."
-    },
-    {
-      question: "How do you say 'Good morning' in Malayalam?",
-      options: ["ശുഭ രാത്രി", "സുപ്രഭാതം", "ശുഭ സന്ദേഹം", "ഹലോ"],
-      answer: "സുപ്രഭാതം",
-      hint: "☀️ Means a bright good morning."
-    },
-    {
-      question: "What is the Malayalam word for 'Water'?",
-      options: ["വെള്ളം", "പാൽ", "ജ്യൂസ്", "വൈൻ"],
-      answer: "വെള്ളം",
-      hint: "💧 Commonly used for water."
-    },
-    {
-      question: "How do you say 'I am learning Malayalam'?",
-      options: ["ഞാൻ മലയാളം പഠിക്കുന്നു", "ഞാൻ മലയാളം സംസാരിക്കുന്നു", "ഞാൻ മലയാളം എഴുതുന്നു", "ഞാൻ മലയാളം വായിക്കുന്നു"],
-      answer: "ഞാൻ മലയാളം പഠിക്കുന്നു",
-      hint: "📘 ‘പഠിക്കുന്നു’ means learning/studying."
-    }
-  ]);
-}
-
-if(lang === "Bhojpuri") {
-  return res.json([
-    {
-      question: "What is the Bhojpuri word for 'Apple'?",
-      options: ["सेब", "केला", "अंगूर", "संतरा"],
-      answer: "सेब",
-      hint: "🍎 Same as Hindi — simple!"
-    },
-    {
-      question: "How do you say 'Thank you' in Bhojpuri?",
-      options: ["धन्यवाद", "नमस्ते", "अलविदा", "कृपया"],
-      answer: "धन्यवाद",
-      hint: "🙏 Same as Hindi, polite and respectful."
-    },
-    {
-      question: "How do you say 'Good morning' in Bhojpuri?",
-      options: ["सुप्रभात", "शुभ रात्रि", "नमस्ते", "अलविदा"],
-      answer: "सुप्रभात",
-      hint: "☀️ Common morning greeting."
-    },
-    {
-      question: "What is the Bhojpuri word for 'Water'?",
-      options: ["पानी", "दूध", "जूस", "शराब"],
-      answer: "पानी",
-      hint: "💧 Same as Hindi word for water."
-    },
-    {
-      question: "How do you say 'I am learning Bhojpuri'?",
-      options: ["हम भोजपुरी सीखत बानी", "हम भोजपुरी बोलत बानी", "हम भोजपुरी पढ़त बानी", "हम भोजपुरी लिखत बानी"],
-      answer: "हम भोजपुरी सीखत बानी",
-      hint: "📘 ‘सीखत बानी’ = am learning."
+  try {
+    const user = await repos.users.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(401).json({ code: 'INVALID_CREDENTIALS', message: 'Current password is incorrect' });
     }
-  ]);
-}
-
-if(lang === "Rajasthani") {
-  return res.json([
-    {
-      question: "What is the Rajasthani word for 'Apple'?",
-      options: ["सेब", "केलो", "अंगूर", "संतरा"],
-      answer: "सेब",
-      hint: "🍎 Same as Hindi — easy start!"
-    },
-    {
-      question: "How do you say 'Thank you' in Rajasthani?",
-      options: ["धन्यवाद", "राम राम", "अलविदा", "कृपया"],
-      answer: "धन्यवाद",
-      hint: "🙏 Often said as ‘धन्यवाद सा’ respectfully."
-    },
-    {
-      question: "How do you say 'Good morning' in Rajasthani?",
-      options: ["राम राम सा", "सुप्रभात", "नमस्ते", "अलविदा"],
-      answer: "राम राम सा",
-      hint: "☀️ Traditional greeting used anytime."
-    },
-    {
-      question: "What is the Rajasthani word for 'Water'?",
-      options: ["पाणी", "दूध", "जूस", "शराब"],
-      answer: "पाणी",
-      hint: "💧 Same pronunciation as Marathi."
-    },
-    {
-      question: "How do you say 'I am learning Rajasthani'?",
-      options: ["मैं राजस्थानी सीख रियो हूँ", "मैं राजस्थानी बोल रियो हूँ", "मैं राजस्थानी पढ़ रियो हूँ", "मैं राजस्थानी लिख रियो हूँ"],
-      answer: "मैं राजस्थानी सीख रियो हूँ",
-      hint: "📘 ‘सीख रियो हूँ’ = am learning."
+
+    await repos.users.update(req.user.id, { password: await bcrypt.hash(newPassword, 10) });
+    await repos.refreshTokens.revokeAllForUser(req.user.id);
+    await recordAuthEvent('password_changed', req, { userId: req.user.id, email: req.user.email });
+    return res.json({ message: 'Password changed; other devices have been logged out' });
+  } catch (err) {
+    console.error('Password change error:', err);
+    return res.status(500).json({ message: 'Error changing password' });
+  }
+});
+
+function toProfile(row) {
+  return {
+    name: row.name,
+    email: row.email,
+    learning_lang: row.learning_lang,
+    timezone: row.timezone,
+    emailVerified: Boolean(row.email_verified_at)
+  };
+}
+
+app.get('/api/profile', authMiddleware, validate(SCHEMAS.profile), async (req, res) => {
+  try {
+    const user = await repos.users.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    return res.json(toProfile(user));
+  } catch (err) {
+    console.error('Profile fetch error:', err);
+    return res.status(500).json({ message: 'Error fetching profile' });
+  }
+});
+
+// body: any of { name, email, learning_lang, timezone }. A new email must be
+// verified again, and the response carries a fresh token for it.
+app.put('/api/profile', authMiddleware, validate(SCHEMAS.updateProfile), async (req, res) => {
+  const { name, email, learning_lang, timezone } = req.body;
+
+  if (timezone !== undefined && !streaks.isValidTimeZone(timezone)) {
+    return res.status(400).json({ message: 'Unknown timezone' });
+  }
+
+  try {
+    if (learning_lang !== undefined && !(await isSupportedLanguage(learning_lang))) {
+      return res.status(400).json({ code: 'UNSUPPORTED_LANGUAGE', message: 'Unsupported language' });
     }
-  ]);
-}
-
-if(lang === "Punjabi") {
-  return res.json([
-    {
-      question: "What is the Punjabi word for 'Apple'?",
-      options: ["ਸੇਬ", "ਕੇਲਾ", "ਅੰਗੂਰ", "ਸੰਤਰਾ"],
-      answer: "ਸੇਬ",
-      hint: "🍎 Same as Hindi word — easy!"
-    },
-    {
-      question: "How do you say 'Thank you' in Punjabi?",
-      options: ["ਧੰਨਵਾਦ", "ਸਤ ਸ੍ਰੀ ਅਕਾਲ", "ਅਲਵਿਦਾ", "ਕਿਰਪਾ"],
-      answer: "ਧੰਨਵਾਦ",
-      hint: "🙏 Used in polite and formal settings."
-    },
-    {
-      question: "How do you say 'Good morning' in Punjabi?",
-      options: ["ਸਤ ਸ੍ਰੀ ਅਕਾਲ", "ਸ਼ੁਭ ਸਵੇਰ", "ਨਮਸਕਾਰ", "ਅਲਵਿਦਾ"],
-      answer: "ਸ਼ੁਭ ਸਵੇਰ",
-      hint: "☀️ ‘ਸਵੇਰ’ means morning."
-    },
-    {
-      question: "What is the Punjabi word for 'Water'?",
-      options: ["ਪਾਣੀ", "ਦੂਧ", "ਜੂਸ", "ਸ਼ਰਾਬ"],
-      answer: "ਪਾਣੀ",
-      hint: "💧 Same as Hindi word for water."
-    },
-    {
-      question: "How do you say 'I am learning Punjabi'?",
-      options: ["ਮੈਂ ਪੰਜਾਬੀ ਸਿੱਖ ਰਿਹਾ ਹਾਂ", "ਮੈਂ ਪੰਜਾਬੀ ਬੋਲ ਰਿਹਾ ਹਾਂ", "ਮੈਂ ਪੰਜਾਬੀ ਪੜ੍ਹ ਰਿਹਾ ਹਾਂ", "ਮੈਂ ਪੰਜਾਬੀ ਲਿਖ ਰਿਹਾ ਹਾਂ"],
-      answer: "ਮੈਂ ਪੰਜਾਬੀ ਸਿੱਖ ਰਿਹਾ ਹਾਂ",
-      hint: "📘 ‘ਸਿੱਖ ਰਿਹਾ ਹਾਂ’ means learning."
+
+    const current = await repos.users.findById(req.user.id);
+    if (!current) return res.status(404).json({ message: 'User not found' });
+
+    const emailChanged = email !== undefined && email !== current.email;
+    if (emailChanged && (await repos.users.findByEmail(email))) {
+      return res.status(409).json({ code: 'ALREADY_EXISTS', message: 'Email already in use' });
     }
-  ]);
-}
-
-if(lang === "Kashmiri") {
-  return res.json([
-    {
-      question: "What is the Kashmiri word for 'Apple'?",
-      options: ["سیب", "کیلا", "انگور", "سنگترہ"],
-      answer: "سیب",
-      hint: "🍎 Same as Urdu — 'Seib'."
-    },
-    {
-      question: "How do you say 'Thank you' in Kashmiri?",
-      options: ["شکریہ", "سلام", "خدا حافظ", "مہربانی"],
-      answer: "شکریہ",
-      hint: "🙏 Common in Urdu & Persian too."
-    },
-    {
-      question: "How do you say 'Good morning' in Kashmiri?",
-      options: ["صبح بخیر", "شلام", "نمسکار", "الوداع"],
-      answer: "صبح بخیر",
-      hint: "☀️ Means ‘good morning’ exactly."
-    },
-    {
-      question: "What is the Kashmiri word for 'Water'?",
-      options: ["پانی", "دودھ", "جوس", "شراب"],
-      answer: "پانی",
-      hint: "💧 Same as Urdu and Hindi word."
-    },
-    {
-      question: "How do you say 'I am learning Kashmiri'?",
-      options: ["می چھُ کشمیری سیکھان", "می چھُ کشمیری بولان", "می چھُ کشمیری پڈھان", "می چھُ کشمیری لکھان"],
-      answer: "می چھُ کشمیری سیکھان",
-      hint: "📘 ‘سیکھان’ means to learn."
+
+    const updated = {
+      ...current,
+      name: name === undefined ? current.name : name.trim(),
+      email: emailChanged ? email : current.email,
+      learning_lang: learning_lang === undefined ? current.learning_lang : learning_lang,
+      timezone: timezone === undefined ? current.timezone : timezone,
+      email_verified_at: emailChanged ? null : current.email_verified_at
+    };
+    await repos.users.update(current.id, {
+      name: updated.name,
+      email: updated.email,
+      learning_lang: updated.learning_lang,
+      timezone: updated.timezone,
+      email_verified_at: updated.email_verified_at
+    });
+
+    const response = { message: 'Profile updated', profile: toProfile(updated) };
+    if (emailChanged) {
+      response.token = authTokens.signAccessToken(updated, JWT_SECRET);
+      try {
+        await sendVerificationEmail(updated);
+      } catch (err) {
+        console.error('Error sending verification email:', err);
+      }
     }
-  ]);
-}
-
-if(lang === "Urdu") {
-  return res.json([
-    {
-      question: "What is the Urdu word for 'Apple'?",
-      options: ["سیب", "کیلا", "انگور", "آڑو"],
-      answer: "سیب",
-      hint: "🍎 Same word as Persian & Hindi."
-    },
-    {
-      question: "How do you say 'Thank you' in Urdu?",
-      options: ["شکریہ", "سلام", "الوداع", "مہربانی"],
-      answer: "شکریہ",
-      hint: "🙏 The most common polite phrase."
-    },
-    {
-      question: "How do you say 'Good morning' in Urdu?",
-      options: ["صبح بخیر", "شب بخیر", "ہیلو", "الوداع"],
-      answer: "صبح بخیر",
-      hint: "☀️ Literally means ‘good morning’."
-    },
-    {
-      question: "What is the Urdu word for 'Water'?",
-      options: ["پانی", "دودھ", "جوس", "شراب"],
-      answer: "پانی",
-      hint: "💧 Same word used across South Asia."
-    },
-    {
-      question: "How do you say 'I am learning Urdu'?",
-      options: ["میں اردو سیکھ رہا ہوں", "میں اردو بول رہا ہوں", "میں اردو پڑھ رہا ہوں", "میں اردو لکھ رہا ہوں"],
-      answer: "میں اردو سیکھ رہا ہوں",
-      hint: "📘 ‘سیکھ رہا ہوں’ means I am learning."
+    return res.json(response);
+  } catch (err) {
+    console.error('Profile update error:', err);
+    return res.status(500).json({ message: 'Error updating profile' });
+  }
+});
+
+// body: { password } — deletes the account and every progress row
+app.delete('/api/account', authMiddleware, validate(SCHEMAS.deleteAccount), async (req, res) => {
+  const { password } = req.body;
+
+  try {
+    const user = await repos.users.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({ code: 'INVALID_CREDENTIALS', message: 'Password is incorrect' });
     }
-  ]);
-}
 
+    await repos.users.delete(req.user.id);
+    return res.json({ message: 'Account deleted' });
+  } catch (err) {
+    console.error('Account deletion error:', err);
+    return res.status(500).json({ message: 'Error deleting account' });
+  }
+});
+
+
+// Get dashboard info
+// ===============================
+// Dashboard (return full user overview incl. per-language progress)
+// ===============================
+app.get(['/api/dashboard/me', '/api/dashboard/:email'], authMiddleware, validate(SCHEMAS.dashboard), resolveTargetUser, async (req, res) => {
+  try {
+    const user = await repos.users.findById(req.targetUserId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const progressRows = await repos.progress.byLanguage(req.targetUserId);
+    const languages = progressRows.map(p => ({
+      language: p.language,
+      lessonsCompleted: p.lessons_completed,
+      xpEarned: p.xp_earned,
+      lastStudied: p.last_studied_at
+    }));
+    // Flat progress_<lang> keys kept for clients built against the old columns
+    const legacyProgress = {};
+    for (const p of languages) legacyProgress[`progress_${p.language.toLowerCase()}`] = p.lessonsCompleted;
+
+    const reviewsDueByLanguage = {};
+    for (const r of await repos.reviews.dueCounts(req.targetUserId, streaks.localDate(new Date(), user.timezone))) {
+      reviewsDueByLanguage[r.language] = r.due;
+    }
+    const reviewsDue = Object.values(reviewsDueByLanguage).reduce((sum, n) => sum + n, 0);
 
+    const { nextLevel, xpIntoLevel, xpToNextLevel } = levelFor(user.xp);
+    const { id, name, email, learning_lang, level, xp, streak, last_active } = user;
 
-  res.status(404).json({ message: "Questions not found for this language" });
+    return res.json({
+      id, name, email, learning_lang, level, xp, streak, last_active,
+      ...legacyProgress,
+      nextLevel,
+      xpIntoLevel,
+      xpToNextLevel,
+      languages,
+      reviewsDue,
+      reviewsDueByLanguage
+    });
+  } catch (err) {
+    console.error('Error fetching dashboard data:', err);
+    return res.status(500).json({ message: 'Error fetching dashboard data' });
+  }
 });
 
+
 // ===============================
-// LESSON PROGRESS ENDPOINT
+// Daily Streak
 // ===============================
-app.get('/api/progress/:email/:lang', async (req, res) => {
-  const { email, lang } = req.params;
-  const column = getProgressColumn(lang);
-  if (!column) return res.status(400).json({ message: 'Unsupported language' });
+// The single place streaks change. Activity is counted on the user's local
+// date; returns null when the user doesn't exist. Inside a transaction the
+// user row is locked, so two requests can't both advance the same day.
+async function recordActivity(userId, store = repos) {
+  const user = await store.users.findById(userId, { forUpdate: true });
+  if (!user) return null;
+
+  const today = streaks.localDate(new Date(), user.timezone);
+  const next = streaks.applyActivity({
+    streak: user.streak,
+    longestStreak: user.longest_streak,
+    freezes: user.streak_freezes,
+    lastActive: user.last_active
+  }, today);
+
+  if (next.changed) {
+    await store.users.update(userId, {
+      streak: next.streak,
+      longest_streak: next.longestStreak,
+      streak_freezes: next.freezes,
+      last_active: today
+    });
+    await store.streaks.recordDays(userId, [
+      ...next.frozenDates.map(date => ({ date, frozen: true })),
+      { date: today, frozen: false }
+    ]);
+    if (social.isStreakMilestone(next.streak)) {
+      await store.activity.record(userId, 'streak_milestone', { data: { streak: next.streak } });
+    }
+  }
+
+  return {
+    streak: next.streak,
+    longestStreak: next.longestStreak,
+    freezes: next.freezes,
+    freezesUsed: next.frozenDates.length,
+    freezeEarned: next.freezeEarned,
+    // false when the user had already been active today
+    advanced: next.changed
+  };
+}
+
+app.post('/api/update-streak', authMiddleware, validate(SCHEMAS.updateStreak), async (req, res) => {
+  try {
+    const outcome = await repos.transaction(async tx => {
+      const result = await recordActivity(req.user.id, tx);
+      if (!result) return null;
+      return { ...result, newAchievements: await checkAchievements(req.user.id, tx) };
+    });
+    if (!outcome) return res.status(404).json({ message: 'User not found' });
+
+    return res.json({ message: 'Streak updated successfully', ...outcome });
+  } catch (err) {
+    console.error('Error updating streak:', err);
+    return res.status(500).json({ message: 'Server error while updating streak' });
+  }
+});
+
+// Streak summary plus a calendar of active (and frozen) days; ?days= sets the window
+app.get('/api/streak/history', authMiddleware, validate(SCHEMAS.streakHistory), async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 90, 1), 366);
 
   try {
-    const [rows] = await db.execute(`SELECT xp, level, ${column} AS progress FROM users WHERE email = ?`, [email]);
-    if (!rows.length) return res.status(404).json({ message: 'User not found' });
+    const user = await repos.users.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const today = streaks.localDate(new Date(), user.timezone);
+    const from = streaks.localDate(new Date(Date.now() - (days - 1) * 86400000), user.timezone);
+
+    const dayRows = await repos.streaks.days(req.user.id, from, today);
 
-    const progress = rows[0].progress || 0;
-    const totalLessons = 10;
     return res.json({
-      xp: rows[0].xp,
-      level: rows[0].level,
-      lessonsCompleted: progress,
-      totalLessons
+      timezone: user.timezone,
+      currentStreak: streaks.currentStreak({
+        streak: user.streak,
+        freezes: user.streak_freezes,
+        lastActive: user.last_active
+      }, today),
+      longestStreak: user.longest_streak,
+      freezes: user.streak_freezes,
+      calendar: dayRows.map(d => ({ date: streaks.toDateKey(d.activity_date), frozen: !!d.freeze_used }))
     });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: 'Progress fetch failed' });
+    console.error('Error fetching streak history:', err);
+    return res.status(500).json({ message: 'Error fetching streak history' });
   }
 });
 
+app.put('/api/me/timezone', authMiddleware, validate(SCHEMAS.updateTimezone), async (req, res) => {
+  const { timezone } = req.body;
+  if (!streaks.isValidTimeZone(timezone)) return res.status(400).json({ message: 'Unknown timezone' });
 
-// Submit quiz
-app.post('/api/submit', async (req, res) => {
   try {
-    const { email, score, lang } = req.body;
-    if (!email || typeof score === 'undefined' || !lang) {
-      return res.status(400).json({ message: 'email, score and lang required' });
-    }
+    await repos.users.update(req.user.id, { timezone });
+    return res.json({ message: 'Timezone updated', timezone });
+  } catch (err) {
+    console.error('Error updating timezone:', err);
+    return res.status(500).json({ message: 'Error updating timezone' });
+  }
+});
 
-    const progressCol = getProgressColumn(lang);
-    if (!progressCol) return res.status(400).json({ message: 'Unsupported language' });
+// ===============================
+// Quiz Questions (served from the questions table)
+// ===============================
+// `?romanize=1` adds Latin romanizations of native-script options/tiles
+function wantsRomanization(req) {
+  return ['1', 'true'].includes(String(req.query.romanize));
+}
+
+// Questions and their options come back shuffled; pass `?seed=` to get the
+// same order again
+app.get('/api/questions/:lang', validate(SCHEMAS.questions), async (req, res) => {
+  const lang = req.params.lang;
+  const romanize = wantsRomanization(req);
+  const seed = req.query.seed === undefined ? adaptive.newSeed() : String(req.query.seed);
 
-    const xpGain = Number(score) * 10;
+  try {
+    const rows = await repos.questions.list({ language: lang });
+    if (!rows.length) return res.status(404).json({ message: 'Questions not found for this language' });
 
-    // Fetch current xp and current progress for that language
-    const [rows] = await db.execute(`SELECT xp, ${progressCol} AS progress FROM users WHERE email = ?`, [email]);
-    if (!rows.length) return res.status(404).json({ message: 'User not found' });
+    // Answers never leave the server; grading happens in /api/submit
+    const questions = adaptive.shuffle(rows.map(rowToQuestion), adaptive.seededRandom(seed));
+    return res.json(questions.map(q => toPublicQuestion(q, { romanize, seed })));
+  } catch (err) {
+    console.error('Error fetching questions:', err);
+    return res.status(500).json({ message: 'Error fetching questions' });
+  }
+});
 
-    const currentXP = (rows[0].xp || 0) + xpGain;
-    const newProgress = (rows[0].progress || 0) + 1;
 
-    // Level calc
-    let level = 'Beginner';
-    if (currentXP >= 100 && currentXP < 300) level = 'Intermediate';
-    else if (currentXP >= 300 && currentXP < 600) level = 'Advanced';
-    else if (currentXP >= 600) level = 'Expert';
+// Romanize arbitrary text — body: { text, lang, scheme? }
+// scheme is 'phonetic' (learner-friendly, default) or 'iso15919' (diacritics)
+app.post('/api/transliterate', validate(SCHEMAS.transliterate), async (req, res) => {
+  const { text, lang, scheme = 'phonetic' } = req.body;
 
-    // Update DB — note column name validated earlier
-    await db.execute(
-      `UPDATE users SET xp = ?, level = ?, ${progressCol} = ? WHERE email = ?`,
-      [currentXP, level, newProgress, email]
-    );
+  try {
+    if (!(await isSupportedLanguage(lang))) return res.status(400).json({ code: 'UNSUPPORTED_LANGUAGE', message: 'Unsupported language' });
 
     return res.json({
-      message: 'Progress updated!',
-      xp: currentXP,
-      level,
-      lessonsCompleted: newProgress
+      text,
+      language: lang,
+      script: transliteration.scriptFor(lang),
+      scheme,
+      romanized: transliteration.romanize(text, lang, { scheme })
     });
   } catch (err) {
-    console.error("Submit error:", err);
-    return res.status(500).json({ message: 'Error submitting quiz' });
+    console.error('Transliteration error:', err);
+    return res.status(500).json({ message: 'Error transliterating text' });
+  }
+});
+
+
+// JSON schemas for the client-facing shape of each question type
+app.get('/api/question-types', validate(SCHEMAS.questionTypes), (req, res) => {
+  const schemas = {};
+  for (const type of Object.keys(TYPES)) {
+    schemas[type] = require(`./schemas/questions/v${SCHEMA_VERSION}/${type}.json`);
   }
+  return res.json({ schemaVersion: SCHEMA_VERSION, types: schemas });
 });
 
-app.get('/api/leaderboard', async (req, res) => {
+
+// ===============================
+// Admin: Question Bank Management
+// ===============================
+app.get('/api/admin/questions', authMiddleware, requireAdmin, validate(SCHEMAS.adminListQuestions), async (req, res) => {
+  const { lang } = req.query;
   try {
-    const [rows] = await db.execute('SELECT name, learning_lang, score, xp, level FROM users ORDER BY xp DESC LIMIT 10');
-    return res.json(rows);
+    const rows = await repos.questions.list({ language: lang });
+    return res.json(rows.map(rowToQuestion));
   } catch (err) {
-    console.error('Error fetching leaderboard:', err);
-    return res.status(500).json({ message: 'Error fetching leaderboard' });
+    console.error('Error listing questions:', err);
+    return res.status(500).json({ message: 'Error listing questions' });
   }
 });
 
-// ==============================================
-// Complete Lesson Endpoint (XP + Level + Streak)
-// ==============================================
-// Complete Lesson (accepts lang to also bump progress_col optionally)
-// ===============================
-app.post('/api/complete-lesson', async (req, res) => {
+// validateQuestion's messages start with the field they're about
+function questionValidationError(errors) {
+  return validationError(errors.map(message => ({
+    field: `body.${message.split(' ')[0]}`,
+    rule: 'question',
+    message: message.slice(message.indexOf(' ') + 1)
+  })));
+}
+
+// body: { language, type?, question, hint?, ...fields for the type }
+app.post('/api/admin/questions', authMiddleware, requireAdmin, validate(SCHEMAS.adminCreateQuestion), async (req, res) => {
+  const { language, ...question } = req.body;
+
+  const errors = validateQuestion(question);
+  if (errors.length) return res.status(400).json(questionValidationError(errors));
+
   try {
-    const { email, gainedXP = 20, lang } = req.body;
-    if (!email) return res.status(400).json({ message: 'Email required' });
+    if (!(await isSupportedLanguage(language))) return res.status(400).json({ code: 'UNSUPPORTED_LANGUAGE', message: 'Unsupported language' });
 
-    const [rows] = await db.execute('SELECT xp, level, last_active, streak FROM users WHERE email = ?', [email]);
-    if (!rows.length) return res.status(404).json({ message: 'User not found' });
+    const row = await repos.questions.create(language, question);
+    return res.status(201).json(rowToQuestion(row));
+  } catch (err) {
+    console.error('Error creating question:', err);
+    return res.status(500).json({ message: 'Error creating question' });
+  }
+});
 
-    const user = rows[0];
-    const today = new Date().toISOString().split('T')[0];
-    let streak = user.streak || 0;
+app.put('/api/admin/questions/:id', authMiddleware, requireAdmin, validate(SCHEMAS.adminUpdateQuestion), async (req, res) => {
+  const body = req.body;
 
-    if (user.last_active) {
-      const lastActive = new Date(user.last_active);
-      const diffDays = Math.floor((new Date(today) - lastActive) / (1000 * 60 * 60 * 24));
-      if (diffDays === 1) streak += 1;
-      else if (diffDays > 1) streak = 1;
-    } else {
-      streak = 1;
+  try {
+    if (body.language !== undefined && !(await isSupportedLanguage(body.language))) {
+      return res.status(400).json({ code: 'UNSUPPORTED_LANGUAGE', message: 'Unsupported language' });
     }
 
-    const newXP = (user.xp || 0) + Number(gainedXP);
-    let newLevel = 'Beginner';
-    if (newXP >= 100 && newXP < 300) newLevel = 'Intermediate';
-    else if (newXP >= 300 && newXP < 600) newLevel = 'Advanced';
-    else if (newXP >= 600) newLevel = 'Expert';
+    const row = await repos.questions.findById(req.params.id);
+    if (!row) return res.status(404).json({ message: 'Question not found' });
 
-    // Update main fields first
-    await db.execute('UPDATE users SET xp = ?, level = ?, last_active = ?, streak = ? WHERE email = ?', [newXP, newLevel, today, streak, email]);
-
-    // Optionally bump progress for specific language (if provided)
-    if (lang) {
-      const progressCol = getProgressColumn(lang);
-      if (progressCol) {
-        await db.execute(`UPDATE users SET ${progressCol} = ${progressCol} + 1 WHERE email = ?`, [email]);
-      }
+    // Merge onto the stored row so answer/options are checked together
+    const current = rowToQuestion(row);
+    const updated = { ...current };
+    for (const [field, value] of Object.entries(body)) {
+      if (field !== 'id' && value !== undefined) updated[field] = value;
     }
 
-    return res.json({ message: 'Lesson completed successfully!', xp: newXP, level: newLevel, streak });
+    const errors = validateQuestion(updated);
+    if (errors.length) return res.status(400).json(questionValidationError(errors));
+
+    const saved = await repos.questions.update(current.id, updated.language, updated);
+    return res.json(rowToQuestion(saved));
   } catch (err) {
-    console.error('❌ Error completing lesson:', err);
-    return res.status(500).json({ message: 'Error completing lesson' });
+    console.error('Error updating question:', err);
+    return res.status(500).json({ message: 'Error updating question' });
   }
 });
 
+app.delete('/api/admin/questions/:id', authMiddleware, requireAdmin, validate(SCHEMAS.adminDeleteQuestion), async (req, res) => {
+  try {
+    if (!(await repos.questions.delete(req.params.id))) return res.status(404).json({ message: 'Question not found' });
+    return res.json({ message: 'Question deleted' });
+  } catch (err) {
+    console.error('Error deleting question:', err);
+    return res.status(500).json({ message: 'Error deleting question' });
+  }
+});
 
 // ===============================
-// Server Setup
+// Admin: Question Pack Import/Export
 // ===============================
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`🚀 LangLink+ Backend running on port ${PORT}`);
-});
\ No newline at end of file
+// Formats: json (LangLink+ pack), csv, anki (Anki "Notes in Plain Text"), apkg
+const PACK_UPLOAD_LIMIT = '10mb';
+
+// ?format= wins; otherwise guess from the upload's Content-Type
+function packFormat(req) {
+  if (req.query.format) return req.query.format;
+  if (req.is('application/json')) return 'json';
+  if (req.is('text/csv')) return 'csv';
+  if (req.is('text/plain')) return 'anki';
+  if (req.is('application/zip') || req.is('application/octet-stream')) return 'apkg';
+  return null;
+}
+
+// Upload the file as the raw request body:
+//   POST /api/admin/packs/import?format=csv&lang=Hindi            → dry-run report
+//   POST /api/admin/packs/import?format=csv&lang=Hindi&commit=true → insert new rows
+// `lang` is the default for rows without their own language. Nothing is
+// written if any row is invalid; duplicates are reported and skipped.
+app.post(
+  '/api/admin/packs/import',
+  authMiddleware,
+  requireAdmin,
+  validate(SCHEMAS.adminImportPack),
+  express.raw({ type: () => true, limit: PACK_UPLOAD_LIMIT }),
+  async (req, res) => {
+    const format = packFormat(req);
+    if (!questionPacks.FORMATS[format]) {
+      return res.status(400).json({ message: `format must be one of ${Object.keys(questionPacks.FORMATS).join(', ')}` });
+    }
+    const commit = req.query.commit === 'true';
+
+    try {
+      const parsed = await questionPacks.parsePack(format, req.body, { language: req.query.lang });
+      if (parsed.error) return res.status(400).json({ message: parsed.error });
+
+      const languages = [...new Set(parsed.questions.map(q => q.language).filter(Boolean))];
+      const report = questionPacks.buildImportReport(parsed.questions, {
+        languages: await repos.languages.list(),
+        existing: await repos.questions.identities(languages)
+      });
+
+      if (!commit) return res.json({ dryRun: true, format, ...report });
+      if (report.summary.invalid) {
+        return res.status(422).json({ message: 'Pack has invalid rows; nothing was imported', dryRun: false, format, ...report });
+      }
+
+      // The pack goes in whole or not at all
+      const toInsert = report.rows.filter(r => r.status === 'new').map(r => parsed.questions[r.row - 1]);
+      await repos.questions.createMany(toInsert);
+      return res.status(201).json({ dryRun: false, format, imported: toInsert.length, ...report });
+    } catch (err) {
+      console.error('Error importing question pack:', err);
+      return res.status(500).json({ message: 'Error importing question pack' });
+    }
+  }
+);
+
+// GET /api/admin/packs/export/:lang?format=json|csv|anki|apkg — downloads a pack
+app.get('/api/admin/packs/export/:lang', authMiddleware, requireAdmin, validate(SCHEMAS.adminExportPack), async (req, res) => {
+  const { lang } = req.params;
+  const format = req.query.format || 'json';
+  if (!questionPacks.FORMATS[format]) {
+    return res.status(400).json({ message: `format must be one of ${Object.keys(questionPacks.FORMATS).join(', ')}` });
+  }
+
+  try {
+    if (!(await isSupportedLanguage(lang))) return res.status(400).json({ code: 'UNSUPPORTED_LANGUAGE', message: 'Unsupported language' });
+
+    const rows = await repos.questions.list({ language: lang });
+    const pack = await questionPacks.exportPack(format, lang, rows.map(rowToQuestion));
+
+    res.attachment(pack.filename);
+    res.set('Content-Type', pack.contentType);
+    return res.send(pack.body);
+  } catch (err) {
+    console.error('Error exporting question pack:', err);
+    return res.status(500).json({ message: 'Error exporting question pack' });
+  }
+});
+
+// ===============================
+// LESSON PROGRESS ENDPOINT
+// ===============================
+app.get(['/api/progress/me/:lang', '/api/progress/:email/:lang'], authMiddleware, validate(SCHEMAS.progress), resolveTargetUser, async (req, res) => {
+  const { lang } = req.params;
+
+  try {
+    if (!(await isSupportedLanguage(lang))) return res.status(400).json({ code: 'UNSUPPORTED_LANGUAGE', message: 'Unsupported language' });
+
+    const user = await repos.users.findById(req.targetUserId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    // Lesson counts come from the curriculum, so replays can't inflate them
+    const progress = await getLanguageProgress(req.targetUserId, lang);
+    const curriculum = await loadCurriculum(req.targetUserId, lang);
+    const ability = await getAbility(req.targetUserId, lang);
+    return res.json({
+      xp: user.xp,
+      level: user.level,
+      lessonsCompleted: curriculum.lessonsCompleted,
+      xpEarned: progress.xp_earned,
+      lastStudied: progress.last_studied_at,
+      totalLessons: curriculum.totalLessons,
+      ability: ability.rating
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Progress fetch failed' });
+  }
+});
+
+
+// ===============================
+// Spaced Repetition Review Queue
+// ===============================
+// Reviews fall due by the learner's local date, like streaks
+function fetchDueQuestions(user, lang) {
+  return repos.reviews.dueQuestions(user.id, lang, streaks.localDate(new Date(), user.timezone));
+}
+
+// ===============================
+// Adaptive Difficulty
+// ===============================
+async function getAbility(userId, lang, store = repos) {
+  return (await store.ability.get(userId, lang)) || { rating: adaptive.DEFAULT_RATING, answers: 0 };
+}
+
+// Questions the learner answered within the repeat window
+function recentQuestionIds(userId, lang) {
+  const since = new Date(Date.now() - adaptive.REPEAT_WINDOW_HOURS * 60 * 60 * 1000);
+  return repos.reviews.recentQuestionIds(userId, lang, since);
+}
+
+// Move the learner's rating and each question's difficulty after a graded
+// session. Returns the learner's rating before and after.
+async function updateRatings(userId, lang, results, store = repos) {
+  const ability = await getAbility(userId, lang, store);
+  const before = ability.rating;
+
+  const ratedQuestions = new Map();
+  for (const r of results) {
+    const question = await store.questions.findById(r.questionId);
+    if (!question) continue;
+
+    const rated = adaptive.rateAnswer(
+      ability,
+      { rating: Number(question.difficulty), answers: question.rated_answers },
+      r.verdict
+    );
+    ratedQuestions.set(r.questionId, rated.question);
+    ability.rating = rated.user;
+    ability.answers += 1;
+  }
+
+  // Question rows are shared between learners: write them in id order, so
+  // two sessions over the same questions lock them in the same order
+  for (const id of [...ratedQuestions.keys()].sort((a, b) => a - b)) {
+    await store.questions.rate(id, ratedQuestions.get(id));
+  }
+  await store.ability.save(userId, lang, ability);
+  return { before, after: ability.rating };
+}
+
+// Log each graded answer and move its review schedule forward (SM-2)
+async function recordAttempts(user, sessionId, results, store = repos) {
+  const userId = user.id;
+  const today = streaks.localDate(new Date(), user.timezone);
+
+  for (const r of results) {
+    await store.reviews.recordAttempt(userId, r.questionId, sessionId, r.correct);
+    const next = nextReview(await store.reviews.schedule(userId, r.questionId), r.correct, today);
+    await store.reviews.saveSchedule(userId, r.questionId, next);
+  }
+}
+
+// Questions due today; start a graded review with POST /api/quiz/start { mode: 'review' }
+app.get('/api/review/:lang', authMiddleware, validate(SCHEMAS.review), async (req, res) => {
+  const { lang } = req.params;
+
+  try {
+    if (!(await isSupportedLanguage(lang))) return res.status(400).json({ code: 'UNSUPPORTED_LANGUAGE', message: 'Unsupported language' });
+
+    const user = await repos.users.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const rows = await fetchDueQuestions(user, lang);
+    return res.json({
+      due: rows.length,
+      questions: rows.map(row => toPublicQuestion(rowToQuestion(row), { romanize: wantsRomanization(req) }))
+    });
+  } catch (err) {
+    console.error('Error fetching review queue:', err);
+    return res.status(500).json({ message: 'Error fetching review queue' });
+  }
+});
+
+
+// ===============================
+// Quiz Sessions (start + server-graded submit)
+// ===============================
+// body: { lang, mode?, count?, seed?, romanize? }
+// mode 'quiz' picks `count` questions near the learner's ability, mixing in
+// due review items and skipping recently answered ones; mode 'review' builds
+// the session from due review items only. The session's question and option
+// order is derived from `seed` (random unless given).
+app.post('/api/quiz/start', authMiddleware, validate(SCHEMAS.startQuiz), async (req, res) => {
+  try {
+    const { lang, mode = 'quiz', count, romanize = false, seed = adaptive.newSeed() } = req.body;
+    if (!(await isSupportedLanguage(lang))) return res.status(400).json({ code: 'UNSUPPORTED_LANGUAGE', message: 'Unsupported language' });
+
+    const user = await repos.users.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const userId = user.id;
+    const random = adaptive.seededRandom(seed);
+
+    const dueRows = await fetchDueQuestions(user, lang);
+    let questions;
+    if (mode === 'review') {
+      questions = adaptive.shuffle(dueRows.map(rowToQuestion), random).slice(0, count || dueRows.length);
+    } else {
+      const rows = await repos.questions.list({ language: lang });
+      const ability = await getAbility(userId, lang);
+      questions = adaptive.selectQuestions(rows.map(rowToQuestion), {
+        ability: ability.rating,
+        count: count || adaptive.DEFAULT_QUIZ_SIZE,
+        dueIds: dueRows.map(r => r.id),
+        recentIds: await recentQuestionIds(userId, lang),
+        random
+      });
+    }
+    if (!questions.length) {
+      return res.status(404).json({ message: mode === 'review' ? 'No reviews due for this language' : 'Questions not found for this language' });
+    }
+
+    const sessionId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MINUTES * 60 * 1000);
+
+    await repos.quizSessions.create({
+      id: sessionId,
+      userId,
+      language: lang,
+      mode,
+      questionIds: questions.map(q => q.id),
+      seed,
+      expiresAt
+    });
+
+    return res.status(201).json({
+      sessionId,
+      mode,
+      seed,
+      expiresAt: expiresAt.toISOString(),
+      questions: questions.map(q => toPublicQuestion(q, { romanize: romanize === true, seed }))
+    });
+  } catch (err) {
+    console.error('Quiz start error:', err);
+    return res.status(500).json({ message: 'Error starting quiz' });
+  }
+});
+
+// A session's questions in the order they were issued, skipping any deleted since
+async function loadSessionQuestions(session) {
+  const questionRows = await repos.questions.findByIds(session.question_ids);
+  const byId = new Map(questionRows.map(r => [r.id, rowToQuestion(r)]));
+  return session.question_ids.map(id => byId.get(id)).filter(Boolean);
+}
+
+// Resume an open session: same questions, same option order
+app.get('/api/quiz/:sessionId', authMiddleware, validate(SCHEMAS.resumeQuiz), async (req, res) => {
+  try {
+    const session = await repos.quizSessions.findById(req.params.sessionId);
+    if (!session || session.user_id !== req.user.id) {
+      return res.status(404).json({ message: 'Quiz session not found' });
+    }
+    if (session.submitted_at) return res.status(409).json({ code: 'SESSION_ALREADY_SUBMITTED', message: 'Quiz session already submitted' });
+    if (new Date(session.expires_at) <= new Date()) return res.status(410).json({ code: 'SESSION_EXPIRED', message: 'Quiz session expired' });
+
+    const questions = await loadSessionQuestions(session);
+    return res.json({
+      sessionId: session.id,
+      mode: session.mode,
+      seed: session.seed,
+      expiresAt: new Date(session.expires_at).toISOString(),
+      questions: questions.map(q => toPublicQuestion(q, { romanize: wantsRomanization(req), seed: session.seed }))
+    });
+  } catch (err) {
+    console.error('Quiz resume error:', err);
+    return res.status(500).json({ message: 'Error loading quiz' });
+  }
+});
+
+// Submit quiz — body: { sessionId, answers: [{ questionId, answer }] }
+app.post('/api/submit', authMiddleware, validate(SCHEMAS.submitQuiz), idempotent, async (req, res) => {
+  try {
+    const { sessionId, answers } = req.body;
+
+    const userId = req.user.id;
+
+    const session = await repos.quizSessions.findById(sessionId);
+    if (!session || session.user_id !== userId) {
+      return res.status(404).json({ message: 'Quiz session not found' });
+    }
+    if (session.submitted_at) return res.status(409).json({ code: 'SESSION_ALREADY_SUBMITTED', message: 'Quiz session already submitted' });
+    if (new Date(session.expires_at) <= new Date()) return res.status(410).json({ code: 'SESSION_EXPIRED', message: 'Quiz session expired' });
+
+    const lang = session.language;
+    const questions = await loadSessionQuestions(session);
+    const { score, total, results } = gradeAnswers(questions, answers);
+
+    // One transaction: the claim, attempts, ratings, XP and progress all
+    // commit together, or none do and the session can be submitted again
+    const outcome = await repos.transaction(async tx => {
+      // Lock the user row first, the order every XP flow takes
+      const user = await tx.users.findById(userId, { forUpdate: true });
+      // Claim the session atomically so a concurrent resubmit can't grade twice
+      if (!(await tx.quizSessions.claim(sessionId))) throw new ApiError('SESSION_ALREADY_SUBMITTED', 'Quiz session already submitted');
+
+      await recordAttempts(user, sessionId, results, tx);
+      const ability = await updateRatings(userId, lang, results, tx);
+      if (session.mode !== 'review') {
+        await tx.activity.record(userId, 'quiz_completed', { language: lang, data: { score, total } });
+      }
+
+      const award = await awardXP(userId, quizXP({ score, total, mode: session.mode }), { language: lang, ref: `quiz:${sessionId}`, store: tx });
+
+      // Quizzes earn XP; only curriculum lessons count as completed (see completeLesson)
+      await tx.progress.add(userId, lang, { xp: award.xpGained });
+      const progress = await getLanguageProgress(userId, lang, tx);
+      const newAchievements = await checkAchievements(userId, tx);
+      return { award, ability, lessonsCompleted: progress.lessons_completed, newAchievements };
+    });
+
+    return res.json({
+      message: 'Progress updated!',
+      score,
+      total,
+      ...outcome.award,
+      lessonsCompleted: outcome.lessonsCompleted,
+      ability: outcome.ability,
+      results,
+      newAchievements: outcome.newAchievements
+    });
+  } catch (err) {
+    if (err instanceof ApiError) throw err;
+    console.error("Submit error:", err);
+    return res.status(500).json({ message: 'Error submitting quiz' });
+  }
+});
+
+// ===============================
+// Leaderboard
+// ===============================
+function toLeaderboardEntry(r) {
+  return { rank: Number(r.rank_no), name: r.name, learning_lang: r.learning_lang, xp: Number(r.xp), level: r.level };
+}
+
+// Query: ?lang=&window=all|week|month&limit=&offset=
+// Signed-in callers also get their own rank and the places around it.
+// Users who chose to hide from leaderboards are left out.
+app.get('/api/leaderboard', optionalAuth, validate(SCHEMAS.leaderboard), async (req, res) => {
+  const options = parseLeaderboardQuery(req.query);
+  if (options.error) return res.status(400).json({ message: options.error });
+
+  try {
+    if (options.lang && !(await isSupportedLanguage(options.lang))) {
+      return res.status(400).json({ code: 'UNSUPPORTED_LANGUAGE', message: 'Unsupported language' });
+    }
+
+    const scope = { lang: options.lang, since: options.since };
+
+    const { rows, total } = await repos.leaderboard.page(scope, options);
+
+    let me = null;
+    if (req.user) {
+      const around = await repos.leaderboard.around(scope, req.user.id, NEIGHBOR_SPAN);
+      if (around) {
+        me = {
+          ...toLeaderboardEntry(around.mine),
+          neighbors: around.neighbors.map(r => ({ ...toLeaderboardEntry(r), isMe: r.user_id === req.user.id }))
+        };
+      } else {
+        me = { rank: null, xp: 0, neighbors: [] };
+      }
+    }
+
+    return res.json({
+      language: options.lang,
+      window: options.window,
+      since: options.since,
+      total,
+      limit: options.limit,
+      offset: options.offset,
+      entries: rows.map(toLeaderboardEntry),
+      me
+    });
+  } catch (err) {
+    console.error('Error fetching leaderboard:', err);
+    return res.status(500).json({ message: 'Error fetching leaderboard' });
+  }
+});
+
+// ===============================
+// Friends, Following & Activity Feed
+// ===============================
+// Follow someone with their invite code or by id from /api/users/search.
+// Following is one-way; "friends" are the people you follow.
+
+// The user's invite code, created on first use
+async function ensureInviteCode(user, { regenerate = false } = {}) {
+  if (user.invite_code && !regenerate) return user.invite_code;
+  for (let attempt = 1; ; attempt++) {
+    const code = social.createInviteCode();
+    try {
+      await repos.users.update(user.id, { invite_code: code });
+      return code;
+    } catch (err) {
+      if (err.code !== 'ER_DUP_ENTRY' || attempt >= 5) throw err;
+    }
+  }
+}
+
+app.get('/api/friends/invite-code', authMiddleware, validate(SCHEMAS.inviteCode), async (req, res) => {
+  try {
+    const user = await repos.users.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    return res.json({ inviteCode: await ensureInviteCode(user) });
+  } catch (err) {
+    console.error('Error fetching invite code:', err);
+    return res.status(500).json({ message: 'Error fetching invite code' });
+  }
+});
+
+// A new code; the old one stops working
+app.post('/api/friends/invite-code', authMiddleware, validate(SCHEMAS.regenerateInviteCode), async (req, res) => {
+  try {
+    const user = await repos.users.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    return res.json({ message: 'Invite code replaced', inviteCode: await ensureInviteCode(user, { regenerate: true }) });
+  } catch (err) {
+    console.error('Error replacing invite code:', err);
+    return res.status(500).json({ message: 'Error replacing invite code' });
+  }
+});
+
+// ?q= part of a name; private profiles never match
+app.get('/api/users/search', authMiddleware, validate(SCHEMAS.searchUsers), async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || social.SEARCH_LIMIT, 1), 50);
+
+  try {
+    const rows = await repos.users.search(req.query.q.trim(), { excludeId: req.user.id, limit });
+    const followingIds = new Set(await repos.follows.followingIds(req.user.id));
+    return res.json(rows.map(r => social.toUserSummary(r, followingIds)));
+  } catch (err) {
+    console.error('Error searching users:', err);
+    return res.status(500).json({ message: 'Error searching users' });
+  }
+});
+
+// body: { userId } or { inviteCode }. Following someone twice is a no-op.
+app.post('/api/follows', authMiddleware, validate(SCHEMAS.follow), async (req, res) => {
+  const { userId, inviteCode } = req.body;
+
+  try {
+    const target = inviteCode !== undefined
+      ? await repos.users.findByInviteCode(social.normalizeInviteCode(inviteCode))
+      : await repos.users.findById(userId);
+    // Private profiles can only be followed with their invite code
+    if (!target || (inviteCode === undefined && target.private_profile)) {
+      return res.status(404).json({ message: inviteCode !== undefined ? 'Unknown invite code' : 'User not found' });
+    }
+    if (target.id === req.user.id) return res.status(400).json({ code: 'CANNOT_FOLLOW_SELF', message: 'You cannot follow yourself' });
+
+    const added = await repos.follows.add(req.user.id, target.id);
+    return res.json({
+      message: added ? `Now following ${target.name}` : `Already following ${target.name}`,
+      user: social.toUserSummary(target, new Set([target.id]))
+    });
+  } catch (err) {
+    console.error('Error following user:', err);
+    return res.status(500).json({ message: 'Error following user' });
+  }
+});
+
+app.delete('/api/follows/:id', authMiddleware, validate(SCHEMAS.unfollow), async (req, res) => {
+  try {
+    if (!(await repos.follows.remove(req.user.id, Number(req.params.id)))) {
+      return res.status(404).json({ message: 'Not following this user' });
+    }
+    return res.json({ message: 'Unfollowed' });
+  } catch (err) {
+    console.error('Error unfollowing user:', err);
+    return res.status(500).json({ message: 'Error unfollowing user' });
+  }
+});
+
+app.get('/api/follows', authMiddleware, validate(SCHEMAS.follows), async (req, res) => {
+  try {
+    const following = await repos.follows.following(req.user.id);
+    const followers = await repos.follows.followers(req.user.id);
+    const followingIds = new Set(following.map(r => r.id));
+    const toFriend = r => ({ ...social.toUserSummary(r, followingIds), xp: Number(r.xp), since: r.since });
+    return res.json({ following: following.map(toFriend), followers: followers.map(toFriend) });
+  } catch (err) {
+    console.error('Error fetching follows:', err);
+    return res.status(500).json({ message: 'Error fetching follows' });
+  }
+});
+
+// The caller and everyone they follow, ranked like /api/leaderboard
+app.get('/api/leaderboard/friends', authMiddleware, validate(SCHEMAS.friendsLeaderboard), async (req, res) => {
+  const options = parseLeaderboardQuery(req.query);
+  if (options.error) return res.status(400).json({ message: options.error });
+
+  try {
+    if (options.lang && !(await isSupportedLanguage(options.lang))) {
+      return res.status(400).json({ code: 'UNSUPPORTED_LANGUAGE', message: 'Unsupported language' });
+    }
+
+    const userIds = [req.user.id, ...(await repos.follows.followingIds(req.user.id))];
+    const scope = { lang: options.lang, since: options.since, userIds };
+    const { rows, total } = await repos.leaderboard.page(scope, options);
+
+    return res.json({
+      language: options.lang,
+      window: options.window,
+      since: options.since,
+      total,
+      limit: options.limit,
+      offset: options.offset,
+      entries: rows.map(r => ({ ...toLeaderboardEntry(r), isMe: r.user_id === req.user.id }))
+    });
+  } catch (err) {
+    console.error('Error fetching friends leaderboard:', err);
+    return res.status(500).json({ message: 'Error fetching friends leaderboard' });
+  }
+});
+
+// What the people you follow have been up to, newest first.
+// ?limit=&before= — pass the previous page's nextBefore to read further back.
+app.get('/api/feed', authMiddleware, validate(SCHEMAS.feed), async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || social.FEED_PAGE_SIZE, 1), social.MAX_FEED_PAGE_SIZE);
+  const before = req.query.before === undefined ? undefined : Number(req.query.before);
+
+  try {
+    const followingIds = await repos.follows.followingIds(req.user.id);
+    const rows = await repos.activity.feed(followingIds, { limit, before });
+    const items = rows.map(social.toFeedItem);
+    return res.json({ items, nextBefore: items.length === limit ? items[items.length - 1].id : null });
+  } catch (err) {
+    console.error('Error fetching feed:', err);
+    return res.status(500).json({ message: 'Error fetching feed' });
+  }
+});
+
+// ===============================
+// Privacy Settings
+// ===============================
+// privateProfile: left out of user search, followable only by invite code.
+// hideFromLeaderboards: left off the global and friends leaderboards.
+app.get('/api/me/privacy', authMiddleware, validate(SCHEMAS.privacy), async (req, res) => {
+  try {
+    const user = await repos.users.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    return res.json(social.toPrivacy(user));
+  } catch (err) {
+    console.error('Error fetching privacy settings:', err);
+    return res.status(500).json({ message: 'Error fetching privacy settings' });
+  }
+});
+
+// body: any of { privateProfile, hideFromLeaderboards }
+app.put('/api/me/privacy', authMiddleware, validate(SCHEMAS.updatePrivacy), async (req, res) => {
+  const { privateProfile, hideFromLeaderboards } = req.body;
+
+  try {
+    const fields = {};
+    if (privateProfile !== undefined) fields.private_profile = privateProfile;
+    if (hideFromLeaderboards !== undefined) fields.hide_from_leaderboards = hideFromLeaderboards;
+    await repos.users.update(req.user.id, fields);
+
+    const user = await repos.users.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    return res.json({ message: 'Privacy settings updated', ...social.toPrivacy(user) });
+  } catch (err) {
+    console.error('Error updating privacy settings:', err);
+    return res.status(500).json({ message: 'Error updating privacy settings' });
+  }
+});
+
+// ===============================
+// XP Ledger (history + admin audit)
+// ===============================
+app.get('/api/xp/history', authMiddleware, validate(SCHEMAS.xpHistory), async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  try {
+    const user = await repos.users.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const entries = await repos.xp.history(req.user.id, limit);
+    return res.json({ ...levelFor(user.xp), xp: user.xp, entries });
+  } catch (err) {
+    console.error('Error fetching XP history:', err);
+    return res.status(500).json({ message: 'Error fetching XP history' });
+  }
+});
+
+// Compare the cached users.xp against the ledger sum
+app.get('/api/admin/users/:id/xp-audit', authMiddleware, requireAdmin, validate(SCHEMAS.adminXpAudit), async (req, res) => {
+  try {
+    const user = await repos.users.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const ledgerXP = await repos.xp.total(user.id);
+    return res.json({
+      userId: user.id,
+      storedXP: user.xp,
+      ledgerXP,
+      consistent: user.xp === ledgerXP
+    });
+  } catch (err) {
+    console.error('Error auditing XP:', err);
+    return res.status(500).json({ message: 'Error auditing XP' });
+  }
+});
+
+// Reset users.xp/level from the ledger
+app.post('/api/admin/users/:id/xp-recompute', authMiddleware, requireAdmin, validate(SCHEMAS.adminXpRecompute), async (req, res) => {
+  try {
+    // Holding the user row's lock, so an award can't land between the sum and the write
+    const result = await repos.transaction(async tx => {
+      const user = await tx.users.findById(req.params.id, { forUpdate: true });
+      if (!user) return null;
+
+      const xp = await tx.xp.total(user.id);
+      const levelInfo = levelFor(xp);
+      await tx.users.update(user.id, { xp, level: levelInfo.level });
+      return { userId: user.id, xp, ...levelInfo };
+    });
+    if (!result) return res.status(404).json({ message: 'User not found' });
+
+    return res.json({ message: 'XP recomputed from ledger', ...result });
+  } catch (err) {
+    console.error('Error recomputing XP:', err);
+    return res.status(500).json({ message: 'Error recomputing XP' });
+  }
+});
+
+// ===============================
+// Admin: Auth Audit Log
+// ===============================
+// Query: ?event=&email=&userId=&since=&limit=&offset= — newest first
+const AUTH_EVENTS_MAX_LIMIT = 200;
+
+app.get('/api/admin/auth-events', authMiddleware, requireAdmin, validate(SCHEMAS.adminAuthEvents), async (req, res) => {
+  const { event, email, userId, since } = req.query;
+  const filters = {
+    event,
+    email,
+    userId: userId === undefined ? undefined : Number(userId),
+    since: since === undefined ? undefined : new Date(since)
+  };
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), AUTH_EVENTS_MAX_LIMIT);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  try {
+    const rows = await repos.authEvents.list(filters, { limit, offset });
+    return res.json({
+      limit,
+      offset,
+      events: rows.map(r => ({
+        id: r.id,
+        event: r.event,
+        userId: r.user_id,
+        email: r.email,
+        ip: r.ip,
+        userAgent: r.user_agent,
+        createdAt: r.created_at
+      }))
+    });
+  } catch (err) {
+    console.error('Error listing auth events:', err);
+    return res.status(500).json({ message: 'Error listing auth events' });
+  }
+});
+
+// ===============================
+// Achievements (earned + locked with progress)
+// ===============================
+app.get('/api/achievements', authMiddleware, validate(SCHEMAS.achievements), async (req, res) => {
+  try {
+    if (!(await repos.users.findById(req.user.id))) return res.status(404).json({ message: 'User not found' });
+
+    // Persist anything already reached so earnedAt is filled in below
+    await checkAchievements(req.user.id);
+
+    const rows = await repos.achievements.earned(req.user.id);
+    const earned = new Map(rows.map(r => [r.code, r.earned_at]));
+    const badges = achievements.evaluate(await loadAchievementStats(req.user.id), earned);
+
+    return res.json({
+      earned: badges.filter(b => b.earned),
+      locked: badges.filter(b => !b.earned)
+    });
+  } catch (err) {
+    console.error('Error fetching achievements:', err);
+    return res.status(500).json({ message: 'Error fetching achievements' });
+  }
+});
+
+
+// ===============================
+// Curriculum (units → lessons)
+// ===============================
+async function loadCurriculum(userId, lang, store = repos) {
+  const lessonRows = await store.curriculum.lessons(lang);
+  const completedIds = await store.curriculum.completedLessonIds(userId, lang);
+  return buildCurriculum(lessonRows, new Set(completedIds));
+}
+
+app.get('/api/curriculum/:lang', authMiddleware, validate(SCHEMAS.curriculum), async (req, res) => {
+  const { lang } = req.params;
+
+  try {
+    if (!(await isSupportedLanguage(lang))) return res.status(400).json({ code: 'UNSUPPORTED_LANGUAGE', message: 'Unsupported language' });
+
+    const curriculum = await loadCurriculum(req.user.id, lang);
+    return res.json({ language: lang, ...curriculum });
+  } catch (err) {
+    console.error('Error fetching curriculum:', err);
+    return res.status(500).json({ message: 'Error fetching curriculum' });
+  }
+});
+
+app.get('/api/lessons/:id', authMiddleware, validate(SCHEMAS.lesson), async (req, res) => {
+  const lessonId = Number(req.params.id);
+
+  try {
+    const lang = await repos.curriculum.lessonLanguage(lessonId);
+    if (!lang) return res.status(404).json({ message: 'Lesson not found' });
+
+    const lesson = findLesson(await loadCurriculum(req.user.id, lang), lessonId);
+    if (lesson.locked) return res.status(403).json({ code: 'LESSON_LOCKED', message: 'Lesson is locked' });
+
+    const vocabulary = await repos.curriculum.vocabulary(lessonId);
+    const questionRows = await repos.curriculum.lessonQuestions(lessonId);
+
+    return res.json({
+      ...lesson,
+      language: lang,
+      vocabulary,
+      questions: questionRows.map(row => toPublicQuestion(rowToQuestion(row), { romanize: wantsRomanization(req) }))
+    });
+  } catch (err) {
+    console.error('Error fetching lesson:', err);
+    return res.status(500).json({ message: 'Error fetching lesson' });
+  }
+});
+
+
+// ==============================================
+// Complete Lesson Endpoint (XP + Level + Streak)
+// ==============================================
+// A completion is recorded once per user and lesson; replaying a finished
+// lesson returns the current totals unchanged. Those completions are the
+// only thing that adds to lessons_completed (on top of the pre-curriculum
+// baseline migrated from users.progress_<lang>), so it can't be inflated.
+// Everything runs in one transaction holding the user row's lock, so
+// concurrent completions are applied one after another.
+async function completeLesson(req, res, lessonId) {
+  try {
+    // XP is fixed by the server rules; a client-sent gainedXP is ignored
+    const userId = req.user.id;
+
+    const body = await repos.transaction(async tx => {
+      const user = await tx.users.findById(userId, { forUpdate: true });
+      if (!user) throw new ApiError('NOT_FOUND', 'User not found');
+
+      const lang = await tx.curriculum.lessonLanguage(lessonId);
+      if (!lang) throw new ApiError('NOT_FOUND', 'Lesson not found');
+
+      const lesson = findLesson(await loadCurriculum(userId, lang, tx), Number(lessonId));
+      if (lesson.locked) throw new ApiError('LESSON_LOCKED', 'Lesson is locked');
+
+      if (!(await tx.curriculum.complete(userId, lessonId))) {
+        return {
+          message: 'Lesson already completed',
+          alreadyCompleted: true,
+          xp: user.xp,
+          level: user.level,
+          streak: user.streak
+        };
+      }
+
+      await tx.activity.record(userId, 'lesson_completed', { language: lang, data: { lessonId: lesson.id, title: lesson.title } });
+      const streak = await recordActivity(userId, tx);
+      const award = await awardXP(
+        userId,
+        lessonXP({ streak: streak.streak, streakAdvanced: streak.advanced }),
+        { language: lang, ref: `lesson:${lessonId}`, store: tx }
+      );
+      await tx.progress.add(userId, lang, { lessons: 1, xp: award.xpGained });
+      const newAchievements = await checkAchievements(userId, tx);
+
+      return {
+        message: 'Lesson completed successfully!',
+        ...award,
+        streak: streak.streak,
+        freezeEarned: streak.freezeEarned,
+        freezesUsed: streak.freezesUsed,
+        newAchievements
+      };
+    });
+
+    return res.json(body);
+  } catch (err) {
+    if (err instanceof ApiError) throw err;
+    console.error('❌ Error completing lesson:', err);
+    return res.status(500).json({ message: 'Error completing lesson' });
+  }
+}
+
+// body: { lessonId }
+app.post('/api/complete-lesson', authMiddleware, validate(SCHEMAS.completeLesson), idempotent, (req, res) => completeLesson(req, res, req.body.lessonId));
+
+app.post('/api/lessons/:id/complete', authMiddleware, validate(SCHEMAS.completeLessonById), idempotent, (req, res) => completeLesson(req, res, Number(req.params.id)));
+
+
+// ===============================
+// Live Duels (WebSockets at /ws/duels; protocol in lib/duels.js)
+// ===============================
+// Both players get questions pitched at their average ability
+async function pickDuelQuestions(language, userIds, count) {
+  const rows = await repos.questions.list({ language });
+  const abilities = await Promise.all(userIds.map(id => getAbility(id, language)));
+  return adaptive.selectQuestions(rows.map(rowToQuestion), {
+    ability: abilities.reduce((sum, a) => sum + a.rating, 0) / abilities.length,
+    count
+  });
+}
+
+// XP for both players through the usual ledger, one transaction each
+async function awardDuel({ duelId, language, players }) {
+  const awards = new Map();
+  for (const player of players) {
+    const award = await repos.transaction(async tx => {
+      // Deleted their account mid-duel
+      if (!(await tx.users.findById(player.id, { forUpdate: true }))) return null;
+
+      const result = await awardXP(player.id, duelXP(player), { language, ref: `duel:${duelId}`, store: tx });
+      await tx.progress.add(player.id, language, { xp: result.xpGained });
+      return { ...result, newAchievements: await checkAchievements(player.id, tx) };
+    });
+    awards.set(player.id, award);
+  }
+  return awards;
+}
+
+const duelArena = duels.createArena({
+  languageExists: isSupportedLanguage,
+  pickQuestions: pickDuelQuestions,
+  finish: awardDuel
+});
+app.locals.duels = duelArena;
+
+// Access token → the player; null when invalid or the account is gone
+async function authenticateSocket(token) {
+  const payload = jwt.verify(token, JWT_SECRET);
+  const user = await repos.users.findById(payload.id);
+  return user && { id: user.id, name: user.name };
+}
+
+// Serve duels on an HTTP server running `app`; returns { close() }
+function attachDuels(server) {
+  return attachDuelSocket(server, duelArena, { authenticate: authenticateSocket });
+}
+app.locals.attachDuels = attachDuels;
+
+
+// ===============================
+// API Docs (OpenAPI + Swagger UI)
+// ===============================
+// Built on first request, once every route above is registered
+let openapiSpec;
+app.get('/api/openapi.json', validate(SCHEMAS.openapi), (req, res) => {
+  openapiSpec = openapiSpec || openapi.buildSpec(app, {
+    auth: new Map([[authMiddleware, 'user'], [requireAdmin, 'admin'], [optionalAuth, 'optional']])
+  });
+  return res.json(openapiSpec);
+});
+
+app.use('/api/docs', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+app.get('/api/docs', validate(SCHEMAS.docs), (req, res) => res.type('html').send(openapi.docsPage('/api/openapi.json')));
+
+
+// ===============================
+// Health Checks
+// ===============================
+// Liveness: the process is up. Always 200 so a database outage doesn't get
+// the container restarted; the database status is for dashboards.
+app.get('/healthz', validate(SCHEMAS.healthz), async (req, res) => {
+  return res.json({
+    status: 'ok',
+    uptimeSeconds: Math.round(process.uptime()),
+    database: await repos.ping()
+  });
+});
+
+// Readiness: send traffic here only while the database answers and the
+// server isn't shutting down
+app.get('/readyz', validate(SCHEMAS.readyz), async (req, res) => {
+  const database = await repos.ping();
+  let pendingMigrations = null;
+  if (database.ok) {
+    try {
+      pendingMigrations = await repos.pendingMigrations();
+    } catch (err) {
+      console.error('Migration status failed:', err.message);
+    }
+  }
+
+  const shuttingDown = shutdown.isShuttingDown();
+  if (!database.ok || shuttingDown) {
+    return res.status(503).json({
+      code: 'SERVICE_UNAVAILABLE',
+      message: shuttingDown ? 'Shutting down' : 'Database unavailable',
+      database,
+      pendingMigrations,
+      shuttingDown
+    });
+  }
+  return res.json({ status: 'ready', database, pendingMigrations, shuttingDown });
+});
+
+
+// ===============================
+// Errors (see lib/errors.js for the envelope)
+// ===============================
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
+
+
+// ===============================
+// Server Setup
+// ===============================
+const PORT = process.env.PORT || 3000;
+// Tests require the app without starting the server
+if (require.main === module) {
+  connectDB();
+  const server = app.listen(PORT, () => {
+    console.log(`🚀 LangLink+ Backend running on port ${PORT}`);
+  });
+  const duelSocket = attachDuels(server);
+  shutdown.handleSignals(server, { cleanup: () => repos.close(), disconnect: () => duelSocket.close() });
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,444 @@
+// test/api.test.js — every route, end to end, against the in-memory storage
+//
+// The tests run in order and share one server: a learner signs up, studies
+// and is finally deleted; an admin manages questions along the way. Every
+// response is checked against the OpenAPI document, and the last test fails
+// if any documented operation never answered with a success.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const AdmZip = require('adm-zip');
+
+process.env.STORAGE = 'memory';
+process.env.JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+const app = require('../server');
+const mailer = require('../lib/mailer');
+const streaks = require('../lib/streak');
+const { createSpecChecker } = require('./helpers/spec-checker');
+const { startServer } = require('./helpers/http');
+
+const repos = app.locals.repos;
+const outbox = [];
+mailer.setTransport({ async send(message) { outbox.push(message); } });
+
+let server;
+let checker;
+const succeeded = new Set();
+
+// Request `url`, check the response against the spec and note successes
+async function call(method, url, options) {
+  const result = await server.request(method, url, options);
+  checker.check(method, url, result.response, result.body);
+  if (result.response.status < 300) {
+    const { path } = checker.findOperation(method, url);
+    succeeded.add(`${method} ${path}`);
+  }
+  return result;
+}
+
+function expectStatus(result, status) {
+  assert.equal(result.response.status, status, JSON.stringify(result.body));
+  return result.body;
+}
+
+// The token in the latest mail to `email`
+function mailedToken(email) {
+  const mail = outbox.filter(m => m.to === email).pop();
+  assert.ok(mail, `no mail to ${email}`);
+  // Verification mails carry a link, reset mails the bare token
+  const match = mail.text.match(/token=([\w-]+)/) || mail.text.match(/\n([\w-]{40,})\n/);
+  return match[1];
+}
+
+const learner = { name: 'Ana', email: 'ana@example.com', password: 'correct-horse-1' };
+const admin = { name: 'Root', email: 'root@example.com', password: 'admin-password-1' };
+const session = {};
+
+async function login({ email, password }) {
+  return expectStatus(await call('POST', '/api/login', { body: { email, password } }), 200);
+}
+
+before(async () => {
+  server = await startServer(app);
+  const spec = (await server.request('GET', '/api/openapi.json')).body;
+  checker = createSpecChecker(spec);
+});
+
+after(() => server.close());
+
+test('meta routes and health checks', async () => {
+  await call('GET', '/api/openapi.json');
+  await call('GET', '/api/docs');
+  await call('GET', '/api/question-types');
+
+  const health = expectStatus(await call('GET', '/healthz'), 200);
+  assert.equal(health.database.ok, true);
+  const ready = expectStatus(await call('GET', '/readyz'), 200);
+  assert.equal(ready.status, 'ready');
+
+  const languages = expectStatus(await call('GET', '/api/languages'), 200);
+  assert.ok(languages.includes('Spanish'));
+});
+
+test('sign up, verify the email and log in', async () => {
+  const unsupported = expectStatus(await call('POST', '/api/register', { body: { ...learner, learning_lang: 'Klingon' } }), 400);
+  assert.equal(unsupported.code, 'UNSUPPORTED_LANGUAGE');
+  expectStatus(await call('POST', '/api/register', { body: { ...learner, learning_lang: 'Spanish' } }), 200);
+  const duplicate = expectStatus(await call('POST', '/api/register', { body: learner }), 409);
+  assert.equal(duplicate.code, 'ALREADY_EXISTS');
+
+  expectStatus(await call('GET', `/api/verify-email?token=${mailedToken(learner.email)}`), 200);
+
+  const wrong = expectStatus(await call('POST', '/api/login', { body: { email: learner.email, password: 'not-the-password' } }), 401);
+  assert.equal(wrong.code, 'INVALID_CREDENTIALS');
+
+  const body = await login(learner);
+  session.token = body.token;
+  session.refreshToken = body.refreshToken;
+  assert.equal(body.user.role, 'learner');
+
+  const profile = expectStatus(await call('GET', '/api/profile', { token: session.token }), 200);
+  assert.equal(profile.emailVerified, true);
+  expectStatus(await call('POST', '/api/verify-email/resend', { token: session.token }), 409);
+});
+
+test('a second account verifies with a resent token', async () => {
+  admin.id = await repos.users.create({ ...admin, password: 'unused', learning_lang: 'French', timezone: 'UTC' });
+  await repos.users.update(admin.id, { role: 'admin' });
+
+  // Passwords set by reset, so the admin also goes through the reset flow
+  expectStatus(await call('POST', '/api/password/forgot', { body: { email: admin.email } }), 200);
+  expectStatus(await call('POST', '/api/password/reset', { body: { token: mailedToken(admin.email), password: admin.password } }), 200);
+  admin.token = (await login(admin)).token;
+
+  await repos.users.update(admin.id, { email_verified_at: null });
+  expectStatus(await call('POST', '/api/verify-email/resend', { token: admin.token }), 200);
+  expectStatus(await call('POST', '/api/verify-email', { body: { token: mailedToken(admin.email) } }), 200);
+  const reused = expectStatus(await call('POST', '/api/verify-email', { body: { token: mailedToken(admin.email) } }), 400);
+  assert.equal(reused.code, 'INVALID_ACCOUNT_TOKEN');
+});
+
+test('refresh tokens rotate and reuse revokes the session', async () => {
+  const refreshed = expectStatus(await call('POST', '/api/refresh', { body: { refreshToken: session.refreshToken } }), 200);
+  const reused = expectStatus(await call('POST', '/api/refresh', { body: { refreshToken: session.refreshToken } }), 401);
+  assert.equal(reused.code, 'REFRESH_TOKEN_REUSED');
+  const revoked = expectStatus(await call('POST', '/api/refresh', { body: { refreshToken: refreshed.refreshToken } }), 401);
+  assert.equal(revoked.code, 'INVALID_REFRESH_TOKEN');
+
+  const fresh = await login(learner);
+  expectStatus(await call('POST', '/api/logout', { body: { refreshToken: fresh.refreshToken } }), 200);
+  expectStatus(await call('POST', '/api/refresh', { body: { refreshToken: fresh.refreshToken } }), 401);
+
+  const other = await login(learner);
+  const all = expectStatus(await call('POST', '/api/logout-all', { token: other.token }), 200);
+  assert.ok(all.sessionsRevoked >= 1);
+});
+
+test('profile, timezone and password changes', async () => {
+  const updated = expectStatus(await call('PUT', '/api/profile', { token: session.token, body: { name: 'Ana María' } }), 200);
+  assert.equal(updated.profile.name, 'Ana María');
+  const taken = expectStatus(await call('PUT', '/api/profile', { token: session.token, body: { email: admin.email } }), 409);
+  assert.equal(taken.code, 'ALREADY_EXISTS');
+
+  const tz = expectStatus(await call('PUT', '/api/me/timezone', { token: session.token, body: { timezone: 'Asia/Kolkata' } }), 200);
+  assert.equal(tz.timezone, 'Asia/Kolkata');
+
+  expectStatus(await call('POST', '/api/password/change', {
+    token: session.token,
+    body: { currentPassword: 'wrong-password-1', newPassword: 'another-horse-2' }
+  }), 401);
+  expectStatus(await call('POST', '/api/password/change', {
+    token: session.token,
+    body: { currentPassword: learner.password, newPassword: 'another-horse-2' }
+  }), 200);
+  learner.password = 'another-horse-2';
+  session.token = (await login(learner)).token;
+});
+
+test('questions and transliteration', async () => {
+  const questions = expectStatus(await call('GET', '/api/questions/Spanish?seed=abc'), 200);
+  assert.ok(questions.length > 0);
+  assert.ok(questions.every(q => q.answer === undefined), 'answers stay on the server');
+  const again = expectStatus(await call('GET', '/api/questions/Spanish?seed=abc'), 200);
+  assert.deepEqual(again.map(q => q.id), questions.map(q => q.id));
+
+  expectStatus(await call('GET', '/api/questions/Nowhere'), 404);
+
+  const romanized = expectStatus(await call('POST', '/api/transliterate', { body: { text: 'नमस्ते', lang: 'Hindi' } }), 200);
+  assert.ok(romanized.romanized.length > 0);
+});
+
+test('a quiz is graded on the server and awards XP', async () => {
+  // Reviews fall due by the learner's local date: pick a zone on a different day than UTC
+  const { id: learnerId, timezone } = await repos.users.findByEmail(learner.email);
+  const zone = new Date().getUTCHours() < 12 ? 'Etc/GMT+12' : 'Pacific/Kiritimati';
+  await repos.users.update(learnerId, { timezone: zone });
+
+  const started = expectStatus(await call('POST', '/api/quiz/start', { token: session.token, body: { lang: 'Spanish', count: 3 } }), 201);
+  assert.equal(started.questions.length, 3);
+  session.quizId = started.sessionId;
+
+  const resumed = expectStatus(await call('GET', `/api/quiz/${started.sessionId}`, { token: session.token }), 200);
+  assert.deepEqual(resumed.questions, started.questions);
+
+  const answers = await Promise.all(started.questions.map(async q => {
+    const stored = await repos.questions.findById(q.id);
+    return { questionId: q.id, answer: stored.answer };
+  }));
+  const graded = expectStatus(await call('POST', '/api/submit', { token: session.token, body: { sessionId: started.sessionId, answers } }), 200);
+  assert.equal(graded.score, 3);
+  const dueOn = async date => (await repos.reviews.dueCounts(learnerId, date)).reduce((sum, r) => sum + r.due, 0);
+  assert.equal(await dueOn(streaks.localDate(new Date(), zone)), 0);
+  assert.equal(await dueOn(streaks.localDate(new Date(Date.now() + 86400000), zone)), 3);
+  assert.ok(graded.xpGained > 0);
+  // Quizzes earn XP but only curriculum lessons count as completed
+  assert.equal(graded.lessonsCompleted, 0);
+
+  const twice = expectStatus(await call('POST', '/api/submit', { token: session.token, body: { sessionId: started.sessionId, answers } }), 409);
+  assert.equal(twice.code, 'SESSION_ALREADY_SUBMITTED');
+  expectStatus(await call('GET', `/api/quiz/${started.sessionId}`, { token: session.token }), 409);
+
+  // Nothing is due yet: answered questions come back tomorrow at the earliest
+  const review = expectStatus(await call('GET', '/api/review/Spanish', { token: session.token }), 200);
+  assert.equal(review.due, 0);
+  expectStatus(await call('POST', '/api/quiz/start', { token: session.token, body: { lang: 'Spanish', mode: 'review' } }), 404);
+  await repos.users.update(learnerId, { timezone });
+});
+
+test('curriculum lessons unlock in order', async () => {
+  const curriculum = expectStatus(await call('GET', '/api/curriculum/Spanish', { token: session.token }), 200);
+  const [first, second] = curriculum.units.flatMap(u => u.lessons);
+  assert.equal(first.locked, false);
+  assert.equal(second.locked, true);
+
+  const lesson = expectStatus(await call('GET', `/api/lessons/${first.id}`, { token: session.token }), 200);
+  assert.ok(lesson.vocabulary.length > 0);
+  assert.ok(lesson.questions.length > 0);
+  const locked = expectStatus(await call('GET', `/api/lessons/${second.id}`, { token: session.token }), 403);
+  assert.equal(locked.code, 'LESSON_LOCKED');
+
+  const done = expectStatus(await call('POST', `/api/lessons/${first.id}/complete`, { token: session.token }), 200);
+  assert.ok(done.xpGained > 0);
+  assert.equal(done.streak, 1);
+  assert.ok(done.newAchievements.some(a => a.code === 'first_lesson'), JSON.stringify(done.newAchievements));
+  const replay = expectStatus(await call('POST', `/api/lessons/${first.id}/complete`, { token: session.token }), 200);
+  assert.equal(replay.alreadyCompleted, true);
+  assert.equal(replay.xp, done.xp);
+
+  expectStatus(await call('POST', '/api/complete-lesson', { token: session.token, body: { lessonId: second.id } }), 200);
+  // A language alone no longer counts as a lesson
+  expectStatus(await call('POST', '/api/complete-lesson', { token: session.token, body: { lang: 'French' } }), 400);
+
+  const after = expectStatus(await call('GET', '/api/curriculum/Spanish', { token: session.token }), 200);
+  assert.equal(after.lessonsCompleted, 2);
+});
+
+test('progress, dashboard, streaks and XP history', async () => {
+  const progress = expectStatus(await call('GET', '/api/progress/me/Spanish', { token: session.token }), 200);
+  assert.equal(progress.lessonsCompleted, 2);
+
+  const dashboard = expectStatus(await call('GET', '/api/dashboard/me', { token: session.token }), 200);
+  assert.equal(dashboard.email, learner.email);
+  assert.equal(dashboard.password, undefined);
+  // Replays, quizzes and the rejected lang-only call above didn't count
+  assert.equal(dashboard.languages.find(l => l.language === 'Spanish').lessonsCompleted, 2);
+  assert.equal(dashboard.progress_spanish, 2);
+  assert.equal(dashboard.progress_french, 0);
+
+  const streak = expectStatus(await call('POST', '/api/update-streak', { token: session.token }), 200);
+  assert.equal(streak.advanced, false);
+  const history = expectStatus(await call('GET', '/api/streak/history?days=7', { token: session.token }), 200);
+  assert.equal(history.currentStreak, 1);
+  assert.equal(history.calendar.length, 1);
+
+  const xp = expectStatus(await call('GET', '/api/xp/history', { token: session.token }), 200);
+  assert.equal(xp.xp, dashboard.xp);
+  assert.ok(xp.entries.length > 0);
+
+  const badges = expectStatus(await call('GET', '/api/achievements', { token: session.token }), 200);
+  assert.ok(badges.earned.length > 0);
+
+  // Other people's data is for admins only
+  expectStatus(await call('GET', `/api/dashboard/${admin.email}`, { token: session.token }), 403);
+  expectStatus(await call('GET', `/api/dashboard/${learner.email}`, { token: admin.token }), 200);
+  expectStatus(await call('GET', `/api/progress/${learner.email}/Spanish`, { token: admin.token }), 200);
+});
+
+test('leaderboard ranks by XP and shows the caller', async () => {
+  const anonymous = expectStatus(await call('GET', '/api/leaderboard'), 200);
+  assert.equal(anonymous.entries[0].name, 'Ana María');
+  assert.equal(anonymous.me, null);
+
+  const mine = expectStatus(await call('GET', '/api/leaderboard?lang=Spanish&window=week', { token: session.token }), 200);
+  assert.equal(mine.me.rank, 1);
+  assert.equal(mine.me.neighbors[0].isMe, true);
+
+  const admins = expectStatus(await call('GET', '/api/leaderboard', { token: admin.token }), 200);
+  assert.equal(admins.me.rank, null);
+});
+
+test('learners follow each other, see a feed and a friends leaderboard', async () => {
+  const { inviteCode } = expectStatus(await call('GET', '/api/friends/invite-code', { token: admin.token }), 200);
+  assert.equal(expectStatus(await call('GET', '/api/friends/invite-code', { token: admin.token }), 200).inviteCode, inviteCode);
+
+  // Codes are accepted in any case and with dashes
+  const typed = `${inviteCode.slice(0, 4)}-${inviteCode.slice(4)}`.toLowerCase();
+  const followed = expectStatus(await call('POST', '/api/follows', { token: session.token, body: { inviteCode: typed } }), 200);
+  assert.equal(followed.user.id, admin.id);
+  assert.equal(followed.user.following, true);
+  expectStatus(await call('POST', '/api/follows', { token: session.token, body: { inviteCode } }), 200);
+  const self = expectStatus(await call('POST', '/api/follows', { token: admin.token, body: { inviteCode } }), 400);
+  assert.equal(self.code, 'CANNOT_FOLLOW_SELF');
+
+  const found = expectStatus(await call('GET', '/api/users/search?q=ana', { token: admin.token }), 200);
+  assert.equal(found.length, 1);
+  assert.equal(found[0].following, false);
+  expectStatus(await call('POST', '/api/follows', { token: admin.token, body: { userId: found[0].id } }), 200);
+
+  const follows = expectStatus(await call('GET', '/api/follows', { token: session.token }), 200);
+  assert.deepEqual(follows.following.map(f => f.name), ['Root']);
+  assert.equal(follows.followers[0].following, true);
+
+  // The learner's lessons and quiz so far are in the admin's feed, newest first
+  const [frenchLesson] = await repos.curriculum.lessons('French');
+  expectStatus(await call('POST', '/api/complete-lesson', { token: admin.token, body: { lessonId: frenchLesson.id } }), 200);
+  const feed = expectStatus(await call('GET', '/api/feed', { token: admin.token }), 200);
+  assert.ok(feed.items.length > 0);
+  assert.ok(feed.items.every(item => item.user.name === 'Ana María'));
+  assert.ok(feed.items.some(item => item.type === 'lesson_completed' && item.data.lessonId));
+  assert.ok(feed.items.some(item => item.type === 'quiz_completed' && item.data.total === 3));
+  assert.equal(feed.nextBefore, null);
+  const firstPage = expectStatus(await call('GET', '/api/feed?limit=1', { token: admin.token }), 200);
+  const secondPage = expectStatus(await call('GET', `/api/feed?limit=1&before=${firstPage.nextBefore}`, { token: admin.token }), 200);
+  assert.deepEqual(secondPage.items, feed.items.slice(1, 2));
+
+  const learnersFeed = expectStatus(await call('GET', '/api/feed', { token: session.token }), 200);
+  assert.equal(learnersFeed.items[0].user.name, 'Root');
+  assert.equal(learnersFeed.items[0].language, 'French');
+
+  const friends = expectStatus(await call('GET', '/api/leaderboard/friends', { token: session.token }), 200);
+  assert.deepEqual(friends.entries.map(e => [e.name, e.isMe]), [['Ana María', true], ['Root', false]]);
+
+  // Private profiles drop out of search; hidden ones off every leaderboard
+  assert.deepEqual(expectStatus(await call('GET', '/api/me/privacy', { token: session.token }), 200), { privateProfile: false, hideFromLeaderboards: false });
+  const privacy = expectStatus(await call('PUT', '/api/me/privacy', { token: session.token, body: { privateProfile: true, hideFromLeaderboards: true } }), 200);
+  assert.equal(privacy.privateProfile, true);
+  assert.deepEqual(expectStatus(await call('GET', '/api/users/search?q=ana', { token: admin.token }), 200), []);
+  const hidden = expectStatus(await call('GET', '/api/leaderboard/friends', { token: admin.token }), 200);
+  assert.deepEqual(hidden.entries.map(e => e.name), ['Root']);
+  assert.ok(expectStatus(await call('GET', '/api/leaderboard'), 200).entries.every(e => e.name !== 'Ana María'));
+  // Existing followers still see the activity
+  assert.ok(expectStatus(await call('GET', '/api/feed', { token: admin.token }), 200).items.length > 0);
+
+  const replaced = expectStatus(await call('POST', '/api/friends/invite-code', { token: admin.token }), 200);
+  assert.notEqual(replaced.inviteCode, inviteCode);
+  expectStatus(await call('POST', '/api/follows', { token: session.token, body: { inviteCode } }), 404);
+
+  expectStatus(await call('DELETE', `/api/follows/${admin.id}`, { token: session.token }), 200);
+  expectStatus(await call('DELETE', `/api/follows/${admin.id}`, { token: session.token }), 404);
+  assert.deepEqual(expectStatus(await call('GET', '/api/feed', { token: session.token }), 200).items, []);
+});
+
+test('admins manage the question bank', async () => {
+  const listed = expectStatus(await call('GET', '/api/admin/questions?lang=Spanish', { token: admin.token }), 200);
+  assert.ok(listed.some(q => q.type === 'multiple_choice' && q.answer !== undefined), 'admins see answers');
+
+  const created = expectStatus(await call('POST', '/api/admin/questions', {
+    token: admin.token,
+    body: { language: 'Spanish', question: "What is 'Dog'?", options: ['Perro', 'Gato'], answer: 'Perro' }
+  }), 201);
+  const invalid = expectStatus(await call('POST', '/api/admin/questions', {
+    token: admin.token,
+    body: { language: 'Spanish', question: "What is 'Cat'?", options: ['Perro', 'Gato'], answer: 'Gata' }
+  }), 400);
+  assert.equal(invalid.code, 'VALIDATION_FAILED');
+
+  const updated = expectStatus(await call('PUT', `/api/admin/questions/${created.id}`, { token: admin.token, body: { hint: 'Woof' } }), 200);
+  assert.equal(updated.hint, 'Woof');
+  expectStatus(await call('DELETE', `/api/admin/questions/${created.id}`, { token: admin.token }), 200);
+  expectStatus(await call('DELETE', `/api/admin/questions/${created.id}`, { token: admin.token }), 404);
+});
+
+test('question packs export and import', async () => {
+  const pack = expectStatus(await call('GET', '/api/admin/packs/export/French?format=json', { token: admin.token }), 200);
+  assert.ok(pack.questions.length > 0);
+
+  const dryRun = expectStatus(await call('POST', '/api/admin/packs/import', {
+    token: admin.token,
+    rawBody: JSON.stringify({ ...pack, questions: [...pack.questions, { question: "What is 'Cheese'?", options: ['Fromage', 'Pain'], answer: 'Fromage' }] })
+  }), 200);
+  assert.equal(dryRun.summary.duplicate, pack.questions.length);
+  assert.equal(dryRun.summary.new, 1);
+
+  const before = (await repos.questions.list({ language: 'French' })).length;
+  const imported = expectStatus(await call('POST', '/api/admin/packs/import?commit=true', {
+    token: admin.token,
+    rawBody: JSON.stringify({ language: 'French', questions: [{ question: "What is 'Cheese'?", options: ['Fromage', 'Pain'], answer: 'Fromage' }] })
+  }), 201);
+  assert.equal(imported.imported, 1);
+  assert.equal((await repos.questions.list({ language: 'French' })).length, before + 1);
+
+  // An entity that isn't a character is kept as written, not a 500
+  const anki = expectStatus(await call('POST', '/api/admin/packs/import?format=anki&lang=French', {
+    token: admin.token,
+    headers: { 'content-type': 'text/plain' },
+    rawBody: 'Bonjour &#99999999; &#x41;\tHello\n'
+  }), 200);
+  assert.equal(anki.rows[0].question, 'Bonjour &#99999999; A');
+
+  // Packs over the default 100kb JSON limit still fit the upload limit
+  const questions = Array.from({ length: 1000 }, (_, i) => ({
+    question: `What is 'Word ${i}'? ${'·'.repeat(100)}`, options: ['Oui', 'Non'], answer: 'Oui'
+  }));
+  const bigPack = JSON.stringify({ language: 'French', questions });
+  assert.ok(bigPack.length > 100 * 1024);
+  const big = expectStatus(await call('POST', '/api/admin/packs/import', { token: admin.token, rawBody: bigPack }), 200);
+  assert.equal(big.summary.new, questions.length);
+
+  // A small .apkg can't declare a collection too big to inflate
+  const bomb = new AdmZip();
+  bomb.addFile('collection.anki21', Buffer.alloc(65 * 1024 * 1024));
+  const refused = expectStatus(await call('POST', '/api/admin/packs/import?format=apkg', {
+    token: admin.token,
+    headers: { 'content-type': 'application/zip' },
+    rawBody: bomb.toBuffer()
+  }), 400);
+  assert.match(refused.message, /larger than/);
+});
+
+test('admins audit XP and auth events', async () => {
+  const { id } = await repos.users.findByEmail(learner.email);
+  const audit = expectStatus(await call('GET', `/api/admin/users/${id}/xp-audit`, { token: admin.token }), 200);
+  assert.equal(audit.consistent, true);
+
+  await repos.users.update(id, { xp: 1 });
+  const recomputed = expectStatus(await call('POST', `/api/admin/users/${id}/xp-recompute`, { token: admin.token }), 200);
+  assert.equal(recomputed.xp, audit.ledgerXP);
+
+  const failures = expectStatus(await call('GET', `/api/admin/auth-events?event=login_failure&email=${learner.email}`, { token: admin.token }), 200);
+  assert.equal(failures.events.length, 1);
+  const all = expectStatus(await call('GET', '/api/admin/auth-events?limit=5', { token: admin.token }), 200);
+  assert.equal(all.events.length, 5);
+});
+
+test('deleting the account removes the user and their data', async () => {
+  const { id } = await repos.users.findByEmail(learner.email);
+  expectStatus(await call('DELETE', '/api/account', { token: session.token, body: { password: 'wrong-password-1' } }), 401);
+  expectStatus(await call('DELETE', '/api/account', { token: session.token, body: { password: learner.password } }), 200);
+
+  assert.equal(await repos.users.findById(id), null);
+  assert.equal(await repos.xp.total(id), 0);
+  expectStatus(await call('POST', '/api/login', { body: { email: learner.email, password: learner.password } }), 401);
+  expectStatus(await call('GET', '/api/profile', { token: session.token }), 404);
+
+  const board = expectStatus(await call('GET', '/api/leaderboard'), 200);
+  assert.ok(board.entries.every(e => e.name !== 'Ana María'));
+});
+
+test('every documented operation succeeded at least once', async () => {
+  const spec = (await server.request('GET', '/api/openapi.json')).body;
+  const operations = Object.entries(spec.paths).flatMap(([path, ops]) => Object.keys(ops).map(m => `${m.toUpperCase()} ${path}`));
+  assert.deepEqual(operations.filter(op => !succeeded.has(op)), []);
+});
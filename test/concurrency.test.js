@@ -0,0 +1,226 @@
+// test/concurrency.test.js — XP, streaks and progress under concurrent requests
+//
+// Fires overlapping requests for one learner at the in-memory storage and
+// checks the totals afterwards: users.xp equals the XP ledger, the level
+// matches the XP, per-language progress adds up, and neither a quiz nor an
+// Idempotency-Key retry is ever paid twice, and that a burst of parallel
+// logins can't get past the login throttle.
+//
+// The in-memory transaction() is one global lock and ignores `forUpdate`, so
+// these tests prove the handlers do their work inside transactions, not that
+// the MySQL repositories take the right row locks; that needs a MySQL run. Storage calls are made to yield,
+// as a database round trip would, so the requests really interleave.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+
+process.env.STORAGE = 'memory';
+process.env.JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+const app = require('../server');
+const authTokens = require('../lib/auth-tokens');
+const bcrypt = require('bcrypt');
+const streaks = require('../lib/streak');
+const loginThrottle = require('../lib/login-throttle');
+const { levelFor } = require('../lib/leveling');
+const { startServer } = require('./helpers/http');
+
+const repos = app.locals.repos;
+const PARALLEL = 20;
+
+let server;
+let userId;
+let token;
+
+const post = (url, options = {}) => server.request('POST', url, { token, ...options });
+
+function statuses(results) {
+  return results.map(r => r.response.status).sort();
+}
+
+async function firstLesson(lang) {
+  return { lessonId: (await repos.curriculum.lessons(lang))[0].id };
+}
+
+async function ledger() {
+  return repos.xp.history(userId, 10000);
+}
+
+// The invariants every test ends with
+async function assertConsistent() {
+  const user = await repos.users.findById(userId);
+  const entries = await ledger();
+  assert.equal(user.xp, entries.reduce((sum, e) => sum + e.amount, 0), 'users.xp matches the ledger');
+  assert.equal(user.level, levelFor(user.xp).level);
+
+  for (const row of await repos.progress.byLanguage(userId)) {
+    const earned = entries.filter(e => e.language === row.language).reduce((sum, e) => sum + e.amount, 0);
+    assert.equal(row.xp_earned, earned, `${row.language} progress matches the ledger`);
+  }
+  return { user, entries };
+}
+
+// Let other requests run between any two storage calls
+function yieldOnEveryCall(repositories) {
+  for (const namespace of Object.values(repositories)) {
+    if (!namespace || typeof namespace !== 'object') continue;
+    for (const [name, fn] of Object.entries(namespace)) {
+      if (typeof fn !== 'function') continue;
+      namespace[name] = async (...args) => {
+        await new Promise(resolve => setImmediate(resolve));
+        return fn(...args);
+      };
+    }
+  }
+}
+
+before(async () => {
+  yieldOnEveryCall(repos);
+  server = await startServer(app);
+  userId = await repos.users.create({ name: 'Race', email: 'race@example.com', password: 'unused', learning_lang: 'Spanish', timezone: 'UTC' });
+  // Active yesterday, so today's first activity extends the streak and earns a bonus
+  const yesterday = streaks.localDate(new Date(Date.now() - 24 * 60 * 60 * 1000), 'UTC');
+  await repos.users.update(userId, { streak: 3, longest_streak: 3, last_active: yesterday });
+  token = authTokens.signAccessToken(await repos.users.findById(userId), process.env.JWT_SECRET);
+});
+
+after(() => server.close());
+
+test('concurrent lesson completions count each lesson once, with one streak bonus', async () => {
+  const lessons = [await firstLesson('French'), await firstLesson('Korean')];
+  const results = await Promise.all(Array.from({ length: PARALLEL }, (_, i) => post('/api/complete-lesson', { body: lessons[i % 2] })));
+  assert.deepEqual(statuses(results), Array(PARALLEL).fill(200));
+  assert.equal(results.filter(r => r.body.alreadyCompleted).length, PARALLEL - 2);
+
+  const { user, entries } = await assertConsistent();
+  assert.equal(entries.filter(e => e.activity === 'lesson_complete').length, 2);
+  assert.equal(entries.filter(e => e.activity === 'streak_bonus').length, 1);
+  assert.equal(user.streak, 4);
+
+  const french = await repos.progress.get(userId, 'French');
+  assert.equal(french.lessons_completed, 1);
+  // Each response saw the total after its own award, so the highest is the final one
+  assert.equal(Math.max(...results.map(r => r.body.xp)), user.xp);
+});
+
+test('a quiz session is graded once however often it is submitted', async () => {
+  const started = await post('/api/quiz/start', { body: { lang: 'Spanish', count: 3 } });
+  assert.equal(started.response.status, 201, JSON.stringify(started.body));
+  const answers = await Promise.all(started.body.questions.map(async q => ({ questionId: q.id, answer: (await repos.questions.findById(q.id)).answer })));
+
+  const body = { sessionId: started.body.sessionId, answers };
+  const results = await Promise.all(Array.from({ length: 5 }, () => post('/api/submit', { body })));
+  assert.deepEqual(statuses(results), [200, 409, 409, 409, 409]);
+  assert.ok(results.filter(r => r.response.status === 409).every(r => r.body.code === 'SESSION_ALREADY_SUBMITTED'));
+
+  const { entries } = await assertConsistent();
+  const paid = entries.filter(e => e.ref === `quiz:${body.sessionId}`);
+  assert.equal(paid.reduce((sum, e) => sum + e.amount, 0), results.find(r => r.response.status === 200).body.xpGained);
+  // Quizzes earn XP but don't count as lessons
+  assert.equal((await repos.progress.get(userId, 'Spanish')).lessons_completed, 0);
+});
+
+test('retries with the same Idempotency-Key award XP once', async () => {
+  const before = await repos.users.findById(userId);
+  const headers = { 'idempotency-key': crypto.randomUUID() };
+  const body = await firstLesson('Hindi');
+  const send = () => post('/api/complete-lesson', { body, headers });
+
+  const results = await Promise.all(Array.from({ length: 5 }, send));
+  // The first runs; the rest either wait it out and replay it or are told it is still running
+  const first = results.find(r => r.response.status === 200 && !r.response.headers.get('idempotent-replayed'));
+  assert.ok(first);
+  for (const r of results.filter(r => r !== first)) {
+    if (r.response.status === 409) assert.equal(r.body.code, 'REQUEST_IN_PROGRESS');
+    else assert.deepEqual(r.body, first.body);
+  }
+
+  const replay = await send();
+  assert.equal(replay.response.status, 200);
+  assert.equal(replay.response.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(replay.body, first.body);
+
+  const reused = await post('/api/complete-lesson', { body: await firstLesson('Tamil'), headers });
+  assert.equal(reused.response.status, 422);
+  assert.equal(reused.body.code, 'IDEMPOTENCY_KEY_REUSED');
+
+  const { user } = await assertConsistent();
+  assert.equal(user.xp, before.xp + first.body.xpGained);
+  assert.equal((await repos.progress.get(userId, 'Hindi')).lessons_completed, 1);
+
+  const invalid = await post('/api/complete-lesson', { body, headers: { 'idempotency-key': 'has spaces' } });
+  assert.equal(invalid.response.status, 400);
+  assert.equal(invalid.body.code, 'VALIDATION_FAILED');
+});
+
+test('a key left in progress by a crashed request frees up when its lease runs out', async () => {
+  const key = crypto.randomUUID();
+  const body = await firstLesson('Kannada');
+  // As a request that died mid-way would leave it
+  await repos.idempotencyKeys.claim(userId, key, { requestHash: 'crashed', expiresAt: new Date(Date.now() - 1000) });
+
+  const retried = await post('/api/complete-lesson', { body, headers: { 'idempotency-key': key } });
+  assert.equal(retried.response.status, 200);
+  assert.equal(retried.body.alreadyCompleted, undefined);
+  assert.equal(retried.response.headers.get('idempotent-replayed'), null);
+  await assertConsistent();
+});
+
+test('a failure part-way through leaves nothing behind', async () => {
+  const before = await repos.users.findById(userId);
+  const entriesBefore = (await ledger()).length;
+  const headers = { 'idempotency-key': crypto.randomUUID() };
+  const body = await firstLesson('Urdu');
+
+  // Progress is written after the XP award; fail it once
+  const add = repos.progress.add;
+  repos.progress.add = async () => {
+    repos.progress.add = add;
+    throw new Error('disk full');
+  };
+  const originalError = console.error;
+  console.error = () => {};
+  let failed;
+  try {
+    failed = await post('/api/complete-lesson', { body, headers });
+  } finally {
+    console.error = originalError;
+    repos.progress.add = add;
+  }
+  assert.equal(failed.response.status, 500);
+
+  const { user, entries } = await assertConsistent();
+  assert.equal(user.xp, before.xp);
+  assert.equal(entries.length, entriesBefore);
+  assert.equal(await repos.progress.get(userId, 'Urdu'), null);
+
+  // A 5xx isn't stored, so the same key can be retried
+  const retried = await post('/api/complete-lesson', { body, headers });
+  assert.equal(retried.response.status, 200);
+  assert.equal(retried.response.headers.get('idempotent-replayed'), null);
+  await assertConsistent();
+});
+
+test('a burst of parallel wrong passwords is throttled like a sequence', async () => {
+  const email = 'burst@example.com';
+  await repos.users.create({ name: 'Burst', email, password: await bcrypt.hash('right-password', 10), learning_lang: 'Spanish', timezone: 'UTC' });
+  const login = (address, password = 'wrong-password') => post('/api/login', { token: null, body: { email: address, password } });
+
+  try {
+    // One account: only the attempts before the first delay get a password check
+    const results = await Promise.all(Array.from({ length: 60 }, () => login(email)));
+    const checked = results.filter(r => r.response.status === 401).length;
+    assert.ok(checked >= 1 && checked <= loginThrottle.POLICY.delayAfter, `${checked} passwords were checked`);
+    assert.equal(results.filter(r => r.response.status === 429).length, 60 - checked);
+    assert.equal((await login(email, 'right-password')).response.status, 429);
+
+    // Many accounts from one IP: the IP cap holds
+    const spread = await Promise.all(Array.from({ length: 60 }, (_, i) => login(`nobody${i}@example.com`)));
+    const spreadChecked = spread.filter(r => r.response.status === 401).length;
+    assert.ok(spreadChecked + checked <= loginThrottle.POLICY.maxIpFailures, `${spreadChecked} more passwords were checked`);
+    assert.ok(spread.filter(r => r.response.status === 429).every(r => r.body.code === 'RATE_LIMITED'));
+  } finally {
+    loginThrottle.setStore(loginThrottle.createMemoryStore());
+  }
+});
@@ -0,0 +1,316 @@
+// test/duels.test.js — live duels, played by two simulated clients
+//
+// Each test connects real WebSocket clients (test/helpers/duel-client.js) to
+// the app on a free port, with the in-memory storage and short timers, and
+// plays a duel through: matchmaking or a room code, answers, the timer,
+// dropping out and coming back, and the XP both players get at the end.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const net = require('node:net');
+
+process.env.STORAGE = 'memory';
+process.env.JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+const app = require('../server');
+const authTokens = require('../lib/auth-tokens');
+const { rowToQuestion } = require('../lib/questions');
+const { gradeAnswers } = require('../lib/quiz');
+const { startServer } = require('./helpers/http');
+const { connectDuelClient } = require('./helpers/duel-client');
+const { createArena } = require('../lib/duels');
+
+const repos = app.locals.repos;
+const players = {};
+
+let server;
+let duelSocket;
+
+const connect = name => connectDuelClient(server.baseUrl, players[name].token);
+
+async function correctAnswer(questionId) {
+  const question = rowToQuestion(await repos.questions.findById(questionId));
+  return gradeAnswers([question], []).results[0].correctAnswer;
+}
+
+// The same question reaches both clients; resolves it
+async function bothGet(a, b, index) {
+  const [forA, forB] = await Promise.all([a.next('question'), b.next('question')]);
+  assert.equal(forA.index, index);
+  assert.deepEqual(forB.question, forA.question);
+  return forA.question;
+}
+
+async function answer(client, index, question, correct = true) {
+  client.send({ type: 'answer', index, answer: correct ? await correctAnswer(question.id) : null });
+  const answered = await client.next('answered');
+  assert.equal(answered.correct, correct);
+}
+
+async function assertXPConsistent(userId) {
+  const user = await repos.users.findById(userId);
+  assert.equal(user.xp, await repos.xp.total(userId));
+}
+
+before(async () => {
+  for (const name of ['Asha', 'Bruno', 'Chen']) {
+    const id = await repos.users.create({ name, email: `${name.toLowerCase()}@example.com`, password: 'unused', learning_lang: 'Spanish', timezone: 'UTC' });
+    players[name] = { id, token: authTokens.signAccessToken(await repos.users.findById(id), process.env.JWT_SECRET) };
+  }
+  Object.assign(app.locals.duels.settings, {
+    questionCount: 3,
+    questionTimeMs: 1000,
+    startDelayMs: 20,
+    revealMs: 20,
+    reconnectGraceMs: 300
+  });
+  server = await startServer(app);
+  duelSocket = app.locals.attachDuels(server.server);
+});
+
+after(async () => {
+  await duelSocket.close();
+  await server.close();
+});
+
+test('matchmaking pairs two learners who race the same questions', async () => {
+  const asha = await connect('Asha');
+  const bruno = await connect('Bruno');
+
+  asha.send({ type: 'queue', language: 'Spanish' });
+  await asha.next('queued');
+  bruno.send({ type: 'queue', language: 'Spanish' });
+  const [matchedA, matchedB] = await Promise.all([asha.next('matched'), bruno.next('matched')]);
+  assert.equal(matchedA.duelId, matchedB.duelId);
+  assert.equal(matchedA.opponent.name, 'Bruno');
+  assert.equal(matchedB.opponent.name, 'Asha');
+  assert.equal(matchedA.questionCount, 3);
+
+  // 1: Asha right, Bruno wrong; scores reach both as they change
+  let question = await bothGet(asha, bruno, 0);
+  await answer(asha, 0, question);
+  const live = await bruno.next('scores');
+  assert.deepEqual(live.scores.map(s => [s.name, s.score, s.answered]), [['Asha', 1, true], ['Bruno', 0, false]]);
+  asha.send({ type: 'answer', index: 0, answer: 'again' });
+  assert.equal((await asha.next('error')).code, 'ALREADY_ANSWERED');
+  await answer(bruno, 0, question, false);
+  const revealed = await bruno.next('question_end');
+  assert.deepEqual(revealed.correctAnswer, await correctAnswer(question.id));
+
+  // 2: Bruno runs out of time
+  question = await bothGet(asha, bruno, 1);
+  await answer(asha, 1, question);
+  const timedOut = await bruno.next('question_end');
+  assert.equal(timedOut.index, 1);
+  assert.equal(timedOut.scores.find(s => s.name === 'Bruno').answered, false);
+
+  // 3: both right
+  question = await bothGet(asha, bruno, 2);
+  await answer(asha, 2, question);
+  await answer(bruno, 2, question);
+
+  const [won, lost] = await Promise.all([asha.next('finished'), bruno.next('finished')]);
+  assert.equal(won.outcome, 'win');
+  assert.equal(lost.outcome, 'loss');
+  assert.equal(won.forfeit, false);
+  assert.deepEqual(won.award.xpBreakdown.map(e => e.activity), ['duel_correct_answer', 'duel_win_bonus']);
+  assert.equal(won.award.xpGained, 3 * 10 + 25);
+  assert.equal(lost.award.xpGained, 10);
+
+  const ledger = await repos.xp.history(players.Asha.id, 10);
+  assert.ok(ledger.every(e => e.ref === `duel:${won.duelId}` && e.language === 'Spanish'));
+  assert.equal((await repos.progress.get(players.Asha.id, 'Spanish')).xp_earned, won.award.xpGained);
+  await assertXPConsistent(players.Asha.id);
+  await assertXPConsistent(players.Bruno.id);
+
+  await Promise.all([asha.close(), bruno.close()]);
+});
+
+test('a friend joins by room code, and a dropped player picks up where they were', async () => {
+  const asha = await connect('Asha');
+  let bruno = await connect('Bruno');
+
+  asha.send({ type: 'create', language: 'French' });
+  const { code } = await asha.next('room');
+  bruno.send({ type: 'join', code: code.toLowerCase() });
+  await Promise.all([asha.next('matched'), bruno.next('matched')]);
+
+  asha.send({ type: 'create', language: 'French' });
+  assert.equal((await asha.next('error')).code, 'ALREADY_PLAYING');
+
+  let question = await bothGet(asha, bruno, 0);
+  await answer(asha, 0, question);
+  await answer(bruno, 0, question);
+
+  question = await bothGet(asha, bruno, 1);
+  await bruno.close();
+  const left = await asha.next('opponent_left');
+  assert.equal(left.reconnectWithinMs, 300);
+
+  bruno = await connect('Bruno');
+  const resumed = await bruno.next('resumed');
+  assert.equal(resumed.phase, 'question');
+  assert.equal(resumed.index, 1);
+  assert.deepEqual(resumed.question, question);
+  assert.ok(resumed.timeLeftMs > 0);
+  assert.equal(resumed.scores.find(s => s.name === 'Bruno').score, 1);
+  await asha.next('opponent_back');
+
+  await answer(asha, 1, question);
+  await answer(bruno, 1, question);
+  question = await bothGet(asha, bruno, 2);
+  await answer(asha, 2, question);
+  await answer(bruno, 2, question);
+
+  const [forAsha, forBruno] = await Promise.all([asha.next('finished'), bruno.next('finished')]);
+  assert.equal(forAsha.outcome, 'draw');
+  assert.equal(forBruno.outcome, 'draw');
+  assert.equal(forBruno.award.xpGained, 3 * 10 + 10);
+  await assertXPConsistent(players.Bruno.id);
+
+  await Promise.all([asha.close(), bruno.close()]);
+});
+
+test('a player who stays away forfeits and the opponent wins', async () => {
+  const asha = await connect('Asha');
+  const chen = await connect('Chen');
+
+  chen.send({ type: 'queue', language: 'Spanish' });
+  await chen.next('queued');
+  asha.send({ type: 'queue', language: 'Spanish' });
+  await Promise.all([asha.next('matched'), chen.next('matched')]);
+  await chen.close();
+
+  const result = await asha.next('finished');
+  assert.equal(result.outcome, 'win');
+  assert.equal(result.forfeit, true);
+  assert.equal(result.award.xpGained, 25);
+  await assertXPConsistent(players.Asha.id);
+
+  // Free to play again straight away
+  asha.send({ type: 'queue', language: 'Spanish' });
+  await asha.next('queued');
+  asha.send({ type: 'leave' });
+  await asha.next('left');
+  await asha.close();
+});
+
+test('leaving before the first question cancels the duel without XP', async () => {
+  const settings = app.locals.duels.settings;
+  const { startDelayMs } = settings;
+  settings.startDelayMs = 5000;
+  const xpBefore = (await repos.users.findById(players.Asha.id)).xp;
+  const asha = await connect('Asha');
+  const bruno = await connect('Bruno');
+  try {
+    asha.send({ type: 'create', language: 'Spanish' });
+    const { code } = await asha.next('room');
+    bruno.send({ type: 'join', code });
+    const [matched] = await Promise.all([asha.next('matched'), bruno.next('matched')]);
+
+    bruno.send({ type: 'leave' });
+    await bruno.next('left');
+    const cancelled = await asha.next('cancelled');
+    assert.equal(cancelled.duelId, matched.duelId);
+    assert.equal((await repos.users.findById(players.Asha.id)).xp, xpBefore);
+
+    // Both are free again
+    asha.send({ type: 'queue', language: 'Spanish' });
+    await asha.next('queued');
+    asha.send({ type: 'leave' });
+    await asha.next('left');
+  } finally {
+    settings.startDelayMs = startDelayMs;
+    await Promise.all([asha.close(), bruno.close()]);
+  }
+});
+
+test('leaving while the questions load tells both players', async () => {
+  let release;
+  let loading;
+  const picking = new Promise(resolve => { loading = resolve; });
+  const pickQuestions = () => new Promise(resolve => {
+    release = resolve;
+    loading();
+  });
+  const finish = async () => assert.fail('no XP for a duel that never started');
+  const arena = createArena({ languageExists: async () => true, pickQuestions, finish });
+  const inbox = { 1: [], 2: [] };
+  const link = id => ({ send: message => inbox[id].push(message), close() {} });
+  const first = arena.connect({ id: 1, name: 'One' }, link(1));
+  const second = arena.connect({ id: 2, name: 'Two' }, link(2));
+
+  await first.receive({ type: 'queue', language: 'Spanish' });
+  const starting = second.receive({ type: 'queue', language: 'Spanish' });
+  await picking;
+  await first.receive({ type: 'leave' });
+  release([]);
+  await starting;
+
+  assert.deepEqual(inbox[1].map(m => m.type), ['queued', 'left']);
+  assert.deepEqual(inbox[2].map(m => m.type), ['cancelled']);
+  arena.close();
+});
+
+test('bad requests are refused', async () => {
+  await assert.rejects(connectDuelClient(server.baseUrl), { status: 401 });
+  await assert.rejects(connectDuelClient(server.baseUrl, 'not-a-token'), { status: 401 });
+
+  const asha = await connect('Asha');
+  asha.send({ type: 'join', code: 'NOPE42' });
+  assert.equal((await asha.next('error')).code, 'ROOM_NOT_FOUND');
+  asha.send({ type: 'queue', language: 'Klingon' });
+  assert.equal((await asha.next('error')).code, 'UNSUPPORTED_LANGUAGE');
+  asha.send({ type: 'answer', index: 0, answer: 'hola' });
+  assert.equal((await asha.next('error')).code, 'NOT_IN_DUEL');
+  asha.send({ type: 'dance' });
+  assert.equal((await asha.next('error')).code, 'BAD_MESSAGE');
+
+  // Only the newest connection per user stays open
+  const again = await connect('Asha');
+  const replaced = await asha.closed;
+  assert.equal(replaced.code, 4000);
+  await again.close();
+});
+
+test('clients that reset the connection mid-upgrade do not take the server down', async () => {
+  const gone = authTokens.signAccessToken({ id: 999999, email: 'gone@example.com' }, process.env.JWT_SECRET);
+  const { port } = server.server.address();
+
+  // Hold authentication open so every reset lands while it is pending
+  const findById = repos.users.findById;
+  repos.users.findById = async (...args) => {
+    await new Promise(resolve => setTimeout(resolve, 30));
+    return findById(...args);
+  };
+  try {
+    const resets = [];
+    for (const token of [gone, players.Asha.token, 'not-a-token']) {
+      for (let i = 0; i < 10; i++) {
+        resets.push(new Promise(resolve => {
+          const socket = net.connect(port, 'localhost', () => {
+            socket.write(
+              `GET /ws/duels?token=${token} HTTP/1.1\r\nHost: localhost\r\nConnection: Upgrade\r\nUpgrade: websocket\r\n` +
+              `Sec-WebSocket-Version: 13\r\nSec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}\r\n\r\n`,
+              () => socket.resetAndDestroy()
+            );
+          });
+          socket.on('error', () => {});
+          socket.on('close', resolve);
+        }));
+      }
+    }
+    await Promise.all(resets);
+    await new Promise(resolve => setTimeout(resolve, 100));
+  } finally {
+    repos.users.findById = findById;
+  }
+
+  const asha = await connect('Asha');
+  asha.send({ type: 'queue', language: 'Spanish' });
+  await asha.next('queued');
+  asha.send({ type: 'leave' });
+  await asha.next('left');
+  await asha.close();
+});
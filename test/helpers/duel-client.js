@@ -0,0 +1,65 @@
+// test/helpers/duel-client.js — a scripted duel player over a real WebSocket
+
+const WebSocket = require('ws');
+
+const WAIT_MS = 5000;
+
+/**
+ * Connects to the duel socket as the holder of `token` and resolves
+ * `{ send, next, close, received }`. `next(type)` resolves the oldest
+ * message of that type not yet taken (waiting for it if need be), so a test
+ * reads the conversation in order without racing the server.
+ */
+function connectDuelClient(baseUrl, token) {
+  const url = `${baseUrl.replace(/^http/, 'ws')}/ws/duels${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+  const ws = new WebSocket(url);
+  const received = [];
+  const pending = [];
+  const closed = new Promise(resolve => ws.once('close', (code, reason) => resolve({ code, reason: String(reason) })));
+
+  ws.on('message', data => {
+    const message = JSON.parse(data);
+    received.push(message);
+    const waiter = pending.find(w => w.type === message.type);
+    if (waiter) {
+      pending.splice(pending.indexOf(waiter), 1);
+      message.taken = true;
+      clearTimeout(waiter.timer);
+      waiter.resolve(message);
+    }
+  });
+
+  function next(type, { timeoutMs = WAIT_MS } = {}) {
+    const ready = received.find(m => m.type === type && !m.taken);
+    if (ready) {
+      ready.taken = true;
+      return Promise.resolve(ready);
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { type, resolve };
+      waiter.timer = setTimeout(() => {
+        pending.splice(pending.indexOf(waiter), 1);
+        reject(new Error(`no "${type}" message within ${timeoutMs}ms; got ${received.map(m => m.type).join(', ')}`));
+      }, timeoutMs);
+      pending.push(waiter);
+    });
+  }
+
+  const send = message => ws.send(JSON.stringify(message));
+
+  function close() {
+    ws.close();
+    return closed;
+  }
+
+  return new Promise((resolve, reject) => {
+    ws.once('open', () => resolve({ send, next, close, closed, received }));
+    ws.once('unexpected-response', (req, res) => {
+      req.destroy();
+      reject(Object.assign(new Error(`HTTP ${res.statusCode}`), { status: res.statusCode }));
+    });
+    ws.once('error', reject);
+  });
+}
+
+module.exports = { connectDuelClient };
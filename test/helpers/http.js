@@ -0,0 +1,33 @@
+// test/helpers/http.js — run the app on a free port and call it with fetch
+
+/**
+ * Resolves `{ baseUrl, server, request, close }`. `request(method, url, { token, body, rawBody,
+ * headers })` sends `body` as JSON (or `rawBody` as is) and resolves
+ * `{ response, body }`, with JSON responses parsed and others as text.
+ */
+async function startServer(app) {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://localhost:${server.address().port}`;
+
+  async function request(method, url, { token, body, rawBody, headers = {} } = {}) {
+    const sent = { ...headers };
+    if (token) sent.authorization = `Bearer ${token}`;
+    if (body !== undefined || (rawBody !== undefined && !sent['content-type'])) sent['content-type'] = 'application/json';
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: sent,
+      body: rawBody !== undefined ? rawBody : body === undefined ? undefined : JSON.stringify(body)
+    });
+    const isJSON = (response.headers.get('content-type') || '').startsWith('application/json');
+    return { response, body: isJSON ? await response.json() : await response.text() };
+  }
+
+  function close() {
+    return new Promise(resolve => server.close(resolve));
+  }
+
+  return { baseUrl, server, request, close };
+}
+
+module.exports = { startServer };
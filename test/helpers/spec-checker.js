@@ -0,0 +1,57 @@
+// test/helpers/spec-checker.js — checks live responses against the OpenAPI document
+
+const assert = require('node:assert/strict');
+const Ajv = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+
+// JSON Pointer escaping for a path segment
+const pointer = s => s.replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * `check(method, url, response, body)` asserts that the status is documented
+ * for the operation `url` matches and that the JSON body fits its schema.
+ * Literal paths win over templated ones (`/dashboard/me` before `/{email}`).
+ */
+function createSpecChecker(spec) {
+  const ajv = new Ajv({ strict: false, allErrors: true });
+  addFormats(ajv);
+  ajv.addSchema(spec, 'openapi.json');
+
+  const templates = Object.keys(spec.paths)
+    .map(path => ({
+      path,
+      params: (path.match(/\{/g) || []).length,
+      regex: new RegExp(`^${path.replace(/\{\w+\}/g, '[^/]+')}$`)
+    }))
+    .sort((a, b) => a.params - b.params);
+
+  function findOperation(method, url) {
+    const pathname = new URL(url, 'http://localhost').pathname;
+    const match = templates.find(t => t.regex.test(pathname) && spec.paths[t.path][method.toLowerCase()]);
+    return match ? { path: match.path, operation: spec.paths[match.path][method.toLowerCase()] } : null;
+  }
+
+  function schemaFor(path, method, status) {
+    return ajv.getSchema(
+      `openapi.json#/paths/${pointer(path)}/${method.toLowerCase()}/responses/${status}/content/application~1json/schema`
+    );
+  }
+
+  function check(method, url, response, body) {
+    const found = findOperation(method, url);
+    assert.ok(found, `${method} ${url} is not in the OpenAPI document`);
+
+    const { path, operation } = found;
+    const label = `${method} ${path} → ${response.status}`;
+    assert.ok(operation.responses[response.status], `${label} is not a documented status`);
+
+    if (!(response.headers.get('content-type') || '').startsWith('application/json')) return;
+    const validateBody = schemaFor(path, method, response.status);
+    assert.ok(validateBody, `${label} has no JSON schema`);
+    assert.ok(validateBody(body), `${label} does not match the spec: ${ajv.errorsText(validateBody.errors)}\n${JSON.stringify(body)}`);
+  }
+
+  return { check, findOperation, schemaFor };
+}
+
+module.exports = { createSpecChecker };
@@ -0,0 +1,17 @@
+// test/mailer.test.js — picking the mail transport from the environment
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveTransportName } = require('../lib/mailer');
+
+test('the console transport is the default outside production', () => {
+  assert.equal(resolveTransportName({}), 'console');
+  assert.equal(resolveTransportName({ MAIL_TRANSPORT: 'file' }), 'file');
+});
+
+test('production never mails reset links to the console', () => {
+  assert.throws(() => resolveTransportName({ NODE_ENV: 'production' }), /MAIL_TRANSPORT/);
+  assert.throws(() => resolveTransportName({ NODE_ENV: 'production', MAIL_TRANSPORT: 'console' }), /MAIL_TRANSPORT/);
+  assert.equal(resolveTransportName({ NODE_ENV: 'production', MAIL_TRANSPORT: 'file' }), 'file');
+});
@@ -0,0 +1,155 @@
+// test/openapi.test.js — the OpenAPI document covers every route and matches
+// what the routes actually send
+//
+// Only responses that need no database are exercised here: auth failures,
+// validation failures, health checks and the static endpoints.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+const app = require('../server');
+const { SCHEMAS } = require('../lib/api-schemas');
+const { listRoutes, undocumentedRoutes } = require('../lib/openapi');
+const authTokens = require('../lib/auth-tokens');
+const { createSpecChecker } = require('./helpers/spec-checker');
+const { startServer } = require('./helpers/http');
+
+let server;
+let request;
+let spec;
+let checker;
+
+const learnerToken = authTokens.signAccessToken({ id: 1, email: 'learner@example.com', role: 'learner' }, process.env.JWT_SECRET);
+
+// Request `url`, then check the response against the spec
+async function expectDocumented(method, url, options) {
+  const result = await request(method, url, options);
+  checker.check(method, url, result.response, result.body);
+  return result;
+}
+
+// A concrete URL for a templated path
+function sampleUrl(path, operation) {
+  return path.replace(/\{(\w+)\}/g, (_, name) => {
+    const param = operation.parameters.find(p => p.in === 'path' && p.name === name);
+    if (param.schema.format === 'uuid') return crypto.randomUUID();
+    if (param.schema.type === 'integer') return '1';
+    return 'Spanish';
+  });
+}
+
+function operations() {
+  return Object.entries(spec.paths).flatMap(([path, ops]) =>
+    Object.entries(ops).map(([method, operation]) => ({ path, method: method.toUpperCase(), operation }))
+  );
+}
+
+before(async () => {
+  server = await startServer(app);
+  request = server.request;
+  spec = (await request('GET', '/api/openapi.json')).body;
+  checker = createSpecChecker(spec);
+});
+
+after(() => server.close());
+
+test('every route is in the document', () => {
+  assert.deepEqual(undocumentedRoutes(app), []);
+
+  const documented = operations().map(o => `${o.method} ${o.path}`).sort();
+  const registered = listRoutes(app)
+    .map(r => `${r.method.toUpperCase()} ${r.path.replace(/:(\w+)/g, '{$1}')}`)
+    .sort();
+  assert.deepEqual(documented, registered);
+});
+
+test('every schema entry belongs to a route', () => {
+  const used = new Set(listRoutes(app).flatMap(r => r.handles.map(h => h.apiSchemas).filter(Boolean)));
+  const unused = Object.entries(SCHEMAS).filter(([, entry]) => !used.has(entry)).map(([name]) => name);
+  assert.deepEqual(unused, []);
+});
+
+test('every operation has a summary, a success response and compiling schemas', () => {
+  const ids = new Set();
+  for (const { path, method, operation } of operations()) {
+    const label = `${method} ${path}`;
+    assert.ok(operation.summary, `${label} has no summary`);
+    assert.ok(!ids.has(operation.operationId), `${label} repeats operationId ${operation.operationId}`);
+    ids.add(operation.operationId);
+
+    const statuses = Object.keys(operation.responses);
+    assert.ok(statuses.some(s => s < 300), `${label} documents no success response`);
+    assert.ok(statuses.includes('500'), `${label} does not document 500`);
+    for (const status of statuses) {
+      if (!operation.responses[status].content['application/json']) continue;
+      assert.ok(checker.schemaFor(path, method, status), `${label} → ${status} does not compile`);
+    }
+  }
+});
+
+test('the spec and docs are served', async () => {
+  await expectDocumented('GET', '/api/openapi.json');
+  const docs = await expectDocumented('GET', '/api/docs');
+  assert.match(docs.body, /swagger-ui/);
+  await expectDocumented('GET', '/api/question-types');
+});
+
+test('health checks report the database, as documented', async () => {
+  // No database in the test environment: alive, but not ready
+  const health = await expectDocumented('GET', '/healthz');
+  assert.equal(health.response.status, 200);
+  assert.equal(health.body.database.ok, false);
+
+  const ready = await expectDocumented('GET', '/readyz');
+  assert.equal(ready.response.status, 503);
+  assert.equal(ready.body.code, 'SERVICE_UNAVAILABLE');
+});
+
+test('protected routes answer 401 without a token, as documented', async () => {
+  for (const { path, method, operation } of operations()) {
+    if (!operation.security || operation.security.some(s => !Object.keys(s).length)) continue;
+    const { response, body } = await expectDocumented(method, sampleUrl(path, operation));
+    assert.equal(response.status, 401, `${method} ${path}`);
+    assert.equal(body.code, 'UNAUTHENTICATED');
+  }
+});
+
+test('admin routes answer 403 to learners, as documented', async () => {
+  for (const { path, method, operation } of operations()) {
+    if (!path.startsWith('/api/admin/')) continue;
+    const { response, body } = await expectDocumented(method, sampleUrl(path, operation), { token: learnerToken });
+    assert.equal(response.status, 403, `${method} ${path}`);
+    assert.equal(body.code, 'FORBIDDEN');
+  }
+});
+
+test('validation failures list every failing field, as documented', async () => {
+  const { response, body } = await expectDocumented('POST', '/api/register', { body: { email: 'nope', password: 'short' } });
+  assert.equal(response.status, 400);
+  assert.equal(body.code, 'VALIDATION_FAILED');
+  assert.deepEqual(body.fields.map(f => f.field).sort(), ['body.email', 'body.name', 'body.password']);
+
+  const query = await expectDocumented('GET', '/api/leaderboard?limit=0&window=year');
+  assert.deepEqual(query.body.fields.map(f => f.field).sort(), ['query.limit', 'query.window']);
+
+  const params = await expectDocumented('GET', '/api/quiz/not-a-uuid', { token: learnerToken });
+  assert.deepEqual(params.body.fields.map(f => f.field), ['params.sessionId']);
+
+  const json = await expectDocumented('POST', '/api/login', { rawBody: '{"email":' });
+  assert.equal(json.body.code, 'INVALID_JSON');
+});
+
+test('unknown API routes get the error envelope', async () => {
+  const { response, body } = await request('GET', '/api/no-such-route');
+  assert.equal(response.status, 404);
+  assert.equal(body.code, 'NOT_FOUND');
+});
+
+test('the checker catches a response that drifted from the spec', () => {
+  const response = { status: 200, headers: new Headers({ 'content-type': 'application/json' }) };
+  assert.throws(() => checker.check('POST', '/api/refresh', response, { token: 'abc' }), /does not match the spec/);
+  assert.throws(() => checker.check('POST', '/api/refresh', { ...response, status: 418 }, {}), /not a documented status/);
+});
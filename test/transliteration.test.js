@@ -0,0 +1,33 @@
+// test/transliteration.test.js — grading Latin-script answers to native-script questions
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { gradeAnswers } = require('../lib/quiz');
+const { romanize } = require('../lib/transliteration');
+
+function grade(language, answer, response) {
+  const question = { id: 1, language, type: 'translation', question: '?', answer };
+  const [result] = gradeAnswers([question], [{ questionId: 1, answer: response }]).results;
+  return { correct: result.correct, verdict: result.verdict };
+}
+
+test('romanized Urdu is accepted however learners spell the vowels', () => {
+  for (const [answer, response] of [['پانی', 'paani'], ['پانی', 'pani'], ['کتاب', 'kitab'], ['شکریہ', 'shukriya'], ['پیار', 'pyar']]) {
+    assert.deepEqual(grade('Urdu', answer, response), { correct: true, verdict: 'correct' }, response);
+  }
+});
+
+test('the right consonants without the written long vowels are wrong', () => {
+  for (const [answer, response] of [['پانی', 'pin'], ['پانی', 'pen'], ['شکریہ', 'shakar']]) {
+    assert.deepEqual(grade('Urdu', answer, response), { correct: false, verdict: 'wrong' }, response);
+  }
+});
+
+test('a romanized typo is almost, and still counts', () => {
+  assert.deepEqual(grade('Hindi', 'नमस्ते', 'namasde'), { correct: true, verdict: 'almost' });
+});
+
+test('romanize passes text outside the script through', () => {
+  assert.equal(romanize('abc 123', 'Urdu'), 'abc 123');
+});